@@ -5,8 +5,13 @@ md_to_kv_bulk.py — Convert Markdown sections to Wrangler KV bulk format.
 Default behavior:
 - Split the Markdown by a chosen heading level (default: H2, i.e. '## Section').
 - For each section, write one KV record:
-    key   -> slug(section title)
-    value -> the section's Markdown content (as a single string), preserving subheadings/body.
+    key      -> slug(section title)
+    value    -> the section's Markdown content (as a single string), preserving subheadings/body.
+    metadata -> {"title", "description"}: the heading and the first line of the section,
+                used by the worker as the tool title/description.
+- Also write a search index record under the reserved key "_search_index" (after the
+  prefix, if any) for the worker's search_profile tool: each section split into
+  paragraph chunks with their heading path, plus an inverted index of terms.
 
 Optional:
 - --flatten: also emit keys for subsections as path-like keys, e.g.:
@@ -16,16 +21,29 @@ Optional:
 - --slug/--no-slug: slugify keys (default: slug).
 - --prefix PFX: prepend all keys with "PFX/".
 - --ndjson: output NDJSON instead of a JSON array.
+- --no-index: skip the search index record.
 """
 
 import argparse
 import json
 import re
 import sys
+from datetime import datetime, timezone
 from typing import List, Tuple, Optional
 
 HEADING_RE = re.compile(r"^(#{1,6})\s+(.*)\s*$")
 
+# KV metadata is capped at 1024 bytes serialized; keep well under it
+DESCRIPTION_MAX = 200
+
+# Search index format read by src/search.ts, which also rebuilds it after the worker's
+# write tools; keep chunking/tokenization in step with buildSearchIndex() there and
+# regenerate the fixtures test/search.test.ts compares against after changing them
+SEARCH_INDEX_KEY = "_search_index"
+SEARCH_INDEX_VERSION = 1
+TOKEN_RE = re.compile(r"[a-z0-9]+")
+LIST_ITEM_RE = re.compile(r"^\s*([-*+]|\d+\.)\s+")
+
 def slugify(s: str) -> str:
     s = s.strip().lower()
     s = re.sub(r"[^a-z0-9]+", "_", s)
@@ -49,6 +67,85 @@ class Node:
             lines.pop()
         return "\n".join(lines)
 
+def plain(line: str) -> str:
+    """Strip simple Markdown (list markers, links, emphasis) from one line."""
+    line = re.sub(r"^([-*+>]|\d+\.)\s+", "", line.strip())
+    line = re.sub(r"\[([^\]]*)\]\([^)]*\)", r"\1", line)
+    return re.sub(r"[*_`]+", "", line).strip()
+
+def describe(title: str, content: str) -> str:
+    """
+    Tool description for a section: its first line of body text with simple Markdown
+    (emphasis, links, list markers) removed, or a generic sentence if it has none.
+    """
+    for line in content.splitlines():
+        if not line.strip() or HEADING_RE.match(line.strip()):
+            continue
+        line = plain(line)
+        if line:
+            return line if len(line) <= DESCRIPTION_MAX else line[:DESCRIPTION_MAX - 1] + "…"
+    return f"Retrieve the '{title}' section as plain text."
+
+def tokenize(text: str) -> List[str]:
+    return TOKEN_RE.findall(text.lower())
+
+def chunk_section(key: str, title_path: List[str], content: str) -> List[dict]:
+    """
+    Split one section's Markdown into paragraph chunks, each with the heading path
+    leading to it (section title, then any subheadings inside the section).
+    """
+    chunks: List[dict] = []
+    headings: List[Tuple[int, str]] = []  # (level, title) inside the section
+    lines: List[str] = []
+
+    def flush():
+        text = " ".join(l for l in lines if l)
+        if text:
+            chunks.append({"key": key, "path": title_path + [t for _, t in headings], "text": text})
+        lines.clear()
+
+    for raw_line in content.splitlines():
+        m = HEADING_RE.match(raw_line.strip())
+        if m:
+            flush()
+            level = len(m.group(1))
+            while headings and headings[-1][0] >= level:
+                headings.pop()
+            headings.append((level, m.group(2).strip()))
+        elif not raw_line.strip():
+            flush()
+        else:
+            # each list item is its own chunk
+            if LIST_ITEM_RE.match(raw_line):
+                flush()
+            lines.append(plain(raw_line))
+    flush()
+    return chunks
+
+def build_search_index(sections: List[Tuple[str, List[str], str]]) -> dict:
+    """
+    Index for search_profile: chunks (key, heading path, plain text, token count) and
+    an inverted index term -> [[chunk number, term frequency], ...].
+    """
+    chunks: List[dict] = []
+    terms: dict = {}
+    for key, title_path, content in sections:
+        for chunk in chunk_section(key, title_path, content):
+            tokens = tokenize(" ".join(chunk["path"]) + " " + chunk["text"])
+            n = len(chunks)
+            chunks.append({**chunk, "len": len(tokens)})
+            counts: dict = {}
+            for t in tokens:
+                counts[t] = counts.get(t, 0) + 1
+            for t, tf in counts.items():
+                terms.setdefault(t, []).append([n, tf])
+    return {
+        "version": SEARCH_INDEX_VERSION,
+        "built_at": datetime.now(timezone.utc).isoformat(timespec="seconds").replace("+00:00", "Z"),
+        "chunks": chunks,
+        "terms": terms,
+    }
+
 def parse_markdown(md_text: str) -> Node:
     """
     Parse Markdown into a simple heading tree.
@@ -153,6 +250,7 @@ def main(argv=None) -> int:
     p.add_argument("--prefix", default="", help="Optional key prefix (e.g., 'profile'); becomes 'profile/<key>'.")
     p.add_argument("--ndjson", action="store_true", help="Emit NDJSON (one JSON object per line).")
     p.add_argument("--pretty", action="store_true", help="Pretty-print JSON array output.")
+    p.add_argument("--no-index", action="store_true", help="Do not emit the search index record.")
     args = p.parse_args(argv)
 
     try:
@@ -179,10 +277,21 @@ def main(argv=None) -> int:
         return key
 
     bulk = []
+    indexed: List[Tuple[str, List[str], str]] = []
     for path_titles, content in entries:
         key = key_from_path(path_titles)
         value = content  # store markdown as-is
-        bulk.append({"key": key, "value": value})
+        title = " / ".join(t.strip() for t in path_titles if t.strip())
+        bulk.append({
+            "key": key,
+            "value": value,
+            "metadata": {"title": title, "description": describe(title, content)},
+        })
+        indexed.append((key, [t.strip() for t in path_titles if t.strip()], content))
+
+    if not args.no_index:
+        index_key = f"{args.prefix.rstrip('/')}/{SEARCH_INDEX_KEY}" if args.prefix else SEARCH_INDEX_KEY
+        bulk.append({"key": index_key, "value": json.dumps(build_search_index(indexed), ensure_ascii=False)})
 
     try:
         if args.ndjson:
@@ -1,7 +1,17 @@
 // src/index.ts
-// MCP JSON-RPC with tool-per-section; KV hidden behind generic “data” wording
+// MCP JSON-RPC with tool-per-section; KV hidden behind generic “data” wording.
+// Sections are discovered from KV keys (optionally under SECTIONS_PREFIX); keys whose
+// section name starts with "_" are reserved for the worker and never listed.
+// Write tools (update/delete/restore) need a Bearer token matching MCP_API_KEY and are
+// only listed for requests that carry one.
+// Each client gets an Mcp-Session-Id at initialize; tool calls from a session whose last
+// tool list is out of date carry a list_changed notification (sessions.ts).
 
 import type { KVNamespace } from "@cloudflare/workers-types";
+import { isSearchIndex, plainLine, replaceSection, SEARCH_INDEX_KEY, searchIndex } from "./search";
+import { getAnnounced, newSessionId, SESSION_HEADER, sessionFrom, setAnnounced } from "./sessions";
+import { stateKV } from "./state";
+import { getVersion, listVersions, MAX_VERSIONS, saveVersion, versionedSections } from "./versions";
 
 type JSONValue = string | number | boolean | null | JSONValue[] | { [k: string]: JSONValue };
 
@@ -14,24 +24,200 @@ interface MCPRequest {
 
 interface MCPResult {
   content?: Array<{ type: "text"; text: string }>;
-  structuredContent?: { key: string; found: boolean; value: string | null };
+  structuredContent?: { key: string; found: boolean; value: string | null } | Record<string, JSONValue>;
 }
 
 interface Env {
   KV: KVNamespace; // typed KV binding
   MCP_SERVER_NAME?: string;
   MCP_SERVER_VERSION?: string;
+  SECTIONS_PREFIX?: string; // only keys under this prefix are sections (e.g. "profile/")
+  SECTIONS_CACHE_TTL?: string; // seconds to reuse the discovered section list (default 60)
+  MCP_API_KEY?: string; // Bearer token for the write tools (wrangler secret put MCP_API_KEY)
+  STATE?: KVNamespace; // sessions and section versions (default: KV, under "__mcp/")
 }
 
-const toolKeyMap = {
-  about_me: "about_me",
-  professional_certifications : "professional_certifications",
-  how_i_work : "how_i_work",
-  countries: "countries",
-  socials : "socials",
-  uses : "uses",
-  currently : "currently"
-} as const;
+// Written by convert_to_json.py at upload time
+interface SectionMetadata {
+  title?: string;
+  description?: string;
+}
+
+interface Section {
+  name: string; // tool name
+  key: string; // full KV key
+  heading: string; // section heading(s), "Parent / Child" for flattened keys
+  title: string;
+  description: string;
+}
+
+// Discovered sections, per isolate
+let sectionCache: { prefix: string; loadedAt: number; sections: Section[]; signature: string } | null = null;
+// Last time an unknown tool name made findSection list KV again
+let missRelistAt = 0;
+
+const SEARCH_TOOL = "search_profile";
+const searchTool = {
+  name: SEARCH_TOOL,
+  title: "Search profile",
+  description:
+    "Full-text search across every profile section. Returns the best-matching passages, ranked, with the section tool name and heading path, e.g. to check for experience with a technology without reading every section.",
+  inputSchema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      query: { type: "string", minLength: 1, description: "Words to look for" },
+      limit: { type: "integer", minimum: 1, maximum: 20, default: 5 },
+    },
+    required: ["query"],
+  },
+  outputSchema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      query: { type: "string" },
+      total: { type: "integer" },
+      indexed_at: { type: "string" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            section: { type: "string" },
+            key: { type: "string" },
+            path: { type: "array", items: { type: "string" } },
+            snippet: { type: "string" },
+            score: { type: "number" },
+          },
+          required: ["section", "key", "path", "snippet", "score"],
+        },
+      },
+    },
+    required: ["query", "total", "results"],
+  },
+};
+
+const sectionArg = {
+  type: "string",
+  minLength: 1,
+  description: "Section tool name (e.g. about_me) or KV key path under the prefix (e.g. how_i_work/leadership)",
+};
+
+const writeTools = [
+  {
+    name: "update_section",
+    title: "Update section",
+    description:
+      "Create or replace a section's markdown. The previous value is kept as a timestamped version (see list_section_versions). Requires the Bearer token.",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        section: sectionArg,
+        content: { type: "string", description: "Markdown for the section" },
+        title: { type: "string", description: "Tool title (default: keep the current one)" },
+        description: { type: "string", description: "Tool description (default: keep the current one)" },
+      },
+      required: ["section", "content"],
+    },
+    outputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        section: { type: "string" },
+        key: { type: "string" },
+        created: { type: "boolean" },
+        version_saved: { type: ["string", "null"] },
+      },
+      required: ["section", "key", "created", "version_saved"],
+    },
+  },
+  {
+    name: "delete_section",
+    title: "Delete section",
+    description: "Delete a section. Its last value is kept as a version, so restore_section_version can bring it back. Requires the Bearer token.",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: { section: sectionArg },
+      required: ["section"],
+    },
+    outputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        section: { type: "string" },
+        key: { type: "string" },
+        deleted: { type: "boolean" },
+        version_saved: { type: ["string", "null"] },
+      },
+      required: ["section", "key", "deleted", "version_saved"],
+    },
+  },
+  {
+    name: "list_section_versions",
+    title: "List section versions",
+    description: `List the saved versions of a section, newest first (up to ${MAX_VERSIONS} are kept). Requires the Bearer token.`,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: { section: sectionArg },
+      required: ["section"],
+    },
+    outputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        section: { type: "string" },
+        key: { type: "string" },
+        exists: { type: "boolean" },
+        versions: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              version: { type: "string" },
+              saved_at: { type: "string" },
+              reason: { type: "string", enum: ["update", "delete", "restore"] },
+              title: { type: "string" },
+              description: { type: "string" },
+              size: { type: "integer" },
+            },
+            required: ["version", "saved_at", "reason", "size"],
+          },
+        },
+      },
+      required: ["section", "key", "exists", "versions"],
+    },
+  },
+  {
+    name: "restore_section_version",
+    title: "Restore section version",
+    description:
+      "Roll a section back to a saved version (also brings back a deleted section). The value being replaced is kept as a version first. Requires the Bearer token.",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        section: sectionArg,
+        version: { type: "string", description: "Version id from list_section_versions" },
+      },
+      required: ["section", "version"],
+    },
+    outputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        section: { type: "string" },
+        key: { type: "string" },
+        restored: { type: "string" },
+        version_saved: { type: ["string", "null"] },
+      },
+      required: ["section", "key", "restored", "version_saved"],
+    },
+  },
+];
+const WRITE_TOOLS = new Set(writeTools.map((t) => t.name));
 
 export default {
   async fetch(request: Request, env: Env): Promise<Response> {
@@ -39,7 +225,8 @@ export default {
     const cors = {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": `Content-Type, Authorization, ${SESSION_HEADER}`,
+      "Access-Control-Expose-Headers": SESSION_HEADER,
     };
 
     if (request.method === "OPTIONS") return new Response(null, { headers: cors });
@@ -68,9 +255,9 @@ export default {
     if (method === "initialize") {
       return json({ jsonrpc: "2.0", id, result: {
         protocolVersion: "2025-06-18",
-        capabilities: { tools: { listChanged: false } },
+        capabilities: { tools: { listChanged: true } },
         serverInfo
-      }}, cors);
+      }}, { ...cors, [SESSION_HEADER]: newSessionId() });
     }
 
     if (method === "initialized") {
@@ -78,10 +265,20 @@ export default {
     }
 
     if (method === "tools/list") {
-      const tools = Object.keys(toolKeyMap).map((toolName) => ({
-        name: toolName,
-        title: `Get: ${(toolKeyMap as any)[toolName]}`,
-        description: `Retrieve the '${(toolKeyMap as any)[toolName]}' section as plain text.`,
+      let sections: Section[] = [];
+      if (env.KV && typeof env.KV.list === "function") {
+        try {
+          const found = await discoverSections(env);
+          sections = found.sections;
+          await markAnnounced(request, env, found.signature);
+        } catch {
+          return jsonRpcError(id, -32002, "Unable to retrieve data.", cors);
+        }
+      }
+      const sectionTools = sections.map((section) => ({
+        name: section.name,
+        title: section.title,
+        description: section.description,
         inputSchema: { type: "object", additionalProperties: false, properties: {} },
         outputSchema: {
           type: "object",
@@ -90,16 +287,59 @@ export default {
           required: ["key", "found"],
         },
       }));
+      const tools = [searchTool, ...sectionTools, ...(hasValidToken(request, env) ? writeTools : [])];
       return json({ jsonrpc: "2.0", id, result: { tools } }, cors);
     }
 
     if (method === "tools/call") {
-      const name = (rpc.params as any)?.name as keyof typeof toolKeyMap | undefined;
-      if (name && toolKeyMap[name]) {
-        const key = toolKeyMap[name];
-        if (!env.KV || typeof env.KV.get !== "function") {
-          return jsonRpcError(id, -32001, "Data not available.", cors);
+      const name = (rpc.params as any)?.name as string | undefined;
+
+      // Fail closed: write tools need MCP_API_KEY configured and a matching Bearer token
+      if (name && WRITE_TOOLS.has(name)) {
+        if (!env.MCP_API_KEY) return serverMisconfigured(cors);
+        if (!hasValidToken(request, env)) return unauthorized(cors);
+      }
+
+      if (!env.KV || typeof env.KV.get !== "function") {
+        return jsonRpcError(id, -32001, "Data not available.", cors);
+      }
+
+      if (name && WRITE_TOOLS.has(name)) {
+        const args = ((rpc.params as any)?.arguments ?? {}) as Record<string, unknown>;
+        try {
+          const result = await callWriteTool(env, name, args);
+          if (typeof result === "string") return jsonRpcError(id, -32602, `Invalid params: ${result}`, cors);
+          return withListChanged(request, env, { jsonrpc: "2.0", id, result }, cors);
+        } catch (err: unknown) {
+          return jsonRpcError(id, -32002, "Unable to update data.", cors);
+        }
+      }
+
+      if (name === SEARCH_TOOL) {
+        const args = ((rpc.params as any)?.arguments ?? {}) as Record<string, unknown>;
+        const query = typeof args.query === "string" ? args.query.trim() : "";
+        const limit = args.limit ?? 5;
+        if (!query) return jsonRpcError(id, -32602, "Invalid params: query is required", cors);
+        if (!Number.isInteger(limit) || (limit as number) < 1 || (limit as number) > 20) {
+          return jsonRpcError(id, -32602, "Invalid params: limit must be an integer between 1 and 20", cors);
+        }
+        try {
+          const result = await searchProfile(env, query, limit as number);
+          if (!result) return jsonRpcError(id, -32001, "Search index not available.", cors);
+          return withListChanged(request, env, { jsonrpc: "2.0", id, result }, cors);
+        } catch (err: unknown) {
+          return jsonRpcError(id, -32002, "Unable to retrieve data.", cors);
         }
+      }
+
+      let section: Section | undefined;
+      try {
+        section = await findSection(env, name);
+      } catch {
+        return jsonRpcError(id, -32002, "Unable to retrieve data.", cors);
+      }
+      if (section) {
+        const key = section.key;
         try {
           const raw = await env.KV.get(key);
           const found = raw !== null && raw !== undefined;
@@ -109,7 +349,7 @@ export default {
             content: [{ type: "text", text: found ? value! : `No data for '${key}'.` }],
             structuredContent: { key, found, value },
           };
-          return json({ jsonrpc: "2.0", id, result }, cors);
+          return withListChanged(request, env, { jsonrpc: "2.0", id, result }, cors);
         } catch (err: unknown) {
           return jsonRpcError(id, -32002, "Unable to retrieve data.", cors);
         }
@@ -121,6 +361,270 @@ export default {
   },
 };
 
+// ===== write tools =====
+
+function hasValidToken(request: Request, env: Env): boolean {
+  if (!env.MCP_API_KEY) return false;
+  const authHeader = request.headers.get("Authorization");
+  const token = authHeader?.startsWith("Bearer ") ? authHeader.slice(7).trim() : null;
+  return !!token && token === env.MCP_API_KEY;
+}
+
+const SECTION_PATH_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*(\/[A-Za-z0-9][A-Za-z0-9_.-]*)*$/;
+// "<ISO timestamp>-<8 hex digits>"; versions saved before the suffix are timestamp only
+const VERSION_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z(-[0-9a-f]{8})?$/;
+
+// A discovered section by tool name or key path, a deleted one that still has saved
+// versions (so the name delete_section returned restores it), or the key a new section would get
+async function resolveSection(env: Env, section: unknown): Promise<{ name: string; key: string; rest: string } | string> {
+  if (typeof section !== "string" || !section.trim()) return "section is required";
+  const wanted = section.trim();
+  const prefix = env.SECTIONS_PREFIX ?? "";
+  const { sections } = await discoverSections(env, true);
+  const found = sections.find((s) => s.name === wanted || s.key === `${prefix}${wanted}`);
+  if (found) return { name: found.name, key: found.key, rest: found.key.slice(prefix.length) };
+  const deleted = (await versionedSections(stateKV(env), prefix)).find((rest) => toolName(rest) === wanted || rest === wanted);
+  if (deleted) return { name: toolName(deleted), key: `${prefix}${deleted}`, rest: deleted };
+
+  if (wanted.length > 128 || !SECTION_PATH_RE.test(wanted)) {
+    return "section must be letters, digits, '_', '-', '.' with '/' between path parts";
+  }
+  if (toolName(wanted) === SEARCH_TOOL || WRITE_TOOLS.has(toolName(wanted))) return `'${wanted}' is a reserved tool name`;
+  return { name: toolName(wanted), key: `${prefix}${wanted}`, rest: wanted };
+}
+
+// First line of body text, as convert_to_json.py describes sections
+function describeSection(content: string): string | undefined {
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || /^#{1,6}\s/.test(line.trim())) continue;
+    const text = plainLine(line);
+    if (text) return text.length <= 200 ? text : `${text.slice(0, 199)}…`;
+  }
+  return undefined;
+}
+
+// Returns an error message string on bad input
+async function callWriteTool(env: Env, name: string, args: Record<string, unknown>): Promise<MCPResult | string> {
+  const target = await resolveSection(env, args.section);
+  if (typeof target === "string") return target;
+  const prefix = env.SECTIONS_PREFIX ?? "";
+  const { value: current, metadata } = await env.KV.getWithMetadata<SectionMetadata>(target.key);
+
+  if (name === "list_section_versions") {
+    const versions = await listVersions(stateKV(env), prefix, target.rest);
+    const text = versions.length
+      ? [`${versions.length} saved version${versions.length === 1 ? "" : "s"} of '${target.name}':`,
+          ...versions.map((v) => `- ${v.version} (before ${v.reason}, ${v.size} chars)`)].join("\n")
+      : `No saved versions of '${target.name}'.`;
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: { section: target.name, key: target.key, exists: current !== null, versions: versions as unknown as JSONValue },
+    };
+  }
+
+  let text: string;
+  let structured: Record<string, JSONValue>;
+  let written: { content: string; metadata: SectionMetadata } | null; // the section after the write
+
+  if (name === "update_section") {
+    if (typeof args.content !== "string") return "content must be a string";
+    for (const k of ["title", "description"]) {
+      if (args[k] !== undefined && typeof args[k] !== "string") return `${k} must be a string`;
+    }
+    const versionSaved = current !== null ? await saveVersion(stateKV(env), prefix, target.rest, current, metadata, "update") : null;
+    const next: SectionMetadata = {
+      title: (args.title as string | undefined)?.trim() || metadata?.title || target.rest,
+      description: (args.description as string | undefined)?.trim() || metadata?.description || describeSection(args.content),
+    };
+    await env.KV.put(target.key, args.content, { metadata: next });
+    written = { content: args.content, metadata: next };
+    text = current !== null ? `Updated '${target.name}' (previous value saved as ${versionSaved}).` : `Created '${target.name}'.`;
+    structured = { section: target.name, key: target.key, created: current === null, version_saved: versionSaved };
+  } else if (name === "delete_section") {
+    if (current === null) {
+      return {
+        content: [{ type: "text", text: `No section '${target.name}' to delete.` }],
+        structuredContent: { section: target.name, key: target.key, deleted: false, version_saved: null },
+      };
+    }
+    const versionSaved = await saveVersion(stateKV(env), prefix, target.rest, current, metadata, "delete");
+    await env.KV.delete(target.key);
+    written = null;
+    text = `Deleted '${target.name}' (last value saved as ${versionSaved}).`;
+    structured = { section: target.name, key: target.key, deleted: true, version_saved: versionSaved };
+  } else {
+    if (typeof args.version !== "string" || !VERSION_RE.test(args.version)) return "version must be a version id from list_section_versions";
+    const saved = await getVersion(stateKV(env), prefix, target.rest, args.version);
+    if (!saved) return `no version ${args.version} of '${target.name}'`;
+    const versionSaved = current !== null ? await saveVersion(stateKV(env), prefix, target.rest, current, metadata, "restore") : null;
+    const restoredMeta: SectionMetadata = {
+      title: saved.metadata?.title || metadata?.title || target.rest,
+      description: saved.metadata?.description || describeSection(saved.value),
+    };
+    await env.KV.put(target.key, saved.value, { metadata: restoredMeta });
+    written = { content: saved.value, metadata: restoredMeta };
+    text = `Restored '${target.name}' to ${args.version}${versionSaved ? ` (replaced value saved as ${versionSaved})` : ""}.`;
+    structured = { section: target.name, key: target.key, restored: args.version, version_saved: versionSaved };
+  }
+
+  // KV listings lag behind writes, so patch the section list and search index with the
+  // write itself instead of listing KV again
+  const section = written ? toSection(target.key, target.rest, written.metadata) : null;
+  applySectionChange(prefix, target.key, section);
+  await updateSearchIndex(env, target.key, section && written ? { path: section.heading.split(" / "), content: written.content } : null);
+  return { content: [{ type: "text", text }], structuredContent: structured };
+}
+
+// Swap one section in the search index, if one was uploaded
+async function updateSearchIndex(env: Env, key: string, section: { path: string[]; content: string } | null): Promise<void> {
+  const indexKey = `${env.SECTIONS_PREFIX ?? ""}${SEARCH_INDEX_KEY}`;
+  const index = await env.KV.get(indexKey, "json");
+  if (!isSearchIndex(index)) return;
+  await env.KV.put(indexKey, JSON.stringify(replaceSection(index, key, section)));
+}
+
+// ===== search =====
+
+// One KV read: the index uploaded alongside the sections; null when it is missing
+async function searchProfile(env: Env, query: string, limit: number): Promise<MCPResult | null> {
+  const prefix = env.SECTIONS_PREFIX ?? "";
+  const index = await env.KV.get(`${prefix}${SEARCH_INDEX_KEY}`, "json");
+  if (!isSearchIndex(index)) return null;
+
+  const { hits, total, terms } = searchIndex(index, query, limit);
+  const results = hits.map((h) => ({
+    section: toolName(h.chunk.key.startsWith(prefix) ? h.chunk.key.slice(prefix.length) : h.chunk.key),
+    key: h.chunk.key,
+    path: h.chunk.path,
+    snippet: h.snippet,
+    score: h.score,
+  }));
+
+  const text = results.length
+    ? [
+        `${total} passage${total === 1 ? "" : "s"} matched "${query}"${total > results.length ? ` (top ${results.length})` : ""}:`,
+        ...results.map((r, i) => `${i + 1}. **${r.path.join(" › ")}** (${r.section})\n   ${r.snippet}`),
+      ].join("\n")
+    : `No passages matched "${query}" (searched for: ${terms.join(", ") || "nothing"}).`;
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: { query, total, indexed_at: index.built_at, results },
+  };
+}
+
+// ===== section discovery =====
+
+// Tool names allow letters, digits, "_", "-" and "."; flattened keys ("a/b") become "a.b"
+function toolName(section: string): string {
+  return section.replace(/\//g, ".").replace(/[^A-Za-z0-9_.-]/g, "_").slice(0, 64);
+}
+
+// List section keys from KV (cached for SECTIONS_CACHE_TTL seconds). `signature` identifies
+// the set as clients see it in tools/list.
+async function discoverSections(env: Env, force = false): Promise<{ sections: Section[]; signature: string; cached: boolean }> {
+  const prefix = env.SECTIONS_PREFIX ?? "";
+  if (!force && sectionCache && sectionCache.prefix === prefix && Date.now() - sectionCache.loadedAt < cacheTtlMs(env)) {
+    return { sections: sectionCache.sections, signature: sectionCache.signature, cached: true };
+  }
+
+  const sections: Section[] = [];
+  const seen = new Set<string>();
+  let cursor: string | undefined;
+  do {
+    const page = await env.KV.list<SectionMetadata>({ prefix, cursor });
+    for (const k of page.keys) {
+      const rest = k.name.slice(prefix.length);
+      if (!rest || rest.startsWith("_")) continue;
+      if (toolName(rest) === SEARCH_TOOL || WRITE_TOOLS.has(toolName(rest))) continue;
+      const name = toolName(rest);
+      if (seen.has(name)) continue;
+      seen.add(name);
+      sections.push(toSection(k.name, rest, k.metadata ?? {}));
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  const signature = sectionSignature(sections);
+  sectionCache = { prefix, loadedAt: Date.now(), sections, signature };
+  return { sections, signature, cached: false };
+}
+
+function cacheTtlMs(env: Env): number {
+  const ttl = Number(env.SECTIONS_CACHE_TTL || 60);
+  return (Number.isFinite(ttl) && ttl >= 0 ? ttl : 60) * 1000;
+}
+
+function toSection(key: string, rest: string, meta: SectionMetadata): Section {
+  return {
+    name: toolName(rest),
+    key,
+    heading: typeof meta.title === "string" && meta.title ? meta.title : rest,
+    title: typeof meta.title === "string" && meta.title ? meta.title : `Get: ${rest}`,
+    description:
+      typeof meta.description === "string" && meta.description
+        ? meta.description
+        : `Retrieve the '${rest}' section as plain text.`,
+  };
+}
+
+function sectionSignature(sections: Section[]): string {
+  return JSON.stringify(sections.map((s) => [s.name, s.title, s.description]));
+}
+
+// Put a written section (null: deleted) into the cached list, in KV key order
+function applySectionChange(prefix: string, key: string, section: Section | null): void {
+  if (!sectionCache || sectionCache.prefix !== prefix) return;
+  const sections = sectionCache.sections.filter((s) => s.key !== key);
+  if (section) sections.push(section);
+  sections.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  sectionCache = { prefix, loadedAt: Date.now(), sections, signature: sectionSignature(sections) };
+}
+// A name missing from a cached list may be a section uploaded since; look again, but at
+// most once per cache TTL so callers guessing tool names cannot force a list per request
+async function findSection(env: Env, name: string | undefined): Promise<Section | undefined> {
+  if (!name) return undefined;
+  const found = await discoverSections(env);
+  const section = found.sections.find((s) => s.name === name);
+  if (section || !found.cached || Date.now() - missRelistAt < cacheTtlMs(env)) return section;
+  missRelistAt = Date.now();
+  return (await discoverSections(env, true)).sections.find((s) => s.name === name);
+}
+
+// ===== list_changed =====
+
+// Remember the section set a session was just given (tools/list)
+async function markAnnounced(request: Request, env: Env, signature: string): Promise<void> {
+  const session = sessionFrom(request);
+  if (!session) return;
+  const prefix = env.SECTIONS_PREFIX ?? "";
+  if ((await getAnnounced(stateKV(env), prefix, session)) !== signature) await setAnnounced(stateKV(env), prefix, session, signature);
+}
+
+// Streamable HTTP: a session that accepts an event stream gets a
+// notifications/tools/list_changed message ahead of any tool result when the section set
+// differs from the one it was last given; plain JSON otherwise (and for sessions that
+// have not listed tools yet)
+async function withListChanged(request: Request, env: Env, body: unknown, cors?: Record<string, string>): Promise<Response> {
+  const session = sessionFrom(request);
+  if (!session || !(request.headers.get("Accept") ?? "").includes("text/event-stream")) return json(body, cors);
+  const prefix = env.SECTIONS_PREFIX ?? "";
+  try {
+    const [{ signature }, announced] = await Promise.all([discoverSections(env), getAnnounced(stateKV(env), prefix, session)]);
+    if (announced === null || announced === signature) return json(body, cors);
+    await setAnnounced(stateKV(env), prefix, session, signature);
+  } catch {
+    return json(body, cors);
+  }
+  const events = [{ jsonrpc: "2.0", method: "notifications/tools/list_changed" }, body]
+    .map((msg) => `event: message\ndata: ${JSON.stringify(msg)}\n\n`)
+    .join("");
+  return new Response(events, {
+    status: 200,
+    headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", ...(cors ?? {}) },
+  });
+}
+
 function json(body: unknown, cors?: Record<string, string>) {
   return new Response(JSON.stringify(body), {
     status: 200,
@@ -128,6 +632,30 @@ function json(body: unknown, cors?: Record<string, string>) {
   });
 }
 
+function unauthorized(cors?: Record<string, string>): Response {
+  return new Response(
+    JSON.stringify({ error: "Unauthorized", message: "Missing or invalid bearer token." }),
+    {
+      status: 401,
+      headers: {
+        "Content-Type": "application/json",
+        "WWW-Authenticate": 'Bearer realm="mcp", error="invalid_token"',
+        ...(cors ?? {}),
+      },
+    },
+  );
+}
+
+function serverMisconfigured(cors?: Record<string, string>): Response {
+  return new Response(
+    JSON.stringify({ error: "Server Misconfigured", message: "MCP_API_KEY is not set." }),
+    {
+      status: 500,
+      headers: { "Content-Type": "application/json", ...(cors ?? {}) },
+    },
+  );
+}
+
 function jsonRpcError(id: string | number | null, code: number, message: string, cors?: Record<string, string>) {
   return json({ jsonrpc: "2.0", id, error: { code, message } }, cors);
 }
@@ -0,0 +1,174 @@
+// src/search.ts
+// Ranked full-text search over the section index written by convert_to_json.py
+// (reserved key "_search_index"), and the same index build for sections changed
+// through the write tools (patched one section at a time). Chunking and tokenization mirror the script;
+// test/search.test.ts checks them against its output in test/fixtures.
+
+export const SEARCH_INDEX_KEY = "_search_index";
+export const SEARCH_INDEX_VERSION = 1;
+
+export interface SearchChunk {
+  key: string; // KV key of the section
+  path: string[]; // section title, then subheadings
+  text: string; // plain text of one paragraph / list item
+  len: number; // token count (path + text)
+}
+
+export interface SearchIndex {
+  version: number;
+  built_at: string;
+  chunks: SearchChunk[];
+  terms: Record<string, Array<[number, number]>>; // term -> [chunk number, term frequency]
+}
+
+export interface SearchHit {
+  chunk: SearchChunk;
+  score: number;
+  snippet: string;
+  matched: string[];
+}
+
+// Words that say nothing about the profile ("has Rich worked with Kubernetes?")
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "did", "do", "does", "for", "from", "has", "have", "he",
+  "his", "how", "i", "in", "is", "it", "me", "my", "of", "on", "or", "she", "that", "the", "their", "they",
+  "this", "to", "was", "what", "when", "where", "which", "who", "why", "with", "you", "your",
+]);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Prefix matches ("kube" → "kubernetes", "work" → "worked") count for less than exact ones
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX = 4;
+const SNIPPET_CHARS = 200;
+
+export function tokenize(text: string): string[] {
+  return text.toLowerCase().match(/[a-z0-9]+/g) ?? [];
+}
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*$/;
+const LIST_ITEM_RE = /^\s*([-*+]|\d+\.)\s+/;
+
+// Strip simple Markdown (list markers, links, emphasis) from one line
+export function plainLine(line: string): string {
+  return line
+    .trim()
+    .replace(/^([-*+>]|\d+\.)\s+/, "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`]+/g, "")
+    .trim();
+}
+
+// Paragraph / list-item chunks of one section, each with its heading path
+function chunkSection(key: string, titlePath: string[], content: string): Array<Omit<SearchChunk, "len">> {
+  const chunks: Array<Omit<SearchChunk, "len">> = [];
+  const headings: Array<[number, string]> = [];
+  let lines: string[] = [];
+
+  const flush = () => {
+    const text = lines.filter(Boolean).join(" ");
+    if (text) chunks.push({ key, path: [...titlePath, ...headings.map(([, t]) => t)], text });
+    lines = [];
+  };
+
+  for (const raw of content.split(/\r?\n/)) {
+    const m = raw.trim().match(HEADING_RE);
+    if (m) {
+      flush();
+      const level = m[1]!.length;
+      while (headings.length && headings[headings.length - 1]![0] >= level) headings.pop();
+      headings.push([level, m[2]!.trim()]);
+    } else if (!raw.trim()) {
+      flush();
+    } else {
+      if (LIST_ITEM_RE.test(raw)) flush();
+      lines.push(plainLine(raw));
+    }
+  }
+  flush();
+  return chunks;
+}
+
+function indexChunks(source: Array<Omit<SearchChunk, "len">>): SearchIndex {
+  const chunks: SearchChunk[] = [];
+  const terms: SearchIndex["terms"] = {};
+  for (const chunk of source) {
+    const tokens = tokenize(`${chunk.path.join(" ")} ${chunk.text}`);
+    const n = chunks.length;
+    chunks.push({ key: chunk.key, path: chunk.path, text: chunk.text, len: tokens.length });
+    const counts = new Map<string, number>();
+    for (const t of tokens) counts.set(t, (counts.get(t) ?? 0) + 1);
+    for (const [t, tf] of counts) (terms[t] ??= []).push([n, tf]);
+  }
+  return { version: SEARCH_INDEX_VERSION, built_at: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"), chunks, terms };
+}
+
+export function buildSearchIndex(sections: Array<{ key: string; path: string[]; content: string }>): SearchIndex {
+  return indexChunks(sections.flatMap((section) => chunkSection(section.key, section.path, section.content)));
+}
+
+// The index with one section's chunks swapped for `section` (null: the section was deleted)
+export function replaceSection(index: SearchIndex, key: string, section: { path: string[]; content: string } | null): SearchIndex {
+  return indexChunks([
+    ...index.chunks.filter((c) => c.key !== key),
+    ...(section ? chunkSection(key, section.path, section.content) : []),
+  ]);
+}
+
+export function isSearchIndex(v: unknown): v is SearchIndex {
+  const idx = v as SearchIndex;
+  return !!idx && idx.version === SEARCH_INDEX_VERSION && Array.isArray(idx.chunks) && typeof idx.terms === "object";
+}
+
+// Index terms a query term matches, with their weight
+function expandTerm(index: SearchIndex, q: string): Array<[string, number]> {
+  const out: Array<[string, number]> = index.terms[q] ? [[q, 1]] : [];
+  if (q.length < MIN_PREFIX) return out;
+  for (const term of Object.keys(index.terms)) {
+    if (term !== q && term.length >= MIN_PREFIX && (term.startsWith(q) || q.startsWith(term))) out.push([term, PREFIX_WEIGHT]);
+  }
+  return out;
+}
+
+function snippetFor(text: string, terms: string[]): string {
+  if (text.length <= SNIPPET_CHARS) return text;
+  const lower = text.toLowerCase();
+  const hit = Math.min(...terms.map((t) => lower.search(new RegExp(`\\b${t}`))).filter((i) => i >= 0), text.length);
+  const start = Math.max(0, Math.min(hit - Math.floor(SNIPPET_CHARS / 3), text.length - SNIPPET_CHARS));
+  const end = start + SNIPPET_CHARS;
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
+
+export function searchIndex(index: SearchIndex, query: string, limit: number): { hits: SearchHit[]; total: number; terms: string[] } {
+  const all = [...new Set(tokenize(query))];
+  const terms = all.filter((t) => !STOPWORDS.has(t));
+  const queryTerms = terms.length ? terms : all;
+
+  const n = index.chunks.length;
+  const avgLen = n ? index.chunks.reduce((sum, c) => sum + c.len, 0) / n : 0;
+  const scores = new Map<number, { score: number; matched: Set<string> }>();
+
+  for (const q of queryTerms) {
+    for (const [term, weight] of expandTerm(index, q)) {
+      const postings = index.terms[term] ?? [];
+      const idf = Math.log(1 + (n - postings.length + 0.5) / (postings.length + 0.5));
+      for (const [chunkNo, tf] of postings) {
+        const chunk = index.chunks[chunkNo];
+        if (!chunk) continue;
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * (chunk.len / (avgLen || 1))));
+        const entry = scores.get(chunkNo) ?? { score: 0, matched: new Set<string>() };
+        entry.score += weight * idf * norm;
+        entry.matched.add(term);
+        scores.set(chunkNo, entry);
+      }
+    }
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1].score - a[1].score);
+  const hits = ranked.slice(0, limit).map(([chunkNo, { score, matched }]) => {
+    const chunk = index.chunks[chunkNo]!;
+    return { chunk, score: Math.round(score * 1000) / 1000, snippet: snippetFor(chunk.text, [...matched]), matched: [...matched] };
+  });
+  return { hits, total: ranked.length, terms: queryTerms };
+}
@@ -0,0 +1,34 @@
+// src/sessions.ts
+// Client sessions (Mcp-Session-Id, issued at initialize) and the section set each one was
+// last told about, kept in KV under "__mcp/<prefix>sessions/<id>" (state.ts) so every
+// isolate sees the same state.
+
+import type { KVNamespace } from "@cloudflare/workers-types";
+import { statePrefix } from "./state";
+
+export const SESSION_HEADER = "Mcp-Session-Id";
+const SESSION_TTL = 24 * 60 * 60; // seconds; renewed whenever the session is told about a new set
+const SESSION_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function sessionKey(prefix: string, session: string): string {
+  return `${statePrefix(prefix, "sessions")}${session}`;
+}
+
+export function newSessionId(): string {
+  return crypto.randomUUID();
+}
+
+// The request's session id, or null when it carries none (or not one we issued)
+export function sessionFrom(request: Request): string | null {
+  const session = request.headers.get(SESSION_HEADER)?.trim().toLowerCase();
+  return session && SESSION_ID_RE.test(session) ? session : null;
+}
+
+// Section signature the session was last given, or null if it has not listed tools yet
+export async function getAnnounced(kv: KVNamespace, prefix: string, session: string): Promise<string | null> {
+  return kv.get(sessionKey(prefix, session));
+}
+
+export async function setAnnounced(kv: KVNamespace, prefix: string, session: string, signature: string): Promise<void> {
+  await kv.put(sessionKey(prefix, session), signature, { expirationTtl: SESSION_TTL });
+}
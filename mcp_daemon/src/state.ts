@@ -0,0 +1,17 @@
+// src/state.ts
+// Where the worker keeps its own records (client sessions, section versions): under the
+// fixed "__mcp/" root, outside SECTIONS_PREFIX, so section discovery never pages through
+// them. With an empty prefix every key is listed, so bind a separate STATE namespace.
+
+import type { KVNamespace } from "@cloudflare/workers-types";
+
+export const STATE_ROOT = "__mcp/";
+
+// "__mcp/<sections prefix><kind>/" — one profile's records stay apart from another's
+export function statePrefix(prefix: string, kind: "sessions" | "versions"): string {
+  return `${STATE_ROOT}${prefix}${kind}/`;
+}
+
+export function stateKV(env: { KV: KVNamespace; STATE?: KVNamespace }): KVNamespace {
+  return env.STATE ?? env.KV;
+}
@@ -0,0 +1,99 @@
+// src/versions.ts
+// Previous values of sections changed through the write tools, kept in KV under
+// "__mcp/<prefix>versions/<encoded section key>/<version id>" (state.ts).
+// Version ids are the save time plus a random suffix, so two writes in the same
+// millisecond keep both values and ids still sort oldest first.
+
+import type { KVNamespace } from "@cloudflare/workers-types";
+import { statePrefix } from "./state";
+
+export const MAX_VERSIONS = 20; // per section; older ones are dropped
+
+export interface VersionMetadata {
+  saved_at: string;
+  reason: "update" | "delete" | "restore"; // the write that replaced this value
+  title?: string;
+  description?: string;
+  size: number; // characters
+}
+
+export interface SectionVersion extends VersionMetadata {
+  version: string; // "<ISO timestamp>-<8 hex digits>" (older versions: timestamp only)
+  key: string;
+}
+
+function versionsPrefix(prefix: string, rest: string): string {
+  return `${statePrefix(prefix, "versions")}${encodeURIComponent(rest)}/`;
+}
+
+// Oldest first
+async function listVersionKeys(kv: KVNamespace, prefix: string, rest: string) {
+  const keys: Array<{ name: string; metadata?: VersionMetadata | null }> = [];
+  let cursor: string | undefined;
+  do {
+    const page = await kv.list<VersionMetadata>({ prefix: versionsPrefix(prefix, rest), cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Keep `value` as a version of the section, then trim to MAX_VERSIONS
+export async function saveVersion(
+  kv: KVNamespace,
+  prefix: string,
+  rest: string,
+  value: string,
+  meta: { title?: string; description?: string } | null,
+  reason: VersionMetadata["reason"]
+): Promise<string> {
+  const savedAt = new Date().toISOString();
+  const version = `${savedAt}-${crypto.randomUUID().slice(0, 8)}`;
+  const metadata: VersionMetadata = { saved_at: savedAt, reason, size: value.length };
+  if (meta?.title) metadata.title = meta.title;
+  if (meta?.description) metadata.description = meta.description;
+  await kv.put(`${versionsPrefix(prefix, rest)}${version}`, value, { metadata });
+
+  const keys = await listVersionKeys(kv, prefix, rest);
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_VERSIONS)).map((k) => kv.delete(k.name)));
+  return version;
+}
+
+// Key paths (under the prefix) of every section with saved versions, including deleted ones
+export async function versionedSections(kv: KVNamespace, prefix: string): Promise<string[]> {
+  const base = statePrefix(prefix, "versions");
+  const rests = new Set<string>();
+  let cursor: string | undefined;
+  do {
+    const page = await kv.list({ prefix: base, cursor });
+    for (const k of page.keys) rests.add(decodeURIComponent(k.name.slice(base.length).split("/")[0]!));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return [...rests];
+}
+
+// Newest first
+export async function listVersions(kv: KVNamespace, prefix: string, rest: string): Promise<SectionVersion[]> {
+  const base = versionsPrefix(prefix, rest);
+  return (await listVersionKeys(kv, prefix, rest))
+    .reverse()
+    .map((k) => ({
+      version: k.name.slice(base.length),
+      key: k.name,
+      saved_at: k.metadata?.saved_at ?? k.name.slice(base.length, base.length + 24),
+      reason: k.metadata?.reason ?? "update",
+      ...(k.metadata?.title ? { title: k.metadata.title } : {}),
+      ...(k.metadata?.description ? { description: k.metadata.description } : {}),
+      size: k.metadata?.size ?? 0,
+    }));
+}
+
+export async function getVersion(
+  kv: KVNamespace,
+  prefix: string,
+  rest: string,
+  version: string
+): Promise<{ value: string; metadata: VersionMetadata | null } | null> {
+  const { value, metadata } = await kv.getWithMetadata<VersionMetadata>(`${versionsPrefix(prefix, rest)}${version}`);
+  return value === null ? null : { value, metadata };
+}
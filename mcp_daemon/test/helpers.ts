@@ -0,0 +1,63 @@
+import worker from "../src/index";
+
+// In-memory KV namespace: enough of the binding for the worker (get, getWithMetadata,
+// put, delete, list), with listing that can lag behind writes like the real one
+export function memoryKV(entries: Record<string, string> = {}) {
+  const store = new Map<string, { value: string; metadata?: unknown; expirationTtl?: number }>();
+  for (const [k, v] of Object.entries(entries)) store.set(k, { value: v });
+  let frozen: typeof store | null = null;
+  const kv = {
+    store,
+    lists: 0, // list() calls
+    listed: [] as string[], // every key list() has returned
+    // list() keeps returning the current keys until unfreezeList()
+    freezeList() { frozen = new Map(store); },
+    unfreezeList() { frozen = null; },
+    async get(key: string, type?: string) {
+      const e = store.get(key);
+      if (!e) return null;
+      return type === "json" ? JSON.parse(e.value) : e.value;
+    },
+    async getWithMetadata(key: string) {
+      const e = store.get(key);
+      return { value: e ? e.value : null, metadata: e?.metadata ?? null };
+    },
+    async put(key: string, value: string, opts: { metadata?: unknown; expirationTtl?: number } = {}) {
+      store.set(key, { value: String(value), metadata: opts.metadata, expirationTtl: opts.expirationTtl });
+    },
+    async delete(key: string) {
+      store.delete(key);
+    },
+    async list({ prefix = "" }: { prefix?: string; cursor?: string } = {}) {
+      const keys = [...(frozen ?? store).entries()]
+        .filter(([k]) => k.startsWith(prefix))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, e]) => ({ name, metadata: e.metadata ?? null }));
+      kv.lists++;
+      kv.listed.push(...keys.map((k) => k.name));
+      return { keys, list_complete: true, cursor: undefined };
+    },
+  };
+  return kv;
+}
+
+export async function rpc(
+  env: Record<string, unknown>,
+  method: string,
+  params: Record<string, unknown> = {},
+  headers: Record<string, string> = {}
+): Promise<Response> {
+  const req = new Request("https://worker.test/", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  return worker.fetch(req, env as any);
+}
+
+// JSON-RPC messages of a response, whether plain JSON or an event stream
+export async function messages(res: Response): Promise<any[]> {
+  const text = await res.text();
+  if (!(res.headers.get("Content-Type") ?? "").includes("text/event-stream")) return [JSON.parse(text)];
+  return text.split("\n").filter((l) => l.startsWith("data: ")).map((l) => JSON.parse(l.slice(6)));
+}
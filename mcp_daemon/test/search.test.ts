@@ -0,0 +1,127 @@
+import { describe, expect, test } from "bun:test";
+import { buildSearchIndex, replaceSection, searchIndex, type SearchIndex } from "../src/search";
+import profile from "./fixtures/profile.kv.json";
+import flat from "./fixtures/profile.flat.kv.json";
+import edited from "./fixtures/profile.edited.kv.json";
+
+// The fixtures are convert_to_json.py output for profile.md / profile.edited.md; after a
+// change to the script, regenerate them from this package directory:
+//   python3 convert_to_json.py test/fixtures/profile.md test/fixtures/profile.kv.json --pretty
+//   python3 convert_to_json.py test/fixtures/profile.md test/fixtures/profile.flat.kv.json --flatten --pretty
+//   python3 convert_to_json.py test/fixtures/profile.edited.md test/fixtures/profile.edited.kv.json --pretty
+
+type BulkRecord = { key: string; value: string; metadata?: { title: string } };
+
+// Sections as the worker sees them (path from the metadata title), plus the script's index
+function fromBulk(bulk: BulkRecord[]) {
+  const sections = bulk
+    .filter((r) => r.metadata)
+    .map((r) => ({ key: r.key, path: r.metadata!.title.split(" / "), content: r.value }));
+  const index = JSON.parse(bulk.find((r) => r.key === "_search_index")!.value) as SearchIndex;
+  return { sections, index };
+}
+
+const contentOf = ({ chunks, terms }: SearchIndex) => ({ chunks, terms });
+
+describe("index built by convert_to_json.py", () => {
+  test.each([["top-level sections", profile], ["flattened sections", flat]])("buildSearchIndex matches the script for %s", (_, bulk) => {
+    const { sections, index } = fromBulk(bulk as BulkRecord[]);
+    expect(contentOf(buildSearchIndex(sections))).toEqual(contentOf(index));
+  });
+
+  test("replaceSection on the script's index matches the script run on the edited file", () => {
+    const before = fromBulk(profile as BulkRecord[]);
+    const after = fromBulk(edited as BulkRecord[]);
+    const skills = after.sections.find((s) => s.key === "skills")!;
+    expect(contentOf(replaceSection(before.index, "skills", skills))).toEqual(contentOf(after.index));
+  });
+
+  test("replaceSection with null drops only that section's chunks", () => {
+    const { index } = fromBulk(profile as BulkRecord[]);
+    const without = replaceSection(index, "experience", null);
+    expect(without.chunks.map((c) => c.key)).toEqual(index.chunks.map((c) => c.key).filter((k) => k !== "experience"));
+    expect(without.terms.kubernetes).toEqual([[without.chunks.findIndex((c) => c.key === "skills"), 1]]);
+  });
+});
+
+function index(...texts: string[]) {
+  return buildSearchIndex(texts.map((content, i) => ({ key: `s${i}`, path: [`s${i}`], content })));
+}
+const keys = (r: ReturnType<typeof searchIndex>) => r.hits.map((h) => h.chunk.key);
+
+describe("searchIndex ranking", () => {
+  test("more occurrences of a term rank higher", () => {
+    const idx = index("kafka once here with padding words", "kafka kafka twice here padding", "nothing relevant at all");
+    expect(keys(searchIndex(idx, "kafka", 10))).toEqual(["s1", "s0"]);
+  });
+
+  test("a shorter chunk ranks above a longer one with the same count", () => {
+    const idx = index(`kafka ${"filler ".repeat(30)}`, "kafka clusters", "unrelated text");
+    expect(keys(searchIndex(idx, "kafka", 10))).toEqual(["s1", "s0"]);
+  });
+
+  test("a rare term outweighs a common one", () => {
+    const idx = index("postgres tuning", "postgres backups", "postgres and kafka", "postgres replicas");
+    const { hits } = searchIndex(idx, "postgres kafka", 10);
+    expect(hits[0]!.chunk.key).toBe("s2");
+    expect(hits[0]!.matched.sort()).toEqual(["kafka", "postgres"]);
+  });
+
+  test("stopwords are ignored unless the query has nothing else", () => {
+    const idx = index("who is on call", "kubernetes upgrades");
+    expect(searchIndex(idx, "has he worked with kubernetes", 10).terms).toEqual(["worked", "kubernetes"]);
+    expect(searchIndex(idx, "who is", 10).terms).toEqual(["who", "is"]);
+    expect(keys(searchIndex(idx, "who is", 10))).toEqual(["s0"]);
+  });
+
+  test("limit caps hits but total counts every match", () => {
+    const idx = index("go one", "go two", "go three");
+    const res = searchIndex(idx, "go", 2);
+    expect(res.hits).toHaveLength(2);
+    expect(res.total).toBe(3);
+  });
+});
+
+describe("searchIndex prefix matches", () => {
+  test("a query prefix finds longer terms, and a longer query finds its stem", () => {
+    const idx = index("kubernetes operators", "work in progress");
+    expect(searchIndex(idx, "kube", 10).hits.map((h) => h.matched)).toEqual([["kubernetes"]]);
+    expect(searchIndex(idx, "worked", 10).hits.map((h) => h.matched)).toEqual([["work"]]);
+  });
+
+  test("exact matches outrank prefix matches", () => {
+    const idx = index("terraform modules", "terraforming mars");
+    const { hits } = searchIndex(idx, "terraform", 10);
+    expect(hits.map((h) => h.chunk.key)).toEqual(["s0", "s1"]);
+    expect(hits[0]!.score).toBeGreaterThan(hits[1]!.score);
+  });
+
+  test("short terms do not expand", () => {
+    const idx = index("kubernetes", "gopher");
+    expect(searchIndex(idx, "kub", 10).hits).toEqual([]);
+    expect(searchIndex(idx, "go", 10).hits).toEqual([]);
+  });
+});
+
+describe("searchIndex snippets", () => {
+  test("short chunks are returned whole", () => {
+    const { hits } = searchIndex(index("Ran Kafka clusters."), "kafka", 1);
+    expect(hits[0]!.snippet).toBe("Ran Kafka clusters.");
+  });
+
+  test("long chunks are cut around the first hit", () => {
+    const text = `${"lead in words ".repeat(30)}the Kafka migration finished early ${"trailing words ".repeat(30)}`.trim();
+    const { snippet } = searchIndex(index(text), "kafka", 1).hits[0]!;
+    expect(snippet.startsWith("…")).toBe(true);
+    expect(snippet.endsWith("…")).toBe(true);
+    expect(snippet).toContain("the Kafka migration finished early");
+    expect(snippet.length).toBeLessThanOrEqual(202);
+  });
+
+  test("a hit near the end keeps the window inside the text", () => {
+    const text = `${"lead in words ".repeat(30)}ends with kafka`;
+    const { snippet } = searchIndex(index(text), "kafka", 1).hits[0]!;
+    expect(snippet.endsWith("ends with kafka")).toBe(true);
+    expect(snippet.startsWith("…")).toBe(true);
+  });
+});
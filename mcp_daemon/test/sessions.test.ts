@@ -0,0 +1,104 @@
+import { describe, expect, test } from "bun:test";
+import { memoryKV, messages, rpc } from "./helpers";
+
+const SSE = { Accept: "application/json, text/event-stream" };
+const LIST_CHANGED = "notifications/tools/list_changed";
+
+async function session(env: Record<string, unknown>): Promise<Record<string, string>> {
+  const res = await rpc(env, "initialize");
+  const id = res.headers.get("Mcp-Session-Id");
+  expect(id).toBeTruthy();
+  await rpc(env, "tools/list", {}, { "Mcp-Session-Id": id! });
+  return { ...SSE, "Mcp-Session-Id": id! };
+}
+
+async function notified(env: Record<string, unknown>, headers: Record<string, string>, name = "about_me") {
+  const msgs = await messages(await rpc(env, "tools/call", { name, arguments: {} }, headers));
+  return msgs.some((m) => m.method === LIST_CHANGED);
+}
+
+describe("list_changed", () => {
+  test("every session is told about a change, once", async () => {
+    const kv = memoryKV({ about_me: "Hi" });
+    const env = { KV: kv, SECTIONS_CACHE_TTL: "0" };
+    const a = await session(env);
+    const b = await session(env);
+
+    expect(await notified(env, a)).toBe(false);
+    await kv.put("projects", "Things I built");
+
+    expect(await notified(env, a)).toBe(true);
+    expect(await notified(env, a)).toBe(false);
+    // a's notification does not use up b's
+    expect(await notified(env, b)).toBe(true);
+  });
+
+  test("any tool call carries the notification, not only section reads", async () => {
+    const kv = memoryKV({ about_me: "Hi" });
+    const env = { KV: kv, SECTIONS_CACHE_TTL: "0" };
+    const a = await session(env);
+    await kv.put("projects", "Things I built");
+    await kv.put("_search_index", JSON.stringify({ version: 1, built_at: "2026-01-01T00:00:00Z", chunks: [], terms: {} }));
+
+    const msgs = await messages(await rpc(env, "tools/call", { name: "search_profile", arguments: { query: "built" } }, a));
+    expect(msgs[0].method).toBe(LIST_CHANGED);
+    expect(msgs[1].result).toBeDefined();
+  });
+
+  test("a session that has not listed tools, or sends no id, gets plain JSON", async () => {
+    const kv = memoryKV({ about_me: "Hi" });
+    const env = { KV: kv, SECTIONS_CACHE_TTL: "0" };
+    const id = (await rpc(env, "initialize")).headers.get("Mcp-Session-Id")!;
+    await kv.put("projects", "Things I built");
+
+    const fresh = await rpc(env, "tools/call", { name: "about_me", arguments: {} }, { ...SSE, "Mcp-Session-Id": id });
+    expect(fresh.headers.get("Content-Type")).toContain("application/json");
+    const anonymous = await rpc(env, "tools/call", { name: "about_me", arguments: {} }, SSE);
+    expect(anonymous.headers.get("Content-Type")).toContain("application/json");
+  });
+
+  test("session records live outside the sections prefix and expire", async () => {
+    const kv = memoryKV({ "s4/about_me": "Hi" });
+    const env = { KV: kv, SECTIONS_PREFIX: "s4/", SECTIONS_CACHE_TTL: "0" };
+    await session(env);
+    const [key, entry] = [...kv.store.entries()].find(([k]) => k.includes("sessions/"))!;
+    expect(key).toMatch(/^__mcp\/s4\/sessions\/[0-9a-f-]{36}$/);
+    expect(entry.expirationTtl).toBeGreaterThan(0);
+
+    // discovery lists the sections prefix only, so it never sees session records
+    await rpc(env, "tools/list");
+    expect(kv.listed.every((name) => name.startsWith("s4/"))).toBe(true);
+  });
+
+  test("a STATE binding takes the session records", async () => {
+    const kv = memoryKV({ about_me: "Hi" });
+    const state = memoryKV();
+    const env = { KV: kv, STATE: state, SECTIONS_CACHE_TTL: "0" };
+    await session(env);
+    expect([...kv.store.keys()]).toEqual(["about_me"]);
+    expect([...state.store.keys()]).toEqual([expect.stringMatching(/^__mcp\/sessions\//)]);
+  });
+
+  test("reserved keys are not listed as tools", async () => {
+    const kv = memoryKV({ about_me: "Hi" });
+    const env = { KV: kv, SECTIONS_CACHE_TTL: "0" };
+    await session(env);
+
+    const tools = (await messages(await rpc(env, "tools/list")))[0].result.tools.map((t: any) => t.name);
+    expect(tools).toEqual(["search_profile", "about_me"]);
+  });
+});
+
+describe("unknown tool names", () => {
+  test("list KV again at most once per cache TTL", async () => {
+    const kv = memoryKV({ "s6/about_me": "Hi" });
+    const env = { KV: kv, SECTIONS_PREFIX: "s6/" };
+    await rpc(env, "tools/list");
+    const before = kv.lists;
+    for (const name of ["nope_1", "nope_2", "nope_3"]) {
+      const [msg] = await messages(await rpc(env, "tools/call", { name, arguments: {} }));
+      expect(msg.error.code).toBe(-32601);
+    }
+    expect(kv.lists - before).toBe(1);
+  });
+});
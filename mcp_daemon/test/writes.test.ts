@@ -0,0 +1,100 @@
+import { afterEach, describe, expect, setSystemTime, test } from "bun:test";
+import { buildSearchIndex } from "../src/search";
+import { listVersions, saveVersion } from "../src/versions";
+import { memoryKV, messages, rpc } from "./helpers";
+
+afterEach(() => setSystemTime());
+
+const AUTH = { Authorization: "Bearer secret" };
+
+// Each test uses its own prefix: the discovered section list is cached per isolate
+function setup(prefix: string) {
+  const kv = memoryKV({ [`${prefix}about_me`]: "Hi, I lead platform teams." });
+  const index = buildSearchIndex([{ key: `${prefix}about_me`, path: ["about_me"], content: "Hi, I lead platform teams." }]);
+  kv.store.set(`${prefix}_search_index`, { value: JSON.stringify(index) });
+  return { kv, env: { KV: kv, SECTIONS_PREFIX: prefix, MCP_API_KEY: "secret" } };
+}
+
+async function call(env: Record<string, unknown>, name: string, args: Record<string, unknown>) {
+  const [msg] = await messages(await rpc(env, "tools/call", { name, arguments: args }, AUTH));
+  return msg;
+}
+
+async function toolNames(env: Record<string, unknown>): Promise<string[]> {
+  const [msg] = await messages(await rpc(env, "tools/list"));
+  return msg.result.tools.map((t: { name: string }) => t.name);
+}
+
+describe("writes while KV listings lag", () => {
+  test("a new section is listed and searchable straight away", async () => {
+    const { kv, env } = setup("w1/");
+    await toolNames(env);
+    kv.freezeList();
+
+    await call(env, "update_section", { section: "projects", content: "Ran Kubernetes clusters at scale." });
+    expect(await toolNames(env)).toContain("projects");
+    const found = await call(env, "search_profile", { query: "kubernetes" });
+    expect(found.result.structuredContent.results.map((r: { section: string }) => r.section)).toEqual(["projects"]);
+    // the other sections stay in the index
+    const kept = await call(env, "search_profile", { query: "platform" });
+    expect(kept.result.structuredContent.total).toBe(1);
+  });
+
+  test("a deleted section drops out of the list and the index", async () => {
+    const { kv, env } = setup("w2/");
+    await toolNames(env);
+    kv.freezeList();
+
+    await call(env, "delete_section", { section: "about_me" });
+    expect(await toolNames(env)).not.toContain("about_me");
+    const found = await call(env, "search_profile", { query: "platform" });
+    expect(found.result.structuredContent.total).toBe(0);
+  });
+});
+
+describe("versions", () => {
+  test("two saves in the same millisecond keep both values", async () => {
+    const kv = memoryKV();
+    setSystemTime(new Date("2026-03-01T12:00:00.000Z"));
+    const a = await saveVersion(kv as any, "", "about_me", "first", null, "update");
+    const b = await saveVersion(kv as any, "", "about_me", "second", null, "update");
+    expect(a).not.toBe(b);
+    const versions = await listVersions(kv as any, "", "about_me");
+    expect(versions).toHaveLength(2);
+    expect(versions.every((v) => v.saved_at === "2026-03-01T12:00:00.000Z")).toBe(true);
+  });
+
+  test("restore accepts suffixed and older timestamp-only ids", async () => {
+    const { kv, env } = setup("w3/");
+    await call(env, "update_section", { section: "about_me", content: "Hello again." });
+    const listed = await call(env, "list_section_versions", { section: "about_me" });
+    const version = listed.result.structuredContent.versions[0].version;
+    expect(version).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z-[0-9a-f]{8}$/);
+    expect((await call(env, "restore_section_version", { section: "about_me", version })).result).toBeDefined();
+
+    kv.store.set(`__mcp/w3/versions/about_me/2025-01-01T00:00:00.000Z`, { value: "Old text." });
+    const old = await call(env, "restore_section_version", { section: "about_me", version: "2025-01-01T00:00:00.000Z" });
+    expect(old.result.structuredContent.restored).toBe("2025-01-01T00:00:00.000Z");
+    expect(kv.store.get("w3/about_me")!.value).toBe("Old text.");
+  });
+});
+
+describe("deleted sections", () => {
+  test("a flattened section is restored by the tool name delete_section returned", async () => {
+    const kv = memoryKV({ "w4/how_i_work/leadership": "Servant leadership." });
+    const env = { KV: kv, SECTIONS_PREFIX: "w4/", MCP_API_KEY: "secret" };
+
+    const deleted = await call(env, "delete_section", { section: "how_i_work.leadership" });
+    const name = deleted.result.structuredContent.section;
+    expect(name).toBe("how_i_work.leadership");
+
+    const listed = await call(env, "list_section_versions", { section: name });
+    expect(listed.result.structuredContent.key).toBe("w4/how_i_work/leadership");
+    const [{ version }] = listed.result.structuredContent.versions;
+
+    const restored = await call(env, "restore_section_version", { section: name, version });
+    expect(restored.result.structuredContent.key).toBe("w4/how_i_work/leadership");
+    expect(kv.store.get("w4/how_i_work/leadership")!.value).toBe("Servant leadership.");
+    expect(kv.store.has("w4/how_i_work.leadership")).toBe(false);
+  });
+});
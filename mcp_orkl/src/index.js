@@ -1,5 +1,7 @@
 // index.js — ORKL MCP Worker (token-safe, pagination-ready, with search + title resolution)
 
+import { budgetSchemaProps, enforceSizeBudget } from "./budget.js";
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -36,7 +38,6 @@ export default {
     const method = rpc?.method;
 
     // ---------- token-safety helpers ----------
-    const MAX_JSON_BYTES = 100 * 1024;   // ~100 KB cap for structuredContent
     const MAX_TEXT_CHARS = 5000;         // clipped text max when requested
 
     function summarizePlainText(txt, maxLen = 400) {
@@ -49,19 +50,6 @@ export default {
       if (typeof s !== "string" || !n || n <= 0) return undefined;
       return s.length <= n ? s : s.slice(0, n) + "… [truncated]";
     }
-    function enforceSizeBudget(obj, maxBytes = MAX_JSON_BYTES) {
-      const bytes = new TextEncoder().encode(JSON.stringify(obj)).byteLength;
-      if (bytes > maxBytes && obj && obj.data) {
-        const arr = Array.isArray(obj.data) ? obj.data : [obj.data];
-        for (const item of arr) {
-          if (item && typeof item.summary === "string" && item.summary.length > 200) {
-            item.summary = item.summary.slice(0, 200) + "…";
-          }
-        }
-      }
-      return obj;
-    }
-
     const isUuid = (s) =>
       typeof s === "string" &&
       /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(s);
@@ -69,6 +57,104 @@ export default {
     const isSha1 = (s) =>
       typeof s === "string" && /^[0-9a-f]{40}$/i.test(s);
 
+    // ---------- entry lookup helpers ----------
+    function rpcError(code, message, data) {
+      const err = new Error(message);
+      err.rpcCode = code;
+      err.rpcData = data;
+      return err;
+    }
+
+    function entryPath(idArg) {
+      return isSha1(idArg)
+        ? `https://orkl.eu/api/v1/library/entry/sha1/${encodeURIComponent(idArg)}`
+        : `https://orkl.eu/api/v1/library/entry/${encodeURIComponent(idArg)}`;
+    }
+
+    // Resolve id (UUID/SHA-1) or title → id; throws rpcError on bad input, no match,
+    // or an ambiguous title (-32003, with the ranked candidates in error.data)
+    async function resolveEntryId(idArg, titleArg) {
+      if ((!idArg || typeof idArg !== "string") && (!titleArg || typeof titleArg !== "string")) {
+        throw rpcError(-32602, "Invalid params: provide id (UUID/SHA-1) or title");
+      }
+
+      // Resolve title → id when needed
+      if ((!idArg || (!isUuid(idArg) && !isSha1(idArg))) && titleArg) {
+        const searchPayload = await orklJson(
+          `https://orkl.eu/api/v1/library/search?query=${encodeURIComponent(titleArg)}&full=false&limit=${TITLE_CANDIDATE_LIMIT}`
+        );
+        const { match, candidates } = rankTitleCandidates(titleArg, searchPayload?.data || []);
+        if (match) return match.id;
+        if (!candidates.length) throw rpcError(-32002, `No report found for title "${titleArg}"`);
+
+        const list = candidates.slice(0, 5)
+          .map((c, i) => `${i + 1}. ${c.title} (${c.created_at ?? "undated"}) — id: ${c.id}, score ${c.score}`)
+          .join("\n");
+        throw rpcError(
+          -32003,
+          `Title "${titleArg}" is ambiguous (no single match at ${TITLE_MATCH_THRESHOLD}+ similarity). Ask the user which report, then pass its id:\n${list}`,
+          { kind: "ambiguous_title", threshold: TITLE_MATCH_THRESHOLD, candidates }
+        );
+      }
+
+      // validate final id
+      if (!isUuid(idArg) && !isSha1(idArg)) {
+        throw rpcError(-32602, "Invalid id format: use UUID or 40-char SHA-1");
+      }
+      return idArg;
+    }
+
+    // Fetch the full .txt for an entry
+    async function fetchEntryText(idArg) {
+      const infoResp = await fetch(entryPath(idArg), { headers: { accept: "application/json" }, cf: { fetchTtl: 60 } });
+      if (!infoResp.ok) throw new Error(`ORKL HTTP ${infoResp.status}`);
+      const info = await infoResp.json();
+
+      const txtUrl = info?.data?.files?.text;
+      if (!txtUrl) throw rpcError(-32001, "No .txt available for this entry");
+
+      const txtResp = await fetch(txtUrl, { headers: { accept: "text/plain" }, cf: { fetchTtl: 120 } });
+      if (!txtResp.ok) throw new Error(`TXT HTTP ${txtResp.status}`);
+      return { entry: info.data, text: await txtResp.text() };
+    }
+
+    // GET an ORKL API URL as JSON (null on 404)
+    async function orklJson(apiUrl, ttl = 60) {
+      const resp = await fetch(apiUrl, { headers: { accept: "application/json" }, cf: { fetchTtl: ttl } });
+      if (resp.status === 404) return null;
+      if (!resp.ok) throw new Error(`ORKL HTTP ${resp.status}`);
+      return resp.json();
+    }
+
+    // Threat actor / source records → slim shapes
+    function slimActor(a) {
+      return {
+        id: a.id,
+        name: a.main_name ?? a.name ?? null,
+        aliases: Array.isArray(a.aliases) ? a.aliases : [],
+        country: a.country ?? a.misc?.country ?? null
+      };
+    }
+    function slimSource(src) {
+      return { id: src.id, name: src.name ?? null, url: src.url ?? null };
+    }
+    function slimReport(e) {
+      return {
+        id: e.id,
+        title: e.title,
+        created_at: e.created_at,
+        pdf: e?.files?.pdf ?? null
+      };
+    }
+
+    // Library search used when an actor/source record doesn't embed its reports
+    async function searchReports(term, lim) {
+      const payload = await orklJson(
+        `https://orkl.eu/api/v1/library/search?query=${encodeURIComponent(term)}&full=false&limit=${encodeURIComponent(lim)}`
+      );
+      return (payload?.data || []).map(slimReport);
+    }
+
     // ---------- minimal schemas ----------
     const latestItemSchema = {
       type: "object",
@@ -99,6 +185,7 @@ export default {
       type: "object",
       additionalProperties: false,
       properties: {
+        ...budgetSchemaProps,
         status: { type: ["string", "null"] },
         message: { type: ["string", "null"] },
         data: { type: "array", items: latestItemSchema }
@@ -110,6 +197,7 @@ export default {
       type: "object",
       additionalProperties: false,
       properties: {
+        ...budgetSchemaProps,
         status: { type: ["string", "null"] },
         message: { type: ["string", "null"] },
         data: minimalEntrySchema
@@ -121,25 +209,187 @@ export default {
       type: "object",
       additionalProperties: false,
       properties: {
+        ...budgetSchemaProps,
         id: { type: "string" },
         page: { type: "integer" },
         nextPage: { type: ["integer", "null"] },
+        totalPages: { type: "integer" },
+        mode: { type: "string" },
+        start: { type: "integer" },
+        end: { type: "integer" },
+        section: { type: ["string", "null"] },
+        approxTokens: { type: "integer" },
         text: { type: "string" }
       },
       required: ["id", "page", "text"]
     };
 
+    // shared paging inputs (get_report_text_page and anything that reports page numbers)
+    const pagingInputProps = {
+      page_size: { type: "integer", default: 8000, minimum: 1000, maximum: 12000, description: "Target page size in characters" },
+      mode: {
+        type: "string",
+        enum: ["chars", "structured"],
+        default: "chars",
+        description: "chars: fixed-size slices; structured: break on paragraph/heading boundaries near the target size"
+      },
+      token_budget: {
+        type: "integer",
+        minimum: 250,
+        maximum: 3000,
+        description: "Optional: page by approximate tokens (~4 chars each) instead of page_size; implies structured mode"
+      }
+    };
+
+    function pagingOptions(args) {
+      const tokenBudget = Number.isInteger(args.token_budget) ? Math.min(3000, Math.max(250, args.token_budget)) : null;
+      const size = tokenBudget ? tokenBudget * CHARS_PER_TOKEN : Math.min(12000, Math.max(1000, args.page_size ?? 8000));
+      const mode = tokenBudget || args.mode === "structured" ? "structured" : "chars";
+      return { size, mode, tokenBudget };
+    }
+
+    const outputSchemaTextSearch = {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...budgetSchemaProps,
+        id: { type: "string" },
+        page_size: { type: "integer" },
+        total_matches: { type: "integer" },
+        match_cap_reached: { type: "boolean" },
+        offset: { type: "integer" },
+        matches: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              term: { type: "string" },
+              match: { type: "string" },
+              offset: { type: "integer" },
+              end: { type: "integer" },
+              page: { type: "integer" },
+              snippet: { type: "string" }
+            },
+            required: ["term", "offset", "page", "snippet"]
+          }
+        }
+      },
+      required: ["id", "matches"]
+    };
+
+    const outputSchemaIndicators = {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...budgetSchemaProps,
+        id: { type: "string" },
+        total_chars: { type: "integer" },
+        counts: { type: "object" },
+        suppressed: { type: "integer" },
+        offset: { type: "integer" },
+        indicators: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              type: { type: "string" },
+              value: { type: "string" },
+              count: { type: "integer" },
+              first_offset: { type: "integer" },
+              defanged: { type: "boolean" }
+            },
+            required: ["type", "value", "count", "first_offset"]
+          }
+        }
+      },
+      required: ["id", "indicators"]
+    };
+
+    const searchItemSchema = {
+      ...latestItemSchema,
+      properties: {
+        ...latestItemSchema.properties,
+        sha1: { type: ["string", "null"] },
+        matched_fields: { type: "array", items: { type: "string" } },
+        duplicate_ids: { type: "array", items: { type: "string" } }
+      }
+    };
+
     const outputSchemaSearch = {
       type: "object",
       additionalProperties: false,
       properties: {
+        ...budgetSchemaProps,
         status: { type: ["string", "null"] },
         message: { type: ["string", "null"] },
-        data: { type: "array", items: latestItemSchema }
+        total: { type: "integer" },
+        offset: { type: "integer" },
+        next_cursor: { type: ["string", "null"] },
+        scanned: { type: "integer" },
+        duplicates_removed: { type: "integer" },
+        data: { type: "array", items: searchItemSchema }
+      },
+      required: ["data"]
+    };
+
+    const actorSchema = {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        id: { type: "string" },
+        name: { type: ["string", "null"] },
+        aliases: { type: "array", items: { type: "string" } },
+        country: { type: ["string", "null"] }
+      },
+      required: ["id", "name"]
+    };
+
+    const outputSchemaActors = {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...budgetSchemaProps,
+        total: { type: "integer" },
+        offset: { type: "integer" },
+        data: { type: "array", items: actorSchema }
+      },
+      required: ["data"]
+    };
+
+    const outputSchemaActor = {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...budgetSchemaProps,
+        offset: { type: "integer" },
+        data: {
+          type: ["object", "null"],
+          properties: {
+            ...actorSchema.properties,
+            tools: { type: "array", items: { type: "string" } },
+            sources: { type: "array", items: { type: "string" } },
+            reports_from: { type: "string" },
+            reports: { type: "array", items: minimalEntrySchema }
+          }
+        }
       },
       required: ["data"]
     };
 
+    const outputSchemaSourceReports = {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...budgetSchemaProps,
+        offset: { type: "integer" },
+        source: { type: ["object", "null"] },
+        sources: { type: "array", items: { type: "object" } },
+        reports: { type: "array", items: minimalEntrySchema }
+      }
+    };
+
     // ---------- MCP methods ----------
     if (method === "initialize") {
       return json({
@@ -176,23 +426,24 @@ export default {
         {
           name: "fetch_threat_report_by_id",
           title: "Fetch Report by ID or SHA-1",
-          description: "Get one ORKL entry by UUID or 40-char SHA-1 (lightweight).",
+          description: "Get one ORKL entry by UUID or 40-char SHA-1 (lightweight). A title is resolved only on a confident match; otherwise ranked candidates are returned.",
           inputSchema: {
             type: "object",
             additionalProperties: false,
             properties: {
               id: { type: "string", description: "UUID or SHA-1" },
+              title: { type: "string", description: "Optional: report title to resolve to an ID" },
               include_text: { type: "boolean", default: false },
               max_text_chars: { type: "integer", default: 0 }
-            },
-            required: ["id"]
+            }
+            // either id or title required (validated in handler)
           },
           outputSchema: outputSchemaById
         },
         {
           name: "get_report_text_page",
           title: "Get report text (paged)",
-          description: "Returns a small page of the ORKL .txt for a given UUID/SHA1 or resolves by title.",
+          description: "Returns a small page of the ORKL .txt for a given UUID/SHA1 or resolves by title. Pages can follow paragraph/heading boundaries or a token budget; each page reports its section, offsets and the total page count.",
           inputSchema: {
             type: "object",
             additionalProperties: false,
@@ -200,7 +451,7 @@ export default {
               id: { type: "string", description: "UUID or SHA-1 (preferred)" },
               title: { type: "string", description: "Optional: report title to resolve to an ID" },
               page: { type: "integer", default: 1, minimum: 1 },
-              page_size: { type: "integer", default: 8000, minimum: 1000, maximum: 12000 }
+              ...pagingInputProps
             }
             // either id or title required (validated in handler)
           },
@@ -209,17 +460,120 @@ export default {
         {
           name: "search_library",
           title: "Search ORKL Library",
-          description: "Keyword search of ORKL reports; returns summary + PDF links.",
+          description: "Keyword search of ORKL reports with date bounds, newest-first ordering, paging and duplicate removal; returns summary + PDF links and which fields matched.",
           inputSchema: {
             type: "object",
             additionalProperties: false,
             properties: {
               search_term: { type: "string", description: "Use quotes for exact matches" },
-              limit: { type: "integer", minimum: 1, maximum: 100, default: 25 }
+              limit: { type: "integer", minimum: 1, maximum: 100, default: 25 },
+              after: { type: "string", description: "Only reports created on or after this date (YYYY-MM-DD)" },
+              before: { type: "string", description: "Only reports created before this date (YYYY-MM-DD)" },
+              order: { type: "string", enum: ["relevance", "newest"], default: "relevance" },
+              offset: { type: "integer", minimum: 0, default: 0 },
+              cursor: { type: "string", description: "Paging cursor from a previous call (next_cursor); overrides offset; only valid with the same search_term, after, before, order and dedupe" },
+              dedupe: { type: "boolean", default: true, description: "Collapse reposts sharing a SHA-1 or normalised title" }
             },
             required: ["search_term"]
           },
           outputSchema: outputSchemaSearch
+        },
+        {
+          name: "search_report_text",
+          title: "Search within a report's text",
+          description: "Finds terms or regexes in one ORKL report's .txt; returns snippets with context, character offsets and the get_report_text_page page each falls on (pass the same paging options).",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              id: { type: "string", description: "UUID or SHA-1 (preferred)" },
+              title: { type: "string", description: "Optional: report title to resolve to an ID" },
+              terms: {
+                type: "array",
+                items: { type: "string" },
+                minItems: 1,
+                maxItems: 20,
+                description: "Terms to find (plain text unless regex is true)"
+              },
+              regex: { type: "boolean", default: false, description: "Treat terms as JavaScript regular expressions (a repeated group containing a repeat, e.g. \"(a+)+\", is rejected)" },
+              case_sensitive: { type: "boolean", default: false },
+              context_chars: { type: "integer", default: 200, minimum: 0, maximum: 1000 },
+              max_matches: { type: "integer", default: 20, minimum: 1, maximum: 100 },
+              offset: { type: "integer", minimum: 0, default: 0, description: "Skip this many matches (continuation.offset of a previous call)" },
+              ...pagingInputProps
+            },
+            required: ["terms"]
+          },
+          outputSchema: outputSchemaTextSearch
+        },
+        {
+          name: "extract_indicators",
+          title: "Extract IOCs/CVEs from a report",
+          description: "Extracts IPs, domains, URLs, emails, MD5/SHA1/SHA256 hashes, CVE IDs, ATT&CK technique IDs and registry keys from an ORKL report's full text (defanged forms included). Deduplicated with counts and first-seen offsets; known-benign values are suppressed.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              id: { type: "string", description: "UUID or SHA-1 (preferred)" },
+              title: { type: "string", description: "Optional: report title to resolve to an ID" },
+              types: {
+                type: "array",
+                items: { type: "string", enum: INDICATOR_TYPES },
+                description: "Optional subset of indicator types to return"
+              },
+              include_benign: { type: "boolean", default: false, description: "Keep allowlisted values (vendor domains, private/reserved IPs)" },
+              max_per_type: { type: "integer", default: 200, minimum: 1, maximum: 1000 },
+              offset: { type: "integer", minimum: 0, default: 0, description: "Skip this many indicators (continuation.offset of a previous call)" }
+            }
+          },
+          outputSchema: outputSchemaIndicators
+        },
+        {
+          name: "list_threat_actors",
+          title: "List/Search Threat Actors",
+          description: "Lists ORKL threat actors; optional query matches names and aliases (e.g. 'APT29' finds 'Cozy Bear').",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              query: { type: "string", description: "Name or alias (case-insensitive substring)" },
+              limit: { type: "integer", minimum: 1, maximum: 100, default: 25 },
+              offset: { type: "integer", minimum: 0, default: 0 }
+            }
+          },
+          outputSchema: outputSchemaActors
+        },
+        {
+          name: "get_threat_actor",
+          title: "Get Threat Actor Profile",
+          description: "Threat actor profile by ORKL id or name/alias: aliases, country, tools and linked reports.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              id: { type: "string", description: "ORKL threat actor id" },
+              name: { type: "string", description: "Name or alias to resolve when id is unknown" },
+              report_limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+              offset: { type: "integer", minimum: 0, default: 0, description: "Skip this many linked reports (continuation.offset of a previous call)" }
+            }
+            // either id or name required (validated in handler)
+          },
+          outputSchema: outputSchemaActor
+        },
+        {
+          name: "list_reports_by_source",
+          title: "List Reports by Source",
+          description: "Lists ORKL reports published by a source (vendor/blog). Without a source, lists the known sources.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              source: { type: "string", description: "Source id or name (e.g. 'Mandiant')" },
+              limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+              offset: { type: "integer", minimum: 0, default: 0, description: "Skip this many reports (or sources, without a source)" }
+            }
+          },
+          outputSchema: outputSchemaSourceReports
         }
       ];
 
@@ -254,7 +608,7 @@ export default {
             status: payload?.status ?? null,
             message: payload?.message ?? null,
             data
-          });
+          }, { trim: ["summary", "title"], list: "data", listOffset: off });
 
           // chat preview: show count + first few titles **with IDs**
           const preview = data.slice(0, 3).map((e, i) =>
@@ -277,20 +631,9 @@ export default {
 
         // ---- By ID (UUID/SHA-1) minimal; optional clipped text in content
         if (name === "fetch_threat_report_by_id") {
-          const idArg = args.id;
-          if (!idArg || typeof idArg !== "string") {
-            return jsonRpcError(id, -32602, "Invalid params: id string required", cors);
-          }
-
-          const path = isSha1(idArg)
-            ? `https://orkl.eu/api/v1/library/entry/sha1/${encodeURIComponent(idArg)}`
-            : isUuid(idArg)
-              ? `https://orkl.eu/api/v1/library/entry/${encodeURIComponent(idArg)}`
-              : null;
-
-          if (!path) return jsonRpcError(id, -32602, "Invalid id format: use UUID or 40-char SHA-1", cors);
+          const idArg = await resolveEntryId(args.id, args.title);
 
-          const resp = await fetch(path, { headers: { accept: "application/json" }, cf: { fetchTtl: 60 } });
+          const resp = await fetch(entryPath(idArg), { headers: { accept: "application/json" }, cf: { fetchTtl: 60 } });
           if (resp.status === 404) {
             return json({
               jsonrpc: "2.0",
@@ -339,60 +682,188 @@ export default {
 
         // ---- Paged .txt fetch (safe chunk), accepts id OR title
         if (name === "get_report_text_page") {
-          let idArg = args.id;
-          const titleArg = args.title;
           const page = Math.max(1, args.page ?? 1);
-          const size = Math.min(12000, Math.max(1000, args.page_size ?? 8000));
+          const { size, mode } = pagingOptions(args);
 
-          if ((!idArg || typeof idArg !== "string") && (!titleArg || typeof titleArg !== "string")) {
-            return jsonRpcError(id, -32602, "Invalid params: provide id (UUID/SHA-1) or title", cors);
-          }
+          const idArg = await resolveEntryId(args.id, args.title);
+          const { text: raw } = await fetchEntryText(idArg);
+
+          const pages = paginateText(raw, { size, mode });
+          const range = pages[page - 1];
+          const slice = range ? raw.slice(range.start, range.end) : "";
+          const next = page < pages.length ? page + 1 : null;
+          const start = range ? range.start : raw.length;
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: slice.length ? slice : "[empty page]" }],
+              structuredContent: enforceSizeBudget({
+                id: idArg,
+                page,
+                nextPage: next,
+                totalPages: pages.length,
+                mode,
+                start,
+                end: range ? range.end : start,
+                section: range?.section ?? null,
+                approxTokens: Math.ceil(slice.length / CHARS_PER_TOKEN),
+                text: slice
+              }, { trim: ["section"], list: null, text: "text", textOffset: start })
+            }
+          }, cors);
+        }
+
+        // ---- Threat actors: list / search by name or alias
+        if (name === "list_threat_actors") {
+          const lim = Math.max(1, Math.min(100, args.limit ?? 25));
+          const off = Math.max(0, args.offset ?? 0);
+          const q = typeof args.query === "string" ? args.query.trim().toLowerCase() : "";
+
+          const payload = await orklJson("https://orkl.eu/api/v1/ta/entries", 3600);
+          const all = (payload?.data || []).map(slimActor);
+          const hits = q
+            ? all.filter((a) => [a.name, ...a.aliases].some((n) => typeof n === "string" && n.toLowerCase().includes(q)))
+            : all;
+          const data = hits.slice(off, off + lim);
+
+          const preview = data.slice(0, 10).map((a, i) =>
+            `${off + i + 1}. ${a.name}${a.aliases.length ? ` (aka ${a.aliases.slice(0, 4).join(", ")})` : ""} — id: ${a.id}`
+          ).join("\n");
+          const line = data.length
+            ? `${hits.length} threat actor(s)${q ? ` matching "${args.query}"` : ""} (offset ${off}).\n${preview}`
+            : `No threat actors${q ? ` matching "${args.query}"` : ""} for offset ${off}.`;
 
-          // Resolve title → id when needed
-          if ((!idArg || (!isUuid(idArg) && !isSha1(idArg))) && titleArg) {
-            const s = await fetch(
-              `https://orkl.eu/api/v1/library/search?query=${encodeURIComponent(titleArg)}&full=false&limit=1`,
-              { headers: { accept: "application/json" }, cf: { fetchTtl: 60 } }
-            );
-            if (!s.ok) throw new Error(`ORKL HTTP ${s.status}`);
-            const searchPayload = await s.json();
-            const hit = searchPayload?.data?.[0];
-            if (!hit?.id) {
-              return jsonRpcError(id, -32002, `No report found for title "${titleArg}"`, cors);
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: line }],
+              structuredContent: enforceSizeBudget({ total: hits.length, offset: off, data }, { trim: [], list: "data", listOffset: off })
             }
-            idArg = hit.id; // resolved id from title
+          }, cors);
+        }
+
+        // ---- Threat actor profile + linked reports
+        if (name === "get_threat_actor") {
+          let actorId = typeof args.id === "string" && args.id ? args.id : null;
+          const nameArg = typeof args.name === "string" ? args.name.trim() : "";
+          if (!actorId && !nameArg) {
+            return jsonRpcError(id, -32602, "Invalid params: provide id or name", cors);
           }
+          const reportLimit = Math.max(1, Math.min(50, args.report_limit ?? 10));
+          const off = Math.max(0, args.offset ?? 0);
 
-          // validate final id
-          if (!isUuid(idArg) && !isSha1(idArg)) {
-            return jsonRpcError(id, -32602, "Invalid id format: use UUID or 40-char SHA-1", cors);
+          // Resolve name/alias → id: exact match first, then substring
+          if (!actorId) {
+            const payload = await orklJson("https://orkl.eu/api/v1/ta/entries", 3600);
+            const q = nameArg.toLowerCase();
+            const names = (a) => [a.main_name ?? a.name, ...(a.aliases || [])].filter((n) => typeof n === "string").map((n) => n.toLowerCase());
+            const list = payload?.data || [];
+            const hit = list.find((a) => names(a).includes(q)) || list.find((a) => names(a).some((n) => n.includes(q)));
+            if (!hit?.id) return jsonRpcError(id, -32002, `No threat actor found for "${nameArg}"`, cors);
+            actorId = hit.id;
           }
 
-          const infoPath = isSha1(idArg)
-            ? `https://orkl.eu/api/v1/library/entry/sha1/${encodeURIComponent(idArg)}`
-            : `https://orkl.eu/api/v1/library/entry/${encodeURIComponent(idArg)}`;
+          const full = await orklJson(`https://orkl.eu/api/v1/ta/entry/${encodeURIComponent(actorId)}`, 3600);
+          const a = full?.data;
+          if (!a) {
+            return json({
+              jsonrpc: "2.0",
+              id,
+              result: {
+                content: [{ type: "text", text: "Not found." }],
+                structuredContent: { data: null }
+              }
+            }, cors);
+          }
+
+          // Prefer reports embedded in the actor record; otherwise search the library by name
+          const embedded = Array.isArray(a.reports) ? a.reports.filter((r) => r && typeof r === "object" && r.id) : [];
+          const profile = slimActor(a);
+          const reports = embedded.length
+            ? embedded.slice(off, off + reportLimit).map(slimReport)
+            : profile.name ? (await searchReports(profile.name, off + reportLimit)).slice(off) : [];
+
+          const data = {
+            ...profile,
+            tools: Array.isArray(a.tools) ? a.tools.map((t) => (typeof t === "string" ? t : t?.name)).filter(Boolean) : [],
+            sources: Array.isArray(a.source_name) ? a.source_name : a.source_name ? [a.source_name] : [],
+            reports_from: embedded.length ? "actor_record" : "library_search",
+            reports
+          };
+
+          const lines = [
+            `Threat actor: ${data.name} — id: ${data.id}`,
+            data.aliases.length ? `Aliases: ${data.aliases.join(", ")}` : null,
+            data.country ? `Country: ${data.country}` : null,
+            data.tools.length ? `Tools: ${data.tools.slice(0, 15).join(", ")}` : null,
+            reports.length ? `Reports (${data.reports_from === "actor_record" ? "linked" : "library search"}):` : "No linked reports.",
+            ...reports.slice(0, 10).map((r, i) => `${off + i + 1}. ${r.title} (${r.created_at}) — id: ${r.id}`)
+          ].filter(Boolean).join("\n");
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: lines }],
+              structuredContent: enforceSizeBudget({ offset: off, data }, { trim: [], list: "data.reports", listOffset: off })
+            }
+          }, cors);
+        }
+
+        // ---- Reports by source (or list sources when none given)
+        if (name === "list_reports_by_source") {
+          const lim = Math.max(1, Math.min(50, args.limit ?? 10));
+          const off = Math.max(0, args.offset ?? 0);
+          const srcArg = typeof args.source === "string" ? args.source.trim() : "";
 
-          const infoResp = await fetch(infoPath, { headers: { accept: "application/json" }, cf: { fetchTtl: 60 } });
-          if (!infoResp.ok) throw new Error(`ORKL HTTP ${infoResp.status}`);
-          const info = await infoResp.json();
+          const listing = await orklJson("https://orkl.eu/api/v1/source/entries", 3600);
+          const sources = (listing?.data || []).map(slimSource);
 
-          const txtUrl = info?.data?.files?.text;
-          if (!txtUrl) return jsonRpcError(id, -32001, "No .txt available for this entry", cors);
+          if (!srcArg) {
+            const shown = sources.slice(off);
+            const line = shown.length
+              ? `${sources.length} source(s)${off ? `, from ${off + 1}` : ""}:\n${shown.map((src) => `- ${src.name} — id: ${src.id}`).join("\n")}`
+              : sources.length ? `No sources at offset ${off}.` : "No sources available.";
+            return json({
+              jsonrpc: "2.0",
+              id,
+              result: {
+                content: [{ type: "text", text: line }],
+                structuredContent: enforceSizeBudget({ offset: off, source: null, sources: shown, reports: [] }, { trim: [], list: "sources", listOffset: off })
+              }
+            }, cors);
+          }
+
+          const q = srcArg.toLowerCase();
+          const src = sources.find((x) => String(x.id) === srcArg) ||
+            sources.find((x) => x.name?.toLowerCase() === q) ||
+            sources.find((x) => x.name?.toLowerCase().includes(q));
+          if (!src) return jsonRpcError(id, -32002, `No source found for "${srcArg}"`, cors);
 
-          const txtResp = await fetch(txtUrl, { headers: { accept: "text/plain" }, cf: { fetchTtl: 120 } });
-          if (!txtResp.ok) throw new Error(`TXT HTTP ${txtResp.status}`);
-          const raw = await txtResp.text();
+          // Source records may embed their reports; otherwise fall back to a library search by name
+          const full = await orklJson(`https://orkl.eu/api/v1/source/entry/${encodeURIComponent(src.id)}`, 3600);
+          const embedded = Array.isArray(full?.data?.reports) ? full.data.reports.filter((r) => r?.id) : [];
+          const reports = embedded.length
+            ? embedded
+              .sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")))
+              .slice(off, off + lim)
+              .map(slimReport)
+            : (await searchReports(src.name, off + lim)).slice(off);
 
-          const start = (page - 1) * size;
-          const slice = raw.slice(start, start + size);
-          const next = start + size < raw.length ? page + 1 : null;
+          const preview = reports.map((r, i) => `${off + i + 1}. ${r.title} (${r.created_at}) — id: ${r.id}`).join("\n");
+          const line = reports.length
+            ? `${src.name}: ${reports.length} report(s).\n${preview}`
+            : `No reports found for ${src.name}.`;
 
           return json({
             jsonrpc: "2.0",
             id,
             result: {
-              content: [{ type: "text", text: slice.length ? slice : "[empty page]" }],
-              structuredContent: { id: idArg, page, nextPage: next, text: slice }
+              content: [{ type: "text", text: line }],
+              structuredContent: enforceSizeBudget({ offset: off, source: src, sources: [], reports }, { trim: ["title"], list: "reports", listOffset: off })
             }
           }, cors);
         }
@@ -404,35 +875,87 @@ export default {
             return jsonRpcError(id, -32602, "Invalid params: search_term string required", cors);
           }
           const lim = Math.max(1, Math.min(100, args.limit ?? 25));
+          const order = args.order ?? "relevance";
+          if (!["relevance", "newest"].includes(order)) {
+            return jsonRpcError(id, -32602, "Invalid params: order must be relevance or newest", cors);
+          }
+          const isDate = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+          for (const key of ["after", "before"]) {
+            if (args[key] !== undefined && !isDate(args[key])) {
+              return jsonRpcError(id, -32602, `Invalid params: ${key} must be a YYYY-MM-DD date`, cors);
+            }
+          }
+          if (args.after && args.before && args.before <= args.after) {
+            return jsonRpcError(id, -32602, "Invalid params: before must be later than after", cors);
+          }
+          const cursorHash = searchCursorHash(args);
+          let off = Math.max(0, args.offset ?? 0);
+          if (args.cursor !== undefined) {
+            const cursor = decodeSearchCursor(args.cursor);
+            if (!cursor) return jsonRpcError(id, -32602, "Invalid params: unrecognised cursor", cors);
+            if (cursor.hash !== cursorHash) {
+              return jsonRpcError(id, -32602, "Invalid params: cursor belongs to a different search; repeat the search_term, after, before, order and dedupe it was issued for", cors);
+            }
+            off = cursor.offset;
+          }
 
+          // ORKL's search has no date, order or offset parameters: pull a wide candidate pool
+          // once (edge-cached) and filter, dedupe, sort and page it here
           const resp = await fetch(
-            `https://orkl.eu/api/v1/library/search?query=${encodeURIComponent(term)}&full=false&limit=${encodeURIComponent(lim)}`,
-            { headers: { accept: "application/json" }, cf: { fetchTtl: 60 } }
+            `https://orkl.eu/api/v1/library/search?query=${encodeURIComponent(term)}&full=false&limit=${SEARCH_POOL_SIZE}`,
+            { headers: { accept: "application/json" }, cf: { fetchTtl: 300 } }
           );
           if (!resp.ok) throw new Error(`ORKL HTTP ${resp.status}`);
           const payload = await resp.json();
+          const pool = Array.isArray(payload?.data) ? payload.data : [];
 
-          const data = (payload?.data || []).map((e) => ({
+          const inWindow = pool.filter((e) => {
+            const day = String(e?.created_at || "").slice(0, 10);
+            if (args.after && !(day >= args.after)) return false;
+            if (args.before && !(day < args.before)) return false;
+            return true;
+          });
+          const groups = args.dedupe === false ? inWindow.map((e) => [e]) : groupDuplicateEntries(inWindow);
+          if (order === "newest") {
+            groups.sort((a, b) => String(b[0]?.created_at || "").localeCompare(String(a[0]?.created_at || "")));
+          }
+
+          const termWords = searchTermWords(term);
+          const data = groups.slice(off, off + lim).map(([e, ...dupes]) => ({
             id: e.id,
             title: e.title,
             created_at: e.created_at,
             pdf: e?.files?.pdf ?? null,
-            summary: summarizePlainText(e?.plain_text || e?.title || "")
+            summary: summarizePlainText(e?.plain_text || e?.title || ""),
+            sha1: e.sha1_hash ?? null,
+            matched_fields: matchedEntryFields(e, termWords),
+            duplicate_ids: dupes.map((d) => d.id).filter(Boolean)
           }));
+          const nextOff = off + data.length;
 
           const slim = enforceSizeBudget({
             status: payload?.status ?? null,
             message: payload?.message ?? null,
+            total: groups.length,
+            offset: off,
+            next_cursor: nextOff < groups.length ? encodeSearchCursor(nextOff, cursorHash) : null,
+            scanned: pool.length,
+            duplicates_removed: inWindow.length - groups.length,
             data
-          });
+          }, { trim: ["summary", "title"], list: "data", listOffset: off });
 
           const preview = data.slice(0, 5).map((e, i) =>
-            `${i + 1}. ${e.title} (${e.created_at}) — id: ${e.id}`
+            `${off + i + 1}. ${e.title} (${e.created_at}) — id: ${e.id}` +
+            (e.matched_fields.length ? ` [${e.matched_fields.join(", ")}]` : "") +
+            (e.duplicate_ids.length ? ` (+${e.duplicate_ids.length} repost${e.duplicate_ids.length > 1 ? "s" : ""})` : "")
           ).join("\n");
 
+          const window = [args.after && `after ${args.after}`, args.before && `before ${args.before}`].filter(Boolean).join(", ");
           const line = data.length
-            ? `Search "${term}" → ${data.length} result(s) (showing up to ${lim}).\n${preview}`
-            : `No results for "${term}".`;
+            ? `Search "${term}"${window ? ` (${window})` : ""} → ${groups.length} result(s), ${order} order; showing ${off + 1}–${nextOff}.\n${preview}` +
+              (slim.next_cursor ? `\nMore: cursor "${slim.next_cursor}"` : "") +
+              (pool.length >= SEARCH_POOL_SIZE ? `\nNote: only the top ${SEARCH_POOL_SIZE} matches were scanned; narrow the query for older reports.` : "")
+            : `No results for "${term}"${window ? ` (${window})` : ""}${off ? ` at offset ${off}` : ""}.`;
 
           return json({
             jsonrpc: "2.0",
@@ -444,8 +967,141 @@ export default {
           }, cors);
         }
 
+        // ---- Keyword/regex search inside one report's text
+        if (name === "search_report_text") {
+          const terms = args.terms;
+          if (!Array.isArray(terms) || !terms.length || terms.some((t) => typeof t !== "string" || !t)) {
+            return jsonRpcError(id, -32602, "Invalid params: terms must be a non-empty array of strings", cors);
+          }
+          const flags = args.case_sensitive ? "g" : "gi";
+          const nested = args.regex ? terms.find(hasNestedQuantifier) : undefined;
+          if (nested !== undefined) {
+            return jsonRpcError(id, -32602, `Invalid params: regex "${nested}" repeats a group that already contains a quantifier; rewrite it without nesting (e.g. "(a+)+" as "a+")`, cors);
+          }
+          let patterns;
+          try {
+            patterns = terms.slice(0, 20).map((t) => ({
+              term: t,
+              re: new RegExp(args.regex ? t : t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), flags)
+            }));
+          } catch (err) {
+            return jsonRpcError(id, -32602, `Invalid params: bad regex (${err.message})`, cors);
+          }
+          const { size, mode } = pagingOptions(args);
+          const ctxChars = Math.min(1000, Math.max(0, args.context_chars ?? 200));
+          const maxMatches = Math.min(100, Math.max(1, args.max_matches ?? 20));
+          const off = Math.max(0, args.offset ?? 0);
+
+          const idArg = await resolveEntryId(args.id, args.title);
+          const { text: raw } = await fetchEntryText(idArg);
+
+          // one cap across all terms, so twenty broad terms cannot collect twenty thousand hits
+          const found = [];
+          let capped = false;
+          scan: for (const { term, re } of patterns) {
+            for (const m of raw.matchAll(re)) {
+              if (!m[0]) continue; // skip zero-length regex hits
+              if (found.length >= TEXT_MATCH_CAP) { capped = true; break scan; }
+              found.push({ term, match: m[0], offset: m.index, end: m.index + m[0].length });
+            }
+          }
+          found.sort((a, b) => a.offset - b.offset);
+          const pages = paginateText(raw, { size, mode });
+
+          const matches = found.slice(off, off + maxMatches).map((f) => {
+            const from = Math.max(0, f.offset - ctxChars);
+            const to = Math.min(raw.length, f.end + ctxChars);
+            const snippet = (from > 0 ? "…" : "") +
+              raw.slice(from, to).replace(/\s+/g, " ").trim() +
+              (to < raw.length ? "…" : "");
+            return { ...f, page: pageForOffset(pages, f.offset), snippet };
+          });
+
+          const preview = matches.slice(0, 5).map((m, i) =>
+            `${off + i + 1}. "${m.match}" @${m.offset} (page ${m.page}): ${m.snippet}`
+          ).join("\n");
+          const total = capped ? `${TEXT_MATCH_CAP}+ (stopped at the cap; narrow the terms)` : found.length;
+          const line = matches.length
+            ? `${total} match(es) in ${idArg} (showing ${off + 1}–${off + matches.length}, ${mode} pages of ~${size} chars).\n${preview}`
+            : found.length ? `No matches in ${idArg} at offset ${off} (${total} in total).`
+            : `No matches in ${idArg} for ${terms.map((t) => `"${t}"`).join(", ")}.`;
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: line }],
+              structuredContent: enforceSizeBudget({
+                id: idArg,
+                page_size: size,
+                total_matches: found.length,
+                match_cap_reached: capped,
+                offset: off,
+                truncated: found.length > off + matches.length,
+                matches
+              }, { trim: ["snippet"], list: "matches", listOffset: off })
+            }
+          }, cors);
+        }
+
+        // ---- IOC / CVE / ATT&CK extraction over the full report text
+        if (name === "extract_indicators") {
+          if (args.types !== undefined && (!Array.isArray(args.types) || args.types.some((t) => !INDICATOR_TYPES.includes(t)))) {
+            return jsonRpcError(id, -32602, `Invalid params: types must be drawn from ${INDICATOR_TYPES.join(", ")}`, cors);
+          }
+          const maxPerType = Math.min(1000, Math.max(1, args.max_per_type ?? 200));
+          const off = Math.max(0, args.offset ?? 0);
+
+          const idArg = await resolveEntryId(args.id, args.title);
+          const { text: raw } = await fetchEntryText(idArg);
+
+          const { indicators: all, suppressed } = extractIndicators(raw, {
+            types: args.types?.length ? args.types : INDICATOR_TYPES,
+            includeBenign: !!args.include_benign
+          });
+
+          const counts = {};
+          const kept = [];
+          let truncated = false;
+          for (const ind of all) {
+            counts[ind.type] = (counts[ind.type] || 0) + 1;
+            if (counts[ind.type] > maxPerType) { truncated = true; continue; }
+            kept.push(ind);
+          }
+          const indicators = kept.slice(off);
+
+          const summary = Object.entries(counts).map(([t, n]) => `${t}: ${n}`).join(", ");
+          const preview = INDICATOR_TYPES.filter((t) => counts[t]).map((t) => {
+            const top = indicators.filter((i) => i.type === t).sort((a, b) => b.count - a.count).slice(0, 5);
+            return `${t}: ${top.map((i) => `${i.value} (×${i.count})`).join(", ")}`;
+          }).join("\n");
+          const line = indicators.length
+            ? `Extracted ${all.length} unique indicator(s) from ${idArg} (${summary}); ${suppressed} benign suppressed.${off ? ` Showing from ${off + 1}.` : ""}\n${preview}`
+            : kept.length ? `No indicators in ${idArg} at offset ${off} (${kept.length} in total).`
+            : `No indicators found in ${idArg} (${suppressed} benign suppressed).`;
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: line }],
+              // values are never shortened (a clipped IOC is a wrong IOC); whole trailing items go instead
+              structuredContent: enforceSizeBudget({
+                id: idArg,
+                total_chars: raw.length,
+                counts,
+                suppressed,
+                offset: off,
+                truncated,
+                indicators
+              }, { trim: [], list: "indicators", listOffset: off })
+            }
+          }, cors);
+        }
+
         return jsonRpcError(id, -32601, `Unknown tool: ${name}`, cors);
       } catch (e) {
+        if (e?.rpcCode) return jsonRpcError(id, e.rpcCode, e.message, cors, e.rpcData);
         return jsonRpcError(id, -32000, `Error: ${e?.message || "unknown"}`, cors);
       }
     }
@@ -461,7 +1117,434 @@ function json(body, cors) {
     headers: { "Content-Type": "application/json", ...(cors || {}) }
   });
 }
-function jsonRpcError(id, code, message, cors) {
-  return json({ jsonrpc: "2.0", id, error: { code, message } }, cors);
+function jsonRpcError(id, code, message, cors, data) {
+  const error = data === undefined ? { code, message } : { code, message, data };
+  return json({ jsonrpc: "2.0", id, error }, cors);
 }
 
+
+// ---------- indicator extraction ----------
+const INDICATOR_TYPES = ["url", "email", "domain", "ipv4", "ipv6", "md5", "sha1", "sha256", "cve", "attack_technique", "registry_key"];
+
+// Defang tokens → canonical text
+const DEFANG_RE = /\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\}|\[:\/\/\]|\[:\]|\[@\]|\[at\]|\(at\)|\bhxxp|\bfxp/gi;
+
+function refangToken(tok) {
+  const t = tok.toLowerCase();
+  if (t === "hxxp") return "http";
+  if (t === "fxp") return "ftp";
+  if (t.includes("@") || t.includes("at")) return "@";
+  if (t.includes("://")) return "://";
+  if (t.includes(":")) return ":";
+  return ".";
+}
+
+// Refang text, keeping a map from each refanged char back to its original offset
+function refangWithOffsets(text) {
+  const map = new Int32Array(text.length + 1);
+  let out = "";
+  let last = 0;
+  for (const m of text.matchAll(DEFANG_RE)) {
+    for (let i = last; i < m.index; i++) map[out.length + i - last] = i;
+    out += text.slice(last, m.index);
+    const rep = refangToken(m[0]);
+    for (let j = 0; j < rep.length; j++) map[out.length + j] = m.index;
+    out += rep;
+    last = m.index + m[0].length;
+  }
+  for (let i = last; i < text.length; i++) map[out.length + i - last] = i;
+  out += text.slice(last);
+  map[out.length] = text.length;
+  return { text: out, map };
+}
+
+// File extensions that look like TLDs in prose ("payload.exe", "loader.js")
+const FILE_EXT_TLDS = new Set(("exe dll sys bat cmd ps1 py js vbs sh txt log doc docx xls xlsx ppt pdf zip rar 7z gz png jpg jpeg gif bmp " +
+  "htm html php asp aspx jsp dat bin tmp ini cfg conf json xml yml yaml lnk hta jar msi iso img md cs go rs so ps pl rb cpp h c tar db").split(" "));
+const GENERIC_TLDS = new Set(("com net org info biz io co gov edu mil int xyz top online site club app dev cloud tech store live shop icu vip " +
+  "work pro space fun link click name mobi asia onion bit win bid stream download review email support services network digital " +
+  "website today world life news host press agency center company group solutions systems global zone cyou sbs rest monster").split(" "));
+
+function isPlausibleDomain(domain) {
+  const tld = domain.split(".").pop();
+  if (FILE_EXT_TLDS.has(tld)) return false;
+  return GENERIC_TLDS.has(tld) || /^[a-z]{2}$/.test(tld);
+}
+
+// Known-benign infrastructure commonly cited in reports (matches subdomains too)
+const BENIGN_DOMAINS = [
+  "microsoft.com", "windows.com", "windowsupdate.com", "office.com", "live.com", "azure.com", "google.com", "googleapis.com",
+  "gstatic.com", "apple.com", "amazon.com", "amazonaws.com", "cloudflare.com", "github.com", "githubusercontent.com",
+  "mozilla.org", "w3.org", "schema.org", "example.com", "example.org", "example.net", "twitter.com", "x.com", "linkedin.com",
+  "youtube.com", "facebook.com", "wikipedia.org", "virustotal.com", "mitre.org", "cve.org", "nist.gov", "cisa.gov", "orkl.eu",
+  "kaspersky.com", "securelist.com", "crowdstrike.com", "mandiant.com", "fireeye.com", "paloaltonetworks.com", "trendmicro.com",
+  "sophos.com", "eset.com", "welivesecurity.com", "symantec.com", "broadcom.com", "proofpoint.com", "cisco.com",
+  "talosintelligence.com", "checkpoint.com", "fortinet.com", "recordedfuture.com", "sentinelone.com", "bitdefender.com",
+  "malwarebytes.com", "zscaler.com", "microsoft365.com", "mcafee.com", "trellix.com", "secureworks.com", "volexity.com"
+];
+
+function isBenignDomain(domain) {
+  const d = domain.toLowerCase().replace(/\.$/, "");
+  return BENIGN_DOMAINS.some((b) => d === b || d.endsWith("." + b));
+}
+
+function isBenignIpv4(ip) {
+  const [a, b, c] = ip.split(".").map(Number);
+  return a === 10 || a === 127 || a === 0 || a >= 224 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254) ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 192 && b === 0 && c === 2) ||
+    (a === 198 && b === 51 && c === 100) ||
+    (a === 203 && b === 0 && c === 113);
+}
+
+function isBenignIpv6(ip) {
+  const v = ip.toLowerCase();
+  return v === "::1" || v === "::" || /^fe[89ab]/.test(v) || /^f[cd]/.test(v) || v.startsWith("2001:db8:") || v.startsWith("ff");
+}
+
+// Accept only well-formed IPv6 (8 groups, or fewer with exactly one "::")
+function isValidIpv6(candidate) {
+  const parts = candidate.split("::");
+  if (parts.length > 2) return false;
+  const groups = parts.flatMap((p) => (p ? p.split(":") : []));
+  if (groups.some((g) => !/^[0-9a-f]{1,4}$/i.test(g))) return false;
+  return parts.length === 2 ? groups.length <= 7 && groups.length >= 2 : groups.length === 8;
+}
+
+const OCTET = "(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)";
+const DOMAIN = "(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+[a-z]{2,24}";
+const INDICATOR_PATTERNS = {
+  url: /\b(?:https?|ftp):\/\/[^\s"'<>()\[\]{}|\\^`]+/gi,
+  email: new RegExp(`\\b[a-z0-9._%+-]+@${DOMAIN}\\b`, "gi"),
+  domain: new RegExp(`\\b${DOMAIN}\\b`, "gi"),
+  ipv4: new RegExp(`(?<![\\d.])${OCTET}(?:\\.${OCTET}){3}(?![\\d.]*\\d)`, "g"),
+  ipv6: /(?<![\w:.])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![\w:])/gi,
+  md5: /\b[a-f0-9]{32}\b/gi,
+  sha1: /\b[a-f0-9]{40}\b/gi,
+  sha256: /\b[a-f0-9]{64}\b/gi,
+  cve: /\bCVE-\d{4}-\d{4,7}\b/gi,
+  attack_technique: /\bT1\d{3}(?:\.\d{3})?\b/g,
+  registry_key: /\b(?:HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG|HKLM|HKCU|HKCR|HKU|HKCC)(?:\\{1,2}[\w.{}$()-]+(?: (?!HK)[\w.{}$()-]+)*(?=\\))*\\{1,2}[\w.{}$()-]+/g
+};
+
+function canonicalIndicator(type, value) {
+  switch (type) {
+    case "url": return value.replace(/[.,;:!?'")\]]+$/, "");
+    case "registry_key": return value.replace(/[.,;:]+$/, "");
+    case "email":
+    case "domain":
+    case "md5":
+    case "sha1":
+    case "sha256":
+    case "ipv6": return value.toLowerCase();
+    case "cve": return value.toUpperCase();
+    default: return value;
+  }
+}
+
+function indicatorHost(type, value) {
+  if (type === "domain") return value;
+  if (type === "email") return value.split("@")[1];
+  if (type === "url") {
+    try { return new URL(value).hostname; } catch { return null; }
+  }
+  return null;
+}
+
+// Find, refang, dedupe and allowlist-filter indicators; offsets point into the original text
+function extractIndicators(original, { types = INDICATOR_TYPES, includeBenign = false } = {}) {
+  const { text, map } = refangWithOffsets(original);
+  const found = new Map(); // `${type}\u0000${value}` → indicator
+  let suppressed = 0;
+
+  // Domains inside URLs/emails are reported via those; remember their spans for the domain pass
+  const covered = [];
+  const isCovered = (i) => covered.some(([from, to]) => i >= from && i < to);
+
+  for (const type of INDICATOR_TYPES) {
+    const wanted = types.includes(type);
+    if (!wanted && type !== "url" && type !== "email") continue;
+
+    for (const m of text.matchAll(INDICATOR_PATTERNS[type])) {
+      if (type === "url" || type === "email") covered.push([m.index, m.index + m[0].length]);
+      if (!wanted) continue;
+      if (type === "domain" && isCovered(m.index)) continue;
+
+      const value = canonicalIndicator(type, m[0]);
+      if (type === "ipv6" && !isValidIpv6(value)) continue;
+      if (type === "domain" && !isPlausibleDomain(value.toLowerCase())) continue;
+      const key = `${type}\u0000${type === "domain" ? value.toLowerCase() : value}`;
+
+      const existing = found.get(key);
+      if (existing) { existing.count++; continue; }
+
+      const host = indicatorHost(type, value);
+      const benign = (host && isBenignDomain(host)) ||
+        (type === "ipv4" && isBenignIpv4(value)) ||
+        (type === "ipv6" && isBenignIpv6(value));
+      if (benign && !includeBenign) { suppressed++; found.set(key, { suppressed: true, count: 1 }); continue; }
+
+      const start = map[m.index];
+      const end = map[m.index + m[0].length - 1] + 1;
+      found.set(key, {
+        type,
+        value: type === "domain" ? value.toLowerCase() : value,
+        count: 1,
+        first_offset: start,
+        defanged: original.slice(start, end) !== m[0]
+      });
+    }
+  }
+
+  const indicators = [...found.values()]
+    .filter((i) => !i.suppressed)
+    .sort((a, b) => INDICATOR_TYPES.indexOf(a.type) - INDICATOR_TYPES.indexOf(b.type) || a.first_offset - b.first_offset);
+  return { indicators, suppressed };
+}
+
+// ---------- text paging ----------
+const CHARS_PER_TOKEN = 4; // rough English average, good enough for budgeting
+
+// Heuristic heading detection for PDF-extracted text: markdown "#", numbered ("2.1 Overview"),
+// or a short standalone line in Title Case / ALL CAPS without closing punctuation
+function isHeadingBlock(block) {
+  const line = block.trim();
+  if (!line || line.includes("\n") || line.length > 100) return false;
+  if (/^#{1,6}\s+\S/.test(line)) return true;
+  if (/[.,;:!?]$/.test(line)) return false;
+  if (/^(\d+(\.\d+)*|[IVX]+)\.?\s+[A-Z]/.test(line)) return true;
+  const words = line.split(/\s+/).filter((w) => /[A-Za-z]/.test(w));
+  if (!words.length || words.length > 12) return false;
+  if (line === line.toUpperCase() && /[A-Z]{3}/.test(line)) return true;
+  return words.filter((w) => /^[A-Z]/.test(w)).length / words.length >= 0.6;
+}
+
+// Paragraph blocks with offsets (separated by blank lines)
+function textBlocks(text) {
+  const blocks = [];
+  const re = /\n[ \t]*\n\s*/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    blocks.push({ start: last, end: m.index + m[0].length });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) blocks.push({ start: last, end: text.length });
+  return blocks.map((b) => ({ ...b, heading: isHeadingBlock(text.slice(b.start, b.end)) }));
+}
+
+// Best cut between lo and hi: sentence end, then line break, then whitespace
+function softBreak(text, lo, hi) {
+  const window = text.slice(lo, hi);
+  for (const re of [/[.!?]["')\]]?\s+(?=\S)/g, /\n/g, /\s+/g]) {
+    let cut = -1;
+    for (const m of window.matchAll(re)) cut = m.index + m[0].length;
+    if (cut > 0) return lo + cut;
+  }
+  return hi;
+}
+
+// Split text into page ranges {start, end, section}; deterministic for (text, size, mode)
+function paginateText(text, { size, mode = "chars" }) {
+  const blocks = textBlocks(text);
+  const headings = blocks.filter((b) => b.heading).map((b) => ({
+    offset: b.start,
+    title: text.slice(b.start, b.end).trim().replace(/^#+\s*/, "")
+  }));
+
+  const ranges = [];
+  if (mode !== "structured") {
+    for (let start = 0; start < text.length; start += size) {
+      ranges.push({ start, end: Math.min(text.length, start + size) });
+    }
+  } else {
+    let start = 0;
+    let end = 0;
+    let headingRun = null; // start of the heading(s) the current page ends with
+    for (const b of blocks) {
+      const len = b.end - start;
+      // Start a fresh page at a heading once the current one is reasonably full.
+      // Headings the page ends with move along, so they stay with their content.
+      if (end > start && (len > size || (b.heading && end - start >= size * 0.5))) {
+        const cut = headingRun ?? end;
+        if (cut > start) {
+          ranges.push({ start, end: cut });
+          start = cut;
+        }
+      }
+      // Oversized paragraph: cut it at sentence/whitespace boundaries
+      while (b.end - start > size * 1.25) {
+        const cut = softBreak(text, start + Math.floor(size * 0.6), start + size);
+        ranges.push({ start, end: cut });
+        start = cut;
+      }
+      end = b.end;
+      headingRun = b.heading ? headingRun ?? b.start : null;
+    }
+    if (end > start) ranges.push({ start, end });
+  }
+
+  // Section = the last heading at or before the page start, else the first heading inside it
+  let h = -1;
+  return ranges.map((r) => {
+    while (h + 1 < headings.length && headings[h + 1].offset <= r.start) h++;
+    const inside = headings[h + 1] && headings[h + 1].offset < r.end ? headings[h + 1] : null;
+    return { ...r, section: (h >= 0 ? headings[h].title : inside?.title) ?? null };
+  });
+}
+
+function pageForOffset(pages, offset) {
+  const i = pages.findIndex((p) => offset < p.end);
+  return (i < 0 ? pages.length : i) + 1;
+}
+
+// ---------- report text search helpers ----------
+const TEXT_MATCH_CAP = 1000; // matches collected per search_report_text call, across all terms
+
+// True for a repeated group that itself contains a repeat ("(a+)+", "(\w*)*", "(?:x{2,})+"), the
+// shape behind catastrophic backtracking. "?" and fixed "{n}" counts are not treated as repeats.
+function hasNestedQuantifier(source) {
+  const groups = []; // per open group: whether it contains a repeat
+  let lastGroupRepeats = false; // the previous atom was a group containing a repeat
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    let closedRepeating = false;
+    if (c === "\\") {
+      i++;
+    } else if (c === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) if (source[i] === "\\") i++;
+    } else if (c === "(") {
+      groups.push(false);
+    } else if (c === ")") {
+      closedRepeating = groups.pop() ?? false;
+      if (closedRepeating && groups.length) groups[groups.length - 1] = true;
+    } else if (c === "*" || c === "+" || (c === "{" && /^\{\d+,\d*\}/.test(source.slice(i)))) {
+      if (lastGroupRepeats) return true;
+      if (groups.length) groups[groups.length - 1] = true;
+    }
+    lastGroupRepeats = closedRepeating;
+  }
+  return false;
+}
+
+// ---------- library search helpers ----------
+const SEARCH_POOL_SIZE = 200; // candidates pulled per search_library call
+
+// Opaque paging cursor: the next offset plus a hash of the arguments that shape the result list,
+// so a cursor replayed against a different query, window, order or dedupe setting is refused
+// instead of silently paging into another list
+function searchCursorHash({ search_term, after, before, order, dedupe }) {
+  const key = JSON.stringify([search_term, after ?? null, before ?? null, order ?? "relevance", dedupe !== false]);
+  let h = 0x811c9dc5; // FNV-1a, 32-bit
+  for (let i = 0; i < key.length; i++) h = Math.imul(h ^ key.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+}
+function encodeSearchCursor(offset, hash) {
+  return btoa(JSON.stringify({ o: offset, h: hash })).replace(/=+$/, "");
+}
+function decodeSearchCursor(cursor) {
+  try {
+    const { o, h } = JSON.parse(atob(String(cursor))) ?? {};
+    return Number.isInteger(o) && o >= 0 && typeof h === "string" ? { offset: o, hash: h } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Lower-case, drop punctuation/bracketed suffixes ("(updated)", "[PDF]") and collapse whitespace
+function normalizeEntryTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[\[(][^\])]*[\])]/g, " ")
+    .replace(/\.(pdf|html?)$/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Group entries that share a SHA-1 or normalised title; first occurrence (search rank) leads
+function groupDuplicateEntries(entries) {
+  const groups = [];
+  const byKey = new Map();
+  for (const e of entries) {
+    const keys = [
+      e?.sha1_hash ? `sha1:${String(e.sha1_hash).toLowerCase()}` : null,
+      normalizeEntryTitle(e?.title) ? `title:${normalizeEntryTitle(e.title)}` : null
+    ].filter(Boolean);
+    const group = keys.map((k) => byKey.get(k)).find(Boolean);
+    if (group) group.push(e);
+    else groups.push([e]);
+    for (const k of keys) if (!byKey.has(k)) byKey.set(k, group || groups[groups.length - 1]);
+  }
+  return groups;
+}
+
+// Search words without quotes/operators, for reporting which fields matched
+function searchTermWords(term) {
+  return [...new Set(String(term).toLowerCase().replace(/["'()]/g, " ").split(/\s+/)
+    .filter((w) => w && !["and", "or", "not"].includes(w)))];
+}
+
+function matchedEntryFields(entry, words) {
+  if (!words.length) return [];
+  const fields = {
+    title: entry?.title,
+    text: entry?.plain_text,
+    threat_actors: (entry?.threat_actors || []).flatMap((a) => [a?.main_name, ...(a?.aliases || [])]).join(" "),
+    sources: (entry?.sources || []).map((src) => src?.name).join(" "),
+    files: (entry?.report_names || []).join(" ")
+  };
+  return Object.entries(fields)
+    .filter(([, value]) => typeof value === "string" && value && words.some((w) => value.toLowerCase().includes(w)))
+    .map(([field]) => field);
+}
+
+// ---------- title resolution ----------
+const TITLE_CANDIDATE_LIMIT = 10;   // search hits scored per title lookup
+const TITLE_MATCH_THRESHOLD = 0.85; // minimum similarity to resolve without asking
+const TITLE_MATCH_MARGIN = 0.05;    // best must beat the runner-up by this much
+
+function bigrams(s) {
+  const grams = new Map();
+  const padded = ` ${s} `;
+  for (let i = 0; i < padded.length - 1; i++) {
+    const g = padded.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice over character bigrams of the normalised titles (0..1)
+function titleSimilarity(a, b) {
+  const x = normalizeEntryTitle(a);
+  const y = normalizeEntryTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  let overlap = 0;
+  let total = 0;
+  for (const [g, n] of gx) { overlap += Math.min(n, gy.get(g) || 0); total += n; }
+  for (const n of gy.values()) total += n;
+  return (2 * overlap) / total;
+}
+
+// Score search hits against the wanted title. Reposts are collapsed first so they
+// never make a title look ambiguous; `match` is set only when the best candidate
+// clears the threshold and the runner-up by the margin.
+function rankTitleCandidates(title, entries) {
+  const candidates = groupDuplicateEntries(entries.filter((e) => e?.id))
+    .map(([e]) => ({
+      id: e.id,
+      title: e.title ?? null,
+      created_at: e.created_at ?? null,
+      score: Math.round(titleSimilarity(title, e.title) * 1000) / 1000
+    }))
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = candidates;
+  const confident = best && best.score >= TITLE_MATCH_THRESHOLD &&
+    (!second || best.score - second.score >= TITLE_MATCH_MARGIN);
+  return { match: confident ? best : null, candidates };
+}
@@ -0,0 +1,120 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockOrkl, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const report = (n, created_at = `2024-0${n}-01T00:00:00Z`) => ({ id: uuid(100 + n), title: `Report ${n}`, created_at, files: { pdf: `https://orkl.eu/files/${n}.pdf` } });
+
+const ACTORS = [
+  { id: "ta-1", main_name: "APT28", aliases: ["Fancy Bear", "Sofacy"], country: "RU" },
+  { id: "ta-2", main_name: "APT29", aliases: ["Cozy Bear"], misc: { country: "RU" } },
+  { id: "ta-3", main_name: "Lazarus Group", aliases: ["Hidden Cobra"] },
+  { id: "ta-4", main_name: "APT", aliases: [] }
+];
+
+const actorRoutes = (entry = {}) => ({
+  "/api/v1/ta/entries": { data: ACTORS },
+  ...Object.fromEntries(ACTORS.map((a) => [`/api/v1/ta/entry/${a.id}`, { data: { ...a, ...entry } }])),
+  "/api/v1/library/search": { data: [report(7), report(8)] }
+});
+
+describe("list_threat_actors", () => {
+  test("matches names and aliases case-insensitively", async () => {
+    mockOrkl(actorRoutes());
+    const out = (await callTool("list_threat_actors", { query: "bear" })).result.structuredContent;
+    expect(out.total).toBe(2);
+    expect(out.data).toEqual([
+      { id: "ta-1", name: "APT28", aliases: ["Fancy Bear", "Sofacy"], country: "RU" },
+      { id: "ta-2", name: "APT29", aliases: ["Cozy Bear"], country: "RU" }
+    ]);
+  });
+
+  test("pages with limit and offset", async () => {
+    mockOrkl(actorRoutes());
+    const out = (await callTool("list_threat_actors", { limit: 2, offset: 1 })).result.structuredContent;
+    expect(out).toMatchObject({ total: 4, offset: 1 });
+    expect(out.data.map((a) => a.id)).toEqual(["ta-2", "ta-3"]);
+  });
+});
+
+describe("get_threat_actor", () => {
+  test("an exact name or alias wins over a substring match", async () => {
+    mockOrkl(actorRoutes());
+    expect((await callTool("get_threat_actor", { name: "apt" })).result.structuredContent.data.id).toBe("ta-4");
+    expect((await callTool("get_threat_actor", { name: "Hidden Cobra" })).result.structuredContent.data.id).toBe("ta-3");
+    expect((await callTool("get_threat_actor", { name: "lazarus" })).result.structuredContent.data.id).toBe("ta-3");
+  });
+
+  test("an unknown name is -32002 and a missing id and name is -32602", async () => {
+    mockOrkl(actorRoutes());
+    expect((await callTool("get_threat_actor", { name: "Nobody" })).error.code).toBe(-32002);
+    expect((await callTool("get_threat_actor", {})).error.code).toBe(-32602);
+  });
+
+  test("reports embedded in the actor record are used first and paged", async () => {
+    mockOrkl(actorRoutes({ reports: [report(1), report(2), report(3), { title: "no id" }], tools: ["X-Agent", { name: "Zebrocy" }], source_name: "Example CERT" }));
+    const { data } = (await callTool("get_threat_actor", { id: "ta-1", report_limit: 2, offset: 1 })).result.structuredContent;
+    expect(data).toMatchObject({ id: "ta-1", tools: ["X-Agent", "Zebrocy"], sources: ["Example CERT"], reports_from: "actor_record" });
+    expect(data.reports.map((r) => r.title)).toEqual(["Report 2", "Report 3"]);
+  });
+
+  test("without embedded reports the library is searched by name", async () => {
+    mockOrkl(actorRoutes());
+    const { data } = (await callTool("get_threat_actor", { id: "ta-3" })).result.structuredContent;
+    expect(data.reports_from).toBe("library_search");
+    expect(data.reports.map((r) => r.title)).toEqual(["Report 7", "Report 8"]);
+  });
+
+  test("an unknown id returns no data", async () => {
+    mockOrkl(actorRoutes());
+    expect((await callTool("get_threat_actor", { id: "ta-9" })).result.structuredContent).toEqual({ data: null });
+  });
+});
+
+describe("list_reports_by_source", () => {
+  const SOURCES = [
+    { id: 1, name: "Example CERT", url: "https://cert.example" },
+    { id: 2, name: "Example Labs Blog", url: "https://labs.example" },
+    { id: 3, name: "Labs", url: "https://labs.test" }
+  ];
+  const routes = {
+    "/api/v1/source/entries": { data: SOURCES },
+    "/api/v1/source/entry/1": { data: { ...SOURCES[0], reports: [report(1), report(3), report(2)] } },
+    "/api/v1/source/entry/2": { data: SOURCES[1] },
+    "/api/v1/source/entry/3": { data: SOURCES[2] },
+    "/api/v1/library/search": { data: [report(7)] }
+  };
+
+  test("without a source it lists the sources", async () => {
+    mockOrkl(routes);
+    const out = (await callTool("list_reports_by_source", { offset: 1 })).result.structuredContent;
+    expect(out).toMatchObject({ offset: 1, source: null, reports: [] });
+    expect(out.sources.map((s) => s.name)).toEqual(["Example Labs Blog", "Labs"]);
+  });
+
+  test("resolves a source by id, exact name, then substring", async () => {
+    mockOrkl(routes);
+    const sourceFor = async (source) => (await callTool("list_reports_by_source", { source })).result.structuredContent.source.id;
+    expect(await sourceFor("2")).toBe(2);
+    expect(await sourceFor("labs")).toBe(3);
+    expect(await sourceFor("cert")).toBe(1);
+  });
+
+  test("embedded reports come newest first and are paged", async () => {
+    mockOrkl(routes);
+    const out = (await callTool("list_reports_by_source", { source: "Example CERT", limit: 2 })).result.structuredContent;
+    expect(out.reports.map((r) => r.title)).toEqual(["Report 3", "Report 2"]);
+    expect(out.reports[0]).toEqual({ id: uuid(103), title: "Report 3", created_at: "2024-03-01T00:00:00Z", pdf: "https://orkl.eu/files/3.pdf" });
+  });
+
+  test("falls back to a library search by the source name", async () => {
+    mockOrkl(routes);
+    const out = (await callTool("list_reports_by_source", { source: "Example Labs Blog" })).result.structuredContent;
+    expect(out.reports.map((r) => r.title)).toEqual(["Report 7"]);
+  });
+
+  test("an unknown source is -32002", async () => {
+    mockOrkl(routes);
+    expect((await callTool("list_reports_by_source", { source: "Nowhere" })).error.code).toBe(-32002);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { readFileSync } from "node:fs";
+import { MAX_JSON_BYTES, byteSize, enforceSizeBudget } from "../src/budget.js";
+import { callTool, mockOrkl, mockReportText, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+describe("enforceSizeBudget", () => {
+  test("returns small payloads untouched", () => {
+    expect(enforceSizeBudget({ data: [1, 2] })).toEqual({ data: [1, 2], truncated: false });
+  });
+
+  test("cuts a nested list and points the continuation at it", () => {
+    const reports = Array.from({ length: 500 }, (_, i) => ({ id: uuid(i), title: "x".repeat(200) }));
+    const out = enforceSizeBudget({ data: { name: "APT", reports } }, { trim: [], list: "data.reports", maxBytes: 10_000 });
+    expect(byteSize(out)).toBeLessThanOrEqual(10_000);
+    expect(out.truncated).toBe(true);
+    expect(out.data.name).toBe("APT");
+    expect(out.continuation).toEqual({ field: "data.reports", offset: out.data.reports.length });
+    expect(reports).toHaveLength(500); // caller's object left alone
+  });
+
+  test("cuts other arrays when the list alone is not enough", () => {
+    const out = enforceSizeBudget(
+      { data: { tools: Array.from({ length: 5000 }, (_, i) => `tool-${i}`), reports: [] } },
+      { trim: [], list: "data.reports", maxBytes: 10_000 }
+    );
+    expect(byteSize(out)).toBeLessThanOrEqual(10_000);
+    expect(out.data.tools.length).toBeGreaterThan(0);
+    expect(out.data.tools.length).toBeLessThan(5000);
+  });
+
+  test("falls back to a stub with a continuation", () => {
+    const out = enforceSizeBudget({ data: [1], blob: { text: "y".repeat(50_000) } }, { trim: [], maxBytes: 2_000 });
+    expect(byteSize(out)).toBeLessThanOrEqual(2_000);
+    expect(out).toEqual({ data: [], blob: { text: `${"y".repeat(79)}…` }, truncated: true, continuation: { field: "data", offset: 0 } });
+  });
+});
+
+describe("get_threat_actor", () => {
+  test("stays within the budget for an actor with thousands of nested records", async () => {
+    const actor = {
+      id: "ta-1",
+      main_name: "Big Actor",
+      aliases: Array.from({ length: 5000 }, (_, i) => `alias-${i}`),
+      tools: Array.from({ length: 5000 }, (_, i) => ({ name: `tool-${i}` })),
+      source_name: "ORKL",
+      reports: Array.from({ length: 5000 }, (_, i) => ({
+        id: uuid(i),
+        title: `Report ${i} ${"t".repeat(300)}`,
+        created_at: "2024-01-01T00:00:00Z",
+        files: { pdf: `https://orkl.eu/files/${i}.pdf` }
+      }))
+    };
+    mockOrkl({ "/api/v1/ta/entry/ta-1": { data: actor } });
+
+    const res = await callTool("get_threat_actor", { id: "ta-1", report_limit: 50 });
+    const sc = res.result.structuredContent;
+    expect(byteSize(sc)).toBeLessThanOrEqual(MAX_JSON_BYTES);
+    expect(sc.truncated).toBe(true);
+    expect(sc.data.id).toBe("ta-1");
+    expect(sc.data.aliases.length).toBeLessThan(5000);
+  });
+});
+
+describe("extract_indicators", () => {
+  const id = uuid(7);
+  const longUrls = Array.from({ length: 1500 }, (_, i) => `https://evil-${i}.badhost.ru/${"p".repeat(120)}/${i}`);
+  test("drops whole indicators instead of clipping values, and pages with offset", async () => {
+    mockReportText(id, longUrls.join("\n"));
+    const first = (await callTool("extract_indicators", { id, types: ["url"], max_per_type: 1000 })).result.structuredContent;
+    expect(byteSize(first)).toBeLessThanOrEqual(MAX_JSON_BYTES);
+    expect(first.indicators.length).toBeLessThan(1000);
+    expect(first.indicators.every((ind) => longUrls.includes(ind.value))).toBe(true);
+    expect(first.continuation).toEqual({ field: "indicators", offset: first.indicators.length });
+
+    const next = (await callTool("extract_indicators", { id, types: ["url"], max_per_type: 1000, offset: first.continuation.offset })).result.structuredContent;
+    expect(next.offset).toBe(first.continuation.offset);
+    expect(next.indicators[0].value).not.toBe(first.indicators[0].value);
+    expect(first.indicators.map((ind) => ind.value)).not.toContain(next.indicators[0].value);
+  });
+});
+
+describe("shared copy", () => {
+  // budget.js is duplicated so each worker deploys on its own; the copies must not drift
+  test("matches mcp_rosti/src/budget.js byte for byte", () => {
+    const read = (path) => readFileSync(new URL(path, import.meta.url), "utf8");
+    expect(read("../src/budget.js")).toBe(read("../../mcp_rosti/src/budget.js"));
+  });
+});
@@ -0,0 +1,35 @@
+import worker from "../src/index.js";
+
+const realFetch = globalThis.fetch;
+
+// Answer ORKL API URLs from `routes` (path → JSON body, or a string for .txt files)
+export function mockOrkl(routes) {
+  globalThis.fetch = async (input) => {
+    const path = new URL(String(input)).pathname;
+    const body = routes[path];
+    if (body === undefined) return new Response("not found", { status: 404 });
+    return typeof body === "string" ? new Response(body) : Response.json(body);
+  };
+}
+
+// Serve `text` as the .txt of report `id`
+export function mockReportText(id, text) {
+  mockOrkl({
+    [`/api/v1/library/entry/${id}`]: { data: { id, files: { text: `https://orkl.eu/files/${id}.txt` } } },
+    [`/files/${id}.txt`]: text
+  });
+}
+
+export function restoreFetch() {
+  globalThis.fetch = realFetch;
+}
+
+export async function callTool(name, args) {
+  const req = new Request("https://worker.test/", {
+    method: "POST",
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name, arguments: args } })
+  });
+  return (await worker.fetch(req, {})).json();
+}
+
+export const uuid = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, "0")}`;
@@ -0,0 +1,93 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockReportText, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const id = uuid(9);
+
+async function extract(text, args = {}) {
+  mockReportText(id, text);
+  return (await callTool("extract_indicators", { id, ...args })).result.structuredContent;
+}
+const values = (out, type) => out.indicators.filter((i) => i.type === type).map((i) => i.value);
+
+describe("extract_indicators refanging", () => {
+  test.each([
+    ["evil[.]example-c2[.]net", "domain", "evil.example-c2.net"],
+    ["evil(.)badhost(dot)ru", "domain", "evil.badhost.ru"],
+    ["evil{.}badhost{dot}top", "domain", "evil.badhost.top"],
+    ["hxxp://cdn[.]badhost[.]xyz/a.php", "url", "http://cdn.badhost.xyz/a.php"],
+    ["hxxps[://]cdn[.]badhost[.]xyz/x", "url", "https://cdn.badhost.xyz/x"],
+    ["fxp://files[.]badhost[.]ru/drop", "url", "ftp://files.badhost.ru/drop"],
+    ["ops[@]badhost[.]ru", "email", "ops@badhost.ru"],
+    ["ops[at]badhost[dot]ru", "email", "ops@badhost.ru"],
+    ["45[.]77[.]12[.]9", "ipv4", "45.77.12.9"],
+    ["2a03[:]2880[:]f10c[:]83[:]face[:]b00c[:]0[:]25de", "ipv6", "2a03:2880:f10c:83:face:b00c:0:25de"]
+  ])("%s → %s %s", async (text, type, value) => {
+    const out = await extract(`Seen: ${text} in the campaign.`);
+    const hit = out.indicators.find((i) => i.type === type);
+    expect(hit).toMatchObject({ value, defanged: true });
+    // offsets point into the original, defanged text
+    expect(hit.first_offset).toBe("Seen: ".length);
+  });
+
+  test("plain indicators are not marked defanged", async () => {
+    const out = await extract("C2 at 45.77.12.9 and badhost.ru");
+    expect(out.indicators.map((i) => [i.type, i.value, i.defanged])).toEqual([["domain", "badhost.ru", false], ["ipv4", "45.77.12.9", false]]);
+  });
+});
+
+describe("extract_indicators extraction", () => {
+  const md5 = "d41d8cd98f00b204e9800998ecf8427e";
+  const sha1 = "da39a3ee5e6b4b0d3255bfef95601890afd80709";
+  const sha256 = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+
+  test("every type, deduplicated with counts and first offsets", async () => {
+    const text = [
+      `Dropper ${md5.toUpperCase()} and ${md5}; loader ${sha1}; payload ${sha256}.`,
+      "Exploits cve-2023-23397 and CVE-2023-23397 (T1566.001, T1059).",
+      "Persists in HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Run\\Updater.",
+      "Beacons to https://c2.badhost.ru/gate.php, and mails ops@badhost.ru."
+    ].join("\n");
+    const out = await extract(text);
+
+    expect(values(out, "md5")).toEqual([md5]);
+    expect(out.indicators.find((i) => i.type === "md5")).toMatchObject({ count: 2, first_offset: "Dropper ".length });
+    expect(values(out, "sha1")).toEqual([sha1]);
+    expect(values(out, "sha256")).toEqual([sha256]);
+    expect(values(out, "cve")).toEqual(["CVE-2023-23397"]);
+    expect(values(out, "attack_technique")).toEqual(["T1566.001", "T1059"]);
+    expect(values(out, "registry_key")).toEqual(["HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Run\\Updater"]);
+    // trailing punctuation is not part of the URL, and hosts inside URLs/emails are not repeated as domains
+    expect(values(out, "url")).toEqual(["https://c2.badhost.ru/gate.php"]);
+    expect(values(out, "email")).toEqual(["ops@badhost.ru"]);
+    expect(values(out, "domain")).toEqual([]);
+  });
+
+  test("file names and malformed addresses are not indicators", async () => {
+    const out = await extract("Drops payload.exe and loader.js, then 999.1.1.1, 1.2.3.4.5 and 1:2:3 appear.");
+    expect(out.indicators).toEqual([]);
+  });
+
+  test("known-benign hosts and private addresses are suppressed unless asked for", async () => {
+    const text = "See https://learn.microsoft.com/x, 10.0.0.5, 192.168.1.1, fe80::1 and research at mandiant.com; C2 45.77.12.9.";
+    const out = await extract(text);
+    expect(out.indicators.map((i) => i.value)).toEqual(["45.77.12.9"]);
+    expect(out.suppressed).toBe(5);
+
+    const all = await extract(text, { include_benign: true });
+    expect(all.indicators.map((i) => i.value)).toEqual(["https://learn.microsoft.com/x", "mandiant.com", "10.0.0.5", "192.168.1.1", "45.77.12.9", "fe80::1"]);
+  });
+
+  test("types narrows the output, max_per_type caps each type", async () => {
+    const out = await extract("A 45.77.12.9 B 45.77.12.10 C 45.77.12.11 D evil.badhost.ru", { types: ["ipv4"], max_per_type: 2 });
+    expect(out.indicators.map((i) => i.value)).toEqual(["45.77.12.9", "45.77.12.10"]);
+    expect(out.truncated).toBe(true);
+  });
+
+  test("an unknown type is rejected", async () => {
+    mockReportText(id, "text");
+    const res = await callTool("extract_indicators", { id, types: ["bitcoin"] });
+    expect(res.error.code).toBe(-32602);
+  });
+});
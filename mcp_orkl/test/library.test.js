@@ -0,0 +1,48 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockOrkl, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+// 30 distinct reports, one a day through January 2024
+const entries = Array.from({ length: 30 }, (_, i) => ({
+  id: uuid(i + 1),
+  title: `Campaign report ${String.fromCharCode(65 + (i % 26))}${i}`,
+  created_at: `2024-01-${String(i + 1).padStart(2, "0")}T00:00:00Z`
+}));
+
+const search = (args) => callTool("search_library", { search_term: "campaign", limit: 10, ...args });
+
+describe("search_library cursor", () => {
+  test("a cursor continues the search it was issued for", async () => {
+    mockOrkl({ "/api/v1/library/search": { data: entries } });
+    const first = (await search({ order: "newest" })).result.structuredContent;
+    const second = (await search({ order: "newest", cursor: first.next_cursor })).result.structuredContent;
+
+    expect(first.data[0].id).toBe(uuid(30));
+    expect(second.offset).toBe(10);
+    expect(second.data[0].id).toBe(uuid(20));
+  });
+
+  test.each([
+    ["search_term", { search_term: "loader" }],
+    ["order", { order: "relevance" }],
+    ["after", { after: "2024-01-05" }],
+    ["before", { before: "2024-01-25" }],
+    ["dedupe", { dedupe: false }]
+  ])("a cursor replayed with a different %s is rejected", async (_, changed) => {
+    mockOrkl({ "/api/v1/library/search": { data: entries } });
+    const first = (await search({ order: "newest" })).result.structuredContent;
+    const res = await search({ order: "newest", ...changed, cursor: first.next_cursor });
+
+    expect(res.error.code).toBe(-32602);
+    expect(res.error.message).toContain("different search");
+  });
+
+  test("a malformed or hash-less cursor is rejected", async () => {
+    mockOrkl({ "/api/v1/library/search": { data: entries } });
+    for (const cursor of ["not-a-cursor", btoa(JSON.stringify({ o: 10 }))]) {
+      const res = await search({ cursor });
+      expect(res.error.message).toContain("unrecognised cursor");
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockReportText, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const id = uuid(42);
+
+// `n` sentences of filler, one paragraph
+function paragraph(n, word = "lorem") {
+  return Array.from({ length: n }, (_, i) => `${word} sentence number ${i} says something about the threat.`).join(" ");
+}
+
+async function pages(text, args = {}) {
+  mockReportText(id, text);
+  const first = (await callTool("get_report_text_page", { id, mode: "structured", page_size: 1000, ...args })).result.structuredContent;
+  const out = [first];
+  for (let page = 2; page <= first.totalPages; page++) {
+    out.push((await callTool("get_report_text_page", { id, mode: "structured", page_size: 1000, page, ...args })).result.structuredContent);
+  }
+  return out;
+}
+
+describe("get_report_text_page structured mode", () => {
+  test("a heading stays with the start of an oversized paragraph", async () => {
+    const text = `INTRODUCTION\n\n${paragraph(80)}\n\nCONCLUSION\n\n${paragraph(3, "ipsum")}`;
+    const all = await pages(text);
+
+    expect(all[0].text.startsWith(`INTRODUCTION\n\n${"lorem sentence number 0"}`)).toBe(true);
+    expect(all[0].section).toBe("INTRODUCTION");
+    for (const p of all) {
+      expect(p.text.trim()).not.toBe("INTRODUCTION");
+      expect(p.text.trim()).not.toBe("CONCLUSION");
+    }
+    // pages cover the text exactly, in order
+    expect(all.map((p) => p.text).join("")).toBe(text);
+  });
+
+  test("a heading after content moves to the next page with its paragraph", async () => {
+    const text = `${paragraph(8)}\n\nMETHODS\n\n${paragraph(40, "ipsum")}`;
+    const all = await pages(text);
+
+    expect(all[0].text).not.toContain("METHODS");
+    expect(all[1].text.startsWith("METHODS\n\nipsum sentence number 0")).toBe(true);
+    expect(all[1].section).toBe("METHODS");
+    expect(all.map((p) => p.text).join("")).toBe(text);
+  });
+
+  test("stacked headings stay together with their content", async () => {
+    const text = `${paragraph(8)}\n\n2. RESULTS\n\n2.1 Overview\n\n${paragraph(40, "ipsum")}`;
+    const all = await pages(text);
+
+    expect(all[1].text.startsWith("2. RESULTS\n\n2.1 Overview\n\nipsum")).toBe(true);
+    expect(all.map((p) => p.text).join("")).toBe(text);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockReportText, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const id = uuid(7);
+
+describe("search_report_text", () => {
+  test("the 1000-match cap applies across all terms", async () => {
+    mockReportText(id, "alpha beta gamma ".repeat(600));
+    const res = await callTool("search_report_text", { id, terms: ["alpha", "beta", "gamma"] });
+    const out = res.result.structuredContent;
+
+    expect(out.total_matches).toBe(1000);
+    expect(out.match_cap_reached).toBe(true);
+    expect(out.truncated).toBe(true);
+    expect(res.result.content[0].text).toContain("1000+");
+  });
+
+  test("below the cap every match is counted and sorted by offset", async () => {
+    mockReportText(id, "beta alpha beta");
+    const out = (await callTool("search_report_text", { id, terms: ["alpha", "beta"] })).result.structuredContent;
+
+    expect(out.total_matches).toBe(3);
+    expect(out.match_cap_reached).toBe(false);
+    expect(out.matches.map((m) => [m.term, m.offset])).toEqual([["beta", 0], ["alpha", 5], ["beta", 11]]);
+  });
+
+  test("plain terms are escaped", async () => {
+    mockReportText(id, "loader (a+)+ stage, aaaa");
+    const out = (await callTool("search_report_text", { id, terms: ["(a+)+"] })).result.structuredContent;
+
+    expect(out.matches.map((m) => m.match)).toEqual(["(a+)+"]);
+  });
+
+  test.each(["(a+)+", "(\\w*)*b", "(?:x{2,})+", "((ab)+c)*", "([a-z]+\\.)+"])("regex %p with a nested quantifier is rejected", async (term) => {
+    mockReportText(id, "a".repeat(40) + "!");
+    const res = await callTool("search_report_text", { id, terms: [term], regex: true });
+
+    expect(res.error.code).toBe(-32602);
+    expect(res.error.message).toContain("quantifier");
+  });
+
+  test.each(["a+b", "(ab)+", "(a+)?", "(a+){2}", "[(+)]+", "\\(a+\\)+", "(?:https?://)+"])("regex %p is allowed", async (term) => {
+    mockReportText(id, "ab aab (a+) http://");
+    const res = await callTool("search_report_text", { id, terms: [term], regex: true });
+
+    expect(res.error).toBeUndefined();
+  });
+});
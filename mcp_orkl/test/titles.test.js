@@ -0,0 +1,65 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockOrkl, restoreFetch, uuid } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const WANTED = "Operation Dream Job targets aerospace engineers";
+
+// Serve `titles` as the library search hits (ids 1, 2, …) and each as a library entry
+function library(titles) {
+  const hits = titles.map((title, i) => ({ id: uuid(i + 1), title, created_at: "2024-01-01T00:00:00Z" }));
+  mockOrkl({
+    "/api/v1/library/search": { data: hits },
+    ...Object.fromEntries(hits.map((h) => [`/api/v1/library/entry/${h.id}`, { data: h }]))
+  });
+}
+
+const resolve = (title = WANTED) => callTool("fetch_threat_report_by_id", { title });
+
+// Dice similarities to WANTED, for reference:
+//   "... aerospace engineers (updated)" 1.000   "... aerospace engineer" 0.968
+//   "... aerospace engineering" 0.939           "Operation Dream Job: ... engineers part 2" 0.932
+//   "... targets defense engineers" 0.830       "Lazarus returns with new loader" 0.175
+describe("title resolution", () => {
+  test("an exact title, ignoring case, punctuation and bracketed suffixes, resolves", async () => {
+    library(["Lazarus returns with new loader", "OPERATION DREAM JOB — targets aerospace engineers (updated)"]);
+    expect((await resolve()).result.structuredContent.data.id).toBe(uuid(2));
+  });
+
+  test("a close title above the threshold with no close runner-up resolves", async () => {
+    library(["Operation Dream Job targets aerospace engineer", "Lazarus returns with new loader"]);
+    expect((await resolve()).result.structuredContent.data.id).toBe(uuid(1));
+  });
+
+  test("the best candidate resolves when it beats the runner-up by the margin", async () => {
+    library(["Operation Dream Job: targets aerospace engineers part 2", WANTED]);
+    expect((await resolve()).result.structuredContent.data.id).toBe(uuid(2));
+  });
+
+  test("a best candidate below the threshold is -32003 with the candidates", async () => {
+    library(["Operation Dream Job targets defense engineers", "Lazarus returns with new loader"]);
+    const { error } = await resolve();
+    expect(error.code).toBe(-32003);
+    expect(error.data).toMatchObject({ kind: "ambiguous_title", threshold: 0.85 });
+    expect(error.data.candidates.map((c) => [c.id, c.score])).toEqual([[uuid(1), 0.83], [uuid(2), 0.175]]);
+    expect(error.message).toContain(`1. Operation Dream Job targets defense engineers (2024-01-01T00:00:00Z) — id: ${uuid(1)}, score 0.83`);
+  });
+
+  test("two candidates within the margin are -32003", async () => {
+    library(["Operation Dream Job targets aerospace engineering", "Operation Dream Job targets aerospace engineer"]);
+    const { error } = await resolve();
+    expect(error.code).toBe(-32003);
+    expect(error.data.candidates.map((c) => c.score)).toEqual([0.968, 0.939]);
+  });
+
+  test("reposts of one report do not make it ambiguous", async () => {
+    library([WANTED, `${WANTED}.pdf`, `${WANTED} [PDF]`]);
+    const res = await resolve();
+    expect(res.result.structuredContent.data.id).toBe(uuid(1));
+  });
+
+  test("no search hits is -32002", async () => {
+    library([]);
+    expect((await resolve()).error.code).toBe(-32002);
+  });
+});
@@ -0,0 +1,329 @@
+// attack.js — bundled MITRE ATT&CK (Enterprise) lookup table for enriching ROSTI technique IDs
+//
+// Parent techniques carry their tactics; sub-techniques inherit them from the parent.
+// Unknown IDs still resolve (name null) so nothing reported by ROSTI is dropped.
+
+export const ATTACK_VERSION = "15";
+
+export const ATTACK_TACTICS = {
+  "reconnaissance":       { id: "TA0043", name: "Reconnaissance" },
+  "resource-development": { id: "TA0042", name: "Resource Development" },
+  "initial-access":       { id: "TA0001", name: "Initial Access" },
+  "execution":            { id: "TA0002", name: "Execution" },
+  "persistence":          { id: "TA0003", name: "Persistence" },
+  "privilege-escalation": { id: "TA0004", name: "Privilege Escalation" },
+  "defense-evasion":      { id: "TA0005", name: "Defense Evasion" },
+  "credential-access":    { id: "TA0006", name: "Credential Access" },
+  "discovery":            { id: "TA0007", name: "Discovery" },
+  "lateral-movement":     { id: "TA0008", name: "Lateral Movement" },
+  "collection":           { id: "TA0009", name: "Collection" },
+  "command-and-control":  { id: "TA0011", name: "Command and Control" },
+  "exfiltration":         { id: "TA0010", name: "Exfiltration" },
+  "impact":               { id: "TA0040", name: "Impact" }
+};
+
+// id -> [name, tactics]
+const TECHNIQUES = {
+  // Reconnaissance
+  T1595: ["Active Scanning", ["reconnaissance"]],
+  T1592: ["Gather Victim Host Information", ["reconnaissance"]],
+  T1589: ["Gather Victim Identity Information", ["reconnaissance"]],
+  T1590: ["Gather Victim Network Information", ["reconnaissance"]],
+  T1591: ["Gather Victim Org Information", ["reconnaissance"]],
+  T1598: ["Phishing for Information", ["reconnaissance"]],
+  T1597: ["Search Closed Sources", ["reconnaissance"]],
+  T1596: ["Search Open Technical Databases", ["reconnaissance"]],
+  T1593: ["Search Open Websites/Domains", ["reconnaissance"]],
+  T1594: ["Search Victim-Owned Websites", ["reconnaissance"]],
+
+  // Resource Development
+  T1650: ["Acquire Access", ["resource-development"]],
+  T1583: ["Acquire Infrastructure", ["resource-development"]],
+  T1586: ["Compromise Accounts", ["resource-development"]],
+  T1584: ["Compromise Infrastructure", ["resource-development"]],
+  T1587: ["Develop Capabilities", ["resource-development"]],
+  T1585: ["Establish Accounts", ["resource-development"]],
+  T1588: ["Obtain Capabilities", ["resource-development"]],
+  T1608: ["Stage Capabilities", ["resource-development"]],
+
+  // Initial Access
+  T1659: ["Content Injection", ["initial-access", "command-and-control"]],
+  T1189: ["Drive-by Compromise", ["initial-access"]],
+  T1190: ["Exploit Public-Facing Application", ["initial-access"]],
+  T1133: ["External Remote Services", ["initial-access", "persistence"]],
+  T1200: ["Hardware Additions", ["initial-access"]],
+  T1566: ["Phishing", ["initial-access"]],
+  T1091: ["Replication Through Removable Media", ["initial-access", "lateral-movement"]],
+  T1195: ["Supply Chain Compromise", ["initial-access"]],
+  T1199: ["Trusted Relationship", ["initial-access"]],
+  T1078: ["Valid Accounts", ["initial-access", "persistence", "privilege-escalation", "defense-evasion"]],
+
+  // Execution
+  T1651: ["Cloud Administration Command", ["execution"]],
+  T1059: ["Command and Scripting Interpreter", ["execution"]],
+  T1609: ["Container Administration Command", ["execution"]],
+  T1610: ["Deploy Container", ["execution", "defense-evasion"]],
+  T1203: ["Exploitation for Client Execution", ["execution"]],
+  T1559: ["Inter-Process Communication", ["execution"]],
+  T1106: ["Native API", ["execution"]],
+  T1053: ["Scheduled Task/Job", ["execution", "persistence", "privilege-escalation"]],
+  T1648: ["Serverless Execution", ["execution"]],
+  T1129: ["Shared Modules", ["execution"]],
+  T1072: ["Software Deployment Tools", ["execution", "lateral-movement"]],
+  T1569: ["System Services", ["execution"]],
+  T1204: ["User Execution", ["execution"]],
+  T1047: ["Windows Management Instrumentation", ["execution"]],
+
+  // Persistence
+  T1098: ["Account Manipulation", ["persistence", "privilege-escalation"]],
+  T1197: ["BITS Jobs", ["persistence", "defense-evasion"]],
+  T1547: ["Boot or Logon Autostart Execution", ["persistence", "privilege-escalation"]],
+  T1037: ["Boot or Logon Initialization Scripts", ["persistence", "privilege-escalation"]],
+  T1176: ["Browser Extensions", ["persistence"]],
+  T1554: ["Compromise Host Software Binary", ["persistence"]],
+  T1136: ["Create Account", ["persistence"]],
+  T1543: ["Create or Modify System Process", ["persistence", "privilege-escalation"]],
+  T1546: ["Event Triggered Execution", ["persistence", "privilege-escalation"]],
+  T1574: ["Hijack Execution Flow", ["persistence", "privilege-escalation", "defense-evasion"]],
+  T1525: ["Implant Internal Image", ["persistence"]],
+  T1556: ["Modify Authentication Process", ["credential-access", "defense-evasion", "persistence"]],
+  T1137: ["Office Application Startup", ["persistence"]],
+  T1653: ["Power Settings", ["persistence"]],
+  T1542: ["Pre-OS Boot", ["defense-evasion", "persistence"]],
+  T1505: ["Server Software Component", ["persistence"]],
+  T1205: ["Traffic Signaling", ["defense-evasion", "persistence", "command-and-control"]],
+
+  // Privilege Escalation
+  T1548: ["Abuse Elevation Control Mechanism", ["privilege-escalation", "defense-evasion"]],
+  T1134: ["Access Token Manipulation", ["defense-evasion", "privilege-escalation"]],
+  T1484: ["Domain or Tenant Policy Modification", ["defense-evasion", "privilege-escalation"]],
+  T1611: ["Escape to Host", ["privilege-escalation"]],
+  T1068: ["Exploitation for Privilege Escalation", ["privilege-escalation"]],
+  T1055: ["Process Injection", ["defense-evasion", "privilege-escalation"]],
+
+  // Defense Evasion
+  T1612: ["Build Image on Host", ["defense-evasion"]],
+  T1622: ["Debugger Evasion", ["defense-evasion", "discovery"]],
+  T1140: ["Deobfuscate/Decode Files or Information", ["defense-evasion"]],
+  T1006: ["Direct Volume Access", ["defense-evasion"]],
+  T1480: ["Execution Guardrails", ["defense-evasion"]],
+  T1211: ["Exploitation for Defense Evasion", ["defense-evasion"]],
+  T1222: ["File and Directory Permissions Modification", ["defense-evasion"]],
+  T1564: ["Hide Artifacts", ["defense-evasion"]],
+  T1562: ["Impair Defenses", ["defense-evasion"]],
+  T1656: ["Impersonation", ["defense-evasion"]],
+  T1070: ["Indicator Removal", ["defense-evasion"]],
+  T1202: ["Indirect Command Execution", ["defense-evasion"]],
+  T1036: ["Masquerading", ["defense-evasion"]],
+  T1578: ["Modify Cloud Compute Infrastructure", ["defense-evasion"]],
+  T1112: ["Modify Registry", ["defense-evasion"]],
+  T1601: ["Modify System Image", ["defense-evasion"]],
+  T1599: ["Network Boundary Bridging", ["defense-evasion"]],
+  T1027: ["Obfuscated Files or Information", ["defense-evasion"]],
+  T1647: ["Plist File Modification", ["defense-evasion"]],
+  T1620: ["Reflective Code Loading", ["defense-evasion"]],
+  T1207: ["Rogue Domain Controller", ["defense-evasion"]],
+  T1014: ["Rootkit", ["defense-evasion"]],
+  T1553: ["Subvert Trust Controls", ["defense-evasion"]],
+  T1218: ["System Binary Proxy Execution", ["defense-evasion"]],
+  T1216: ["System Script Proxy Execution", ["defense-evasion"]],
+  T1221: ["Template Injection", ["defense-evasion"]],
+  T1127: ["Trusted Developer Utilities Proxy Execution", ["defense-evasion"]],
+  T1535: ["Unused/Unsupported Cloud Regions", ["defense-evasion"]],
+  T1550: ["Use Alternate Authentication Material", ["defense-evasion", "lateral-movement"]],
+  T1497: ["Virtualization/Sandbox Evasion", ["defense-evasion", "discovery"]],
+  T1600: ["Weaken Encryption", ["defense-evasion"]],
+  T1220: ["XSL Script Processing", ["defense-evasion"]],
+
+  // Credential Access
+  T1557: ["Adversary-in-the-Middle", ["credential-access", "collection"]],
+  T1110: ["Brute Force", ["credential-access"]],
+  T1555: ["Credentials from Password Stores", ["credential-access"]],
+  T1212: ["Exploitation for Credential Access", ["credential-access"]],
+  T1187: ["Forced Authentication", ["credential-access"]],
+  T1606: ["Forge Web Credentials", ["credential-access"]],
+  T1056: ["Input Capture", ["collection", "credential-access"]],
+  T1111: ["Multi-Factor Authentication Interception", ["credential-access"]],
+  T1621: ["Multi-Factor Authentication Request Generation", ["credential-access"]],
+  T1040: ["Network Sniffing", ["credential-access", "discovery"]],
+  T1003: ["OS Credential Dumping", ["credential-access"]],
+  T1528: ["Steal Application Access Token", ["credential-access"]],
+  T1649: ["Steal or Forge Authentication Certificates", ["credential-access"]],
+  T1558: ["Steal or Forge Kerberos Tickets", ["credential-access"]],
+  T1539: ["Steal Web Session Cookie", ["credential-access"]],
+  T1552: ["Unsecured Credentials", ["credential-access"]],
+
+  // Discovery
+  T1087: ["Account Discovery", ["discovery"]],
+  T1010: ["Application Window Discovery", ["discovery"]],
+  T1217: ["Browser Information Discovery", ["discovery"]],
+  T1580: ["Cloud Infrastructure Discovery", ["discovery"]],
+  T1538: ["Cloud Service Dashboard", ["discovery"]],
+  T1526: ["Cloud Service Discovery", ["discovery"]],
+  T1619: ["Cloud Storage Object Discovery", ["discovery"]],
+  T1613: ["Container and Resource Discovery", ["discovery"]],
+  T1652: ["Device Driver Discovery", ["discovery"]],
+  T1482: ["Domain Trust Discovery", ["discovery"]],
+  T1083: ["File and Directory Discovery", ["discovery"]],
+  T1615: ["Group Policy Discovery", ["discovery"]],
+  T1654: ["Log Enumeration", ["discovery"]],
+  T1046: ["Network Service Discovery", ["discovery"]],
+  T1135: ["Network Share Discovery", ["discovery"]],
+  T1201: ["Password Policy Discovery", ["discovery"]],
+  T1120: ["Peripheral Device Discovery", ["discovery"]],
+  T1069: ["Permission Groups Discovery", ["discovery"]],
+  T1057: ["Process Discovery", ["discovery"]],
+  T1012: ["Query Registry", ["discovery"]],
+  T1018: ["Remote System Discovery", ["discovery"]],
+  T1518: ["Software Discovery", ["discovery"]],
+  T1082: ["System Information Discovery", ["discovery"]],
+  T1614: ["System Location Discovery", ["discovery"]],
+  T1016: ["System Network Configuration Discovery", ["discovery"]],
+  T1049: ["System Network Connections Discovery", ["discovery"]],
+  T1033: ["System Owner/User Discovery", ["discovery"]],
+  T1007: ["System Service Discovery", ["discovery"]],
+  T1124: ["System Time Discovery", ["discovery"]],
+
+  // Lateral Movement
+  T1210: ["Exploitation of Remote Services", ["lateral-movement"]],
+  T1534: ["Internal Spearphishing", ["lateral-movement"]],
+  T1570: ["Lateral Tool Transfer", ["lateral-movement"]],
+  T1563: ["Remote Service Session Hijacking", ["lateral-movement"]],
+  T1021: ["Remote Services", ["lateral-movement"]],
+  T1080: ["Taint Shared Content", ["lateral-movement"]],
+
+  // Collection
+  T1560: ["Archive Collected Data", ["collection"]],
+  T1123: ["Audio Capture", ["collection"]],
+  T1119: ["Automated Collection", ["collection"]],
+  T1185: ["Browser Session Hijacking", ["collection"]],
+  T1115: ["Clipboard Data", ["collection"]],
+  T1530: ["Data from Cloud Storage", ["collection"]],
+  T1602: ["Data from Configuration Repository", ["collection"]],
+  T1213: ["Data from Information Repositories", ["collection"]],
+  T1005: ["Data from Local System", ["collection"]],
+  T1039: ["Data from Network Shared Drive", ["collection"]],
+  T1025: ["Data from Removable Media", ["collection"]],
+  T1074: ["Data Staged", ["collection"]],
+  T1114: ["Email Collection", ["collection"]],
+  T1113: ["Screen Capture", ["collection"]],
+  T1125: ["Video Capture", ["collection"]],
+
+  // Command and Control
+  T1071: ["Application Layer Protocol", ["command-and-control"]],
+  T1092: ["Communication Through Removable Media", ["command-and-control"]],
+  T1132: ["Data Encoding", ["command-and-control"]],
+  T1001: ["Data Obfuscation", ["command-and-control"]],
+  T1568: ["Dynamic Resolution", ["command-and-control"]],
+  T1573: ["Encrypted Channel", ["command-and-control"]],
+  T1008: ["Fallback Channels", ["command-and-control"]],
+  T1665: ["Hide Infrastructure", ["command-and-control"]],
+  T1105: ["Ingress Tool Transfer", ["command-and-control"]],
+  T1104: ["Multi-Stage Channels", ["command-and-control"]],
+  T1095: ["Non-Application Layer Protocol", ["command-and-control"]],
+  T1571: ["Non-Standard Port", ["command-and-control"]],
+  T1572: ["Protocol Tunneling", ["command-and-control"]],
+  T1090: ["Proxy", ["command-and-control"]],
+  T1219: ["Remote Access Software", ["command-and-control"]],
+  T1102: ["Web Service", ["command-and-control"]],
+
+  // Exfiltration
+  T1020: ["Automated Exfiltration", ["exfiltration"]],
+  T1030: ["Data Transfer Size Limits", ["exfiltration"]],
+  T1048: ["Exfiltration Over Alternative Protocol", ["exfiltration"]],
+  T1041: ["Exfiltration Over C2 Channel", ["exfiltration"]],
+  T1011: ["Exfiltration Over Other Network Medium", ["exfiltration"]],
+  T1052: ["Exfiltration Over Physical Medium", ["exfiltration"]],
+  T1567: ["Exfiltration Over Web Service", ["exfiltration"]],
+  T1029: ["Scheduled Transfer", ["exfiltration"]],
+  T1537: ["Transfer Data to Cloud Account", ["exfiltration"]],
+
+  // Impact
+  T1531: ["Account Access Removal", ["impact"]],
+  T1485: ["Data Destruction", ["impact"]],
+  T1486: ["Data Encrypted for Impact", ["impact"]],
+  T1565: ["Data Manipulation", ["impact"]],
+  T1491: ["Defacement", ["impact"]],
+  T1561: ["Disk Wipe", ["impact"]],
+  T1499: ["Endpoint Denial of Service", ["impact"]],
+  T1657: ["Financial Theft", ["impact"]],
+  T1495: ["Firmware Corruption", ["impact"]],
+  T1490: ["Inhibit System Recovery", ["impact"]],
+  T1498: ["Network Denial of Service", ["impact"]],
+  T1496: ["Resource Hijacking", ["impact"]],
+  T1489: ["Service Stop", ["impact"]],
+  T1529: ["System Shutdown/Reboot", ["impact"]]
+};
+
+// Frequently reported sub-techniques (tactics come from the parent)
+const SUB_TECHNIQUES = {
+  "T1003.001": "LSASS Memory",
+  "T1003.002": "Security Account Manager",
+  "T1003.003": "NTDS",
+  "T1003.006": "DCSync",
+  "T1021.001": "Remote Desktop Protocol",
+  "T1021.002": "SMB/Windows Admin Shares",
+  "T1021.004": "SSH",
+  "T1021.006": "Windows Remote Management",
+  "T1027.002": "Software Packing",
+  "T1027.010": "Command Obfuscation",
+  "T1036.005": "Match Legitimate Name or Location",
+  "T1053.003": "Cron",
+  "T1053.005": "Scheduled Task",
+  "T1055.001": "Dynamic-link Library Injection",
+  "T1055.012": "Process Hollowing",
+  "T1059.001": "PowerShell",
+  "T1059.003": "Windows Command Shell",
+  "T1059.004": "Unix Shell",
+  "T1059.005": "Visual Basic",
+  "T1059.006": "Python",
+  "T1059.007": "JavaScript",
+  "T1070.001": "Clear Windows Event Logs",
+  "T1070.004": "File Deletion",
+  "T1071.001": "Web Protocols",
+  "T1071.004": "DNS",
+  "T1078.002": "Domain Accounts",
+  "T1078.004": "Cloud Accounts",
+  "T1087.002": "Domain Account",
+  "T1090.003": "Multi-hop Proxy",
+  "T1110.003": "Password Spraying",
+  "T1132.001": "Standard Encoding",
+  "T1204.001": "Malicious Link",
+  "T1204.002": "Malicious File",
+  "T1218.005": "Mshta",
+  "T1218.011": "Rundll32",
+  "T1543.003": "Windows Service",
+  "T1547.001": "Registry Run Keys / Startup Folder",
+  "T1552.001": "Credentials In Files",
+  "T1555.003": "Credentials from Web Browsers",
+  "T1560.001": "Archive via Utility",
+  "T1562.001": "Disable or Modify Tools",
+  "T1566.001": "Spearphishing Attachment",
+  "T1566.002": "Spearphishing Link",
+  "T1566.003": "Spearphishing via Service",
+  "T1567.002": "Exfiltration to Cloud Storage",
+  "T1569.002": "Service Execution",
+  "T1573.001": "Symmetric Cryptography",
+  "T1573.002": "Asymmetric Cryptography",
+  "T1574.001": "DLL Search Order Hijacking",
+  "T1574.002": "DLL Side-Loading",
+  "T1583.001": "Domains",
+  "T1588.002": "Tool",
+  "T1497.001": "System Checks"
+};
+
+// Resolve a technique ID (e.g. "T1059.001") to its name and tactics
+export function lookupAttackTechnique(rawId) {
+  const id = String(rawId || "").trim().toUpperCase();
+  const [parentId, sub] = id.split(".");
+  const parent = TECHNIQUES[parentId];
+  const tactics = (parent?.[1] || []).map(shortname => ({ shortname, ...ATTACK_TACTICS[shortname] }));
+
+  let name = parent?.[0] ?? null;
+  if (sub && parent) {
+    const subName = SUB_TECHNIQUES[id];
+    name = subName ? `${parent[0]}: ${subName}` : `${parent[0]} (sub-technique .${sub})`;
+  }
+
+  return { id, name, tactics, known: !!parent };
+}
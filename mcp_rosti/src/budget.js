@@ -0,0 +1,179 @@
+// budget.js — hard byte budget for structuredContent payloads
+//
+// The same file lives in mcp_orkl/src and mcp_rosti/src (each worker deploys on its own);
+// keep the two copies identical: test/budget.test.js in both workers fails when they differ.
+//
+// Steps, re-measuring after each one until the payload fits:
+//   1. shorten the `trim` string fields (top level and inside `list` items), in priority order
+//   2. drop trailing items from the `list` array (a dotted path such as "data.reports" reaches into objects)
+//   3. cut the top-level `text` field
+//   4. replace the `drop` fields (dotted paths, e.g. an export document) with null
+//   5. drop trailing items from any other array, largest first
+//   6. last resort: a stub keeping the payload's shape (arrays emptied, strings shortened)
+// The result always carries `truncated` and never exceeds `maxBytes`; when anything was
+// removed from `list` or `text` it also carries `continuation` ({ field, offset }) so the
+// caller can ask for the rest.
+
+export const MAX_JSON_BYTES = 100 * 1024; // ~100 KB cap for structuredContent
+
+const TRIM_STEPS = [1000, 400, 200, 80];
+
+const encoder = new TextEncoder();
+
+export function byteSize(obj) {
+  return encoder.encode(JSON.stringify(obj)).byteLength;
+}
+
+function shorten(s, max) {
+  return typeof s === "string" && s.length > max ? s.slice(0, max - 1) + "…" : s;
+}
+
+// Largest n in [0, hi] for which fits(n) holds (fits is monotonic, fits(0) assumed)
+function largestFitting(hi, fits) {
+  let lo = 0;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (fits(mid)) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Value at a dotted path ("data.reports"), or undefined
+function getPath(obj, path) {
+  return path.split(".").reduce((v, k) => (v && typeof v === "object" ? v[k] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.length ? getPath(obj, keys.join(".")) : obj;
+  if (parent && typeof parent === "object") parent[last] = value;
+}
+
+// Every non-empty array in the payload, depth first
+function collectArrays(value, out = []) {
+  if (Array.isArray(value)) {
+    if (value.length) out.push(value);
+    for (const v of value) collectArrays(v, out);
+  } else if (value && typeof value === "object") {
+    for (const v of Object.values(value)) collectArrays(v, out);
+  }
+  return out;
+}
+
+// Refill `arr` in place with the first n items of `src`
+function keepFirst(arr, src, n) {
+  arr.length = 0;
+  for (let i = 0; i < n; i++) arr.push(src[i]);
+}
+
+// Same shape, no bulk: arrays emptied, strings shortened, objects stubbed in turn
+function stub(value) {
+  if (Array.isArray(value)) return [];
+  if (typeof value === "string") return shorten(value, 80);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, stub(v)]));
+  }
+  return value;
+}
+
+export function enforceSizeBudget(obj, {
+  maxBytes = MAX_JSON_BYTES,
+  trim = ["summary"],
+  list = "data",
+  listOffset = 0,
+  text = null,
+  textOffset = 0,
+  drop = []
+} = {}) {
+  const first = { ...obj, truncated: !!obj?.truncated };
+  if (byteSize(first) <= maxBytes) return first;
+
+  // private copy: the steps below edit nested values in place
+  const out = structuredClone(first);
+  const items = list && Array.isArray(getPath(out, list)) ? getPath(out, list) : null;
+  const allItems = items ? items.slice() : null;
+  out.truncated = true;
+  // reserve room for the continuation marker before measuring
+  out.continuation = { field: null, offset: null };
+
+  // 1. shorten low-priority string fields
+  for (const max of TRIM_STEPS) {
+    for (const field of trim) {
+      if (field !== text && typeof out[field] === "string") out[field] = shorten(out[field], max);
+      if (items) {
+        for (const it of items) if (it && typeof it[field] === "string") it[field] = shorten(it[field], max);
+      }
+      if (byteSize(out) <= maxBytes) return finish(out);
+    }
+  }
+
+  // 2. drop trailing list items
+  if (items && items.length) {
+    const fits = (n) => {
+      keepFirst(items, allItems, n);
+      out.continuation = { field: list, offset: listOffset + n };
+      return byteSize(out) <= maxBytes;
+    };
+    const keep = largestFitting(allItems.length, fits);
+    fits(keep);
+    if (keep === allItems.length) out.continuation = { field: null, offset: null };
+    if (byteSize(out) <= maxBytes) return finish(out);
+  }
+
+  // 3. cut the main text field
+  if (text && typeof out[text] === "string") {
+    const full = out[text];
+    const keep = largestFitting(full.length, (n) =>
+      byteSize({ ...out, [text]: full.slice(0, n), continuation: { field: text, offset: textOffset + n } }) <= maxBytes);
+    out[text] = full.slice(0, keep);
+    out.continuation = { field: text, offset: textOffset + keep };
+    if (byteSize(out) <= maxBytes) return finish(out);
+  }
+
+  // 4. drop whole fields the caller can do without
+  for (const path of drop) {
+    if (getPath(out, path) === undefined) continue;
+    setPath(out, path, null);
+    if (byteSize(out) <= maxBytes) return finish(out);
+  }
+
+  // 5. cut any other array, largest first
+  const arrays = collectArrays(out)
+    .filter((arr) => arr !== items)
+    .map((arr) => ({ arr, size: byteSize(arr) }))
+    .sort((a, b) => b.size - a.size);
+  for (const { arr } of arrays) {
+    const full = arr.slice();
+    const keep = largestFitting(full.length, (n) => {
+      keepFirst(arr, full, n);
+      return byteSize(out) <= maxBytes;
+    });
+    keepFirst(arr, full, keep);
+    if (byteSize(out) <= maxBytes) return finish(out);
+  }
+
+  // 6. nothing left to cut piecemeal: keep the shape and point back at the start
+  const continuation = list && items ? { field: list, offset: listOffset }
+    : text && typeof first[text] === "string" ? { field: text, offset: textOffset }
+    : { field: null, offset: null };
+  const shell = { ...stub(first), truncated: true, continuation };
+  return finish(byteSize(shell) <= maxBytes ? shell : { truncated: true, continuation });
+}
+
+function finish(out) {
+  if (out.continuation && out.continuation.field === null) delete out.continuation;
+  return out;
+}
+
+// Schema fragment for the markers added above (spread into output schema properties)
+export const budgetSchemaProps = {
+  truncated: { type: "boolean" },
+  continuation: {
+    type: "object",
+    properties: {
+      field: { type: "string" },
+      offset: { type: "integer" }
+    }
+  }
+};
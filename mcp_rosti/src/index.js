@@ -1,5 +1,8 @@
+import { ATTACK_VERSION, lookupAttackTechnique } from "./attack.js";
+import { budgetSchemaProps, enforceSizeBudget } from "./budget.js";
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // Minimal CORS for local testing
@@ -52,7 +55,7 @@ export default {
         {
           name: "get_latest_rosti_reports",
           title: "Get Latest ROSTI Reports",
-          description: "Retrieves the latest threat reports from ROSTI API for the past 48 hours.",
+          description: "Retrieves the latest threat reports from ROSTI API (past 48 hours by default). Supports date windows, tag filters, a result limit and cursor paging.",
           inputSchema: {
             type: "object",
             additionalProperties: false,
@@ -60,6 +63,36 @@ export default {
               source: { 
                 type: "string",
                 description: "Optional source filter (e.g., 'asec')"
+              },
+              after: {
+                type: "string",
+                description: "Only reports on or after this date (YYYY-MM-DD). Overrides 'days'."
+              },
+              before: {
+                type: "string",
+                description: "Only reports before this date (YYYY-MM-DD)"
+              },
+              days: {
+                type: "integer",
+                minimum: 1,
+                maximum: 365,
+                default: 2,
+                description: "Relative window in days, used when 'after' is not given"
+              },
+              tags: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional tag filters (e.g., ['ransomware'])"
+              },
+              limit: {
+                type: "integer",
+                minimum: 1,
+                maximum: 100,
+                description: "Maximum number of reports per page"
+              },
+              cursor: {
+                type: "string",
+                description: "Paging cursor from a previous call (page.next_cursor)"
               }
             }
           },
@@ -84,7 +117,18 @@ export default {
                   }
                 }
               },
-              meta: { type: "object" }
+              meta: { type: "object" },
+              page: {
+                type: "object",
+                properties: {
+                  after: { type: "string" },
+                  before: { type: ["string", "null"] },
+                  cursor: { type: ["string", "null"] },
+                  next_cursor: { type: ["string", "null"] },
+                  limit: { type: ["integer", "null"] },
+                  returned: { type: "integer" }
+                }
+              }
             },
             required: ["data", "meta"]
           }
@@ -99,7 +143,7 @@ export default {
             properties: {
               reportId: { 
                 type: "string",
-                description: "ID of the report to retrieve"
+                description: "ID, URL or title of the report to retrieve"
               }
             },
             required: ["reportId"]
@@ -130,7 +174,7 @@ export default {
             properties: {
               reportId: { 
                 type: "string",
-                description: "ID of the report to retrieve YARA rules for"
+                description: "ID, URL or title of the report to retrieve YARA rules for"
               }
             },
             required: ["reportId"]
@@ -160,14 +204,26 @@ export default {
         {
           name: "list_ioc_by_rosti_report_id",
           title: "List IOCs by ROSTI Report ID",
-          description: "Retrieves Indicators of Compromise (IOCs) associated with a specific ROSTI report.",
+          description: "Retrieves Indicators of Compromise (IOCs) associated with a specific ROSTI report. Optionally exports them as a STIX 2.1 bundle, MISP event JSON or CSV.",
           inputSchema: {
             type: "object",
             additionalProperties: false,
             properties: {
               reportId: { 
                 type: "string",
-                description: "ID of the report to retrieve IOCs for"
+                description: "ID, URL or title of the report to retrieve IOCs for"
+              },
+              format: {
+                type: "string",
+                enum: ["markdown", "stix", "misp", "csv"],
+                default: "markdown",
+                description: "Output format: markdown summary (default), STIX 2.1 bundle, MISP event JSON or CSV"
+              },
+              offset: {
+                type: "integer",
+                minimum: 0,
+                default: 0,
+                description: "Markdown only: skip this many IOCs (continuation.offset of a previous call)"
               }
             },
             required: ["reportId"]
@@ -191,10 +247,247 @@ export default {
                   }
                 }
               },
-              meta: { type: "object" }
+              ...budgetSchemaProps,
+              meta: { type: "object" },
+              export: {
+                type: "object",
+                properties: {
+                  format: { type: "string" },
+                  exported: { type: "integer" },
+                  skipped: { type: "integer" },
+                  document: { type: ["object", "string", "null"] }
+                }
+              }
             },
             required: ["data", "meta"]
           }
+        },
+        {
+          name: "get_mitre_techniques_by_rosti_report_id",
+          title: "Get MITRE ATT&CK Techniques by ROSTI Report ID",
+          description: "Retrieves the MITRE ATT&CK technique IDs for a ROSTI report, enriched with technique and tactic names. Can output an ATT&CK Navigator layer.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              reportId: { 
+                type: "string",
+                description: "ID, URL or title of the report to retrieve ATT&CK techniques for"
+              },
+              format: {
+                type: "string",
+                enum: ["markdown", "navigator"],
+                default: "markdown",
+                description: "markdown summary (default) or an ATT&CK Navigator layer JSON"
+              }
+            },
+            required: ["reportId"]
+          },
+          outputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              data: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    id: { type: "string" },
+                    name: { type: ["string", "null"] },
+                    known: { type: "boolean" },
+                    tactics: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          id: { type: "string" },
+                          shortname: { type: "string" },
+                          name: { type: "string" }
+                        }
+                      }
+                    }
+                  }
+                }
+              },
+              meta: { type: "object" },
+              layer: { type: "object" }
+            },
+            required: ["data", "meta"]
+          }
+        },
+        {
+          name: "lookup_ioc",
+          title: "Look Up IOCs Across ROSTI Reports",
+          description: "Searches the IOCs of ROSTI reports in a date window for one or more indicator values (hashes, domains, IPs, URLs, emails). Accepts defanged input such as hxxp, [.] and (dot).",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              values: {
+                type: "array",
+                items: { type: "string" },
+                minItems: 1,
+                maxItems: 50,
+                description: "Indicator values to look for (defanged forms are accepted)"
+              },
+              days: {
+                type: "integer",
+                minimum: 1,
+                maximum: 365,
+                default: 14,
+                description: "Relative window in days, used when 'after' is not given"
+              },
+              after: {
+                type: "string",
+                description: "Only search reports on or after this date (YYYY-MM-DD). Overrides 'days'."
+              },
+              before: {
+                type: "string",
+                description: "Only search reports before this date (YYYY-MM-DD)"
+              },
+              source: {
+                type: "string",
+                description: "Optional source filter (e.g., 'asec')"
+              },
+              max_reports: {
+                type: "integer",
+                minimum: 1,
+                maximum: 40,
+                default: 25,
+                description: "Maximum number of reports to scan (newest first)"
+              }
+            },
+            required: ["values"]
+          },
+          outputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              after: { type: "string" },
+              before: { type: ["string", "null"] },
+              scanned_reports: { type: "integer" },
+              truncated: { type: "boolean" },
+              skipped: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    report_id: { type: "string" },
+                    title: { type: "string" },
+                    date: { type: "string" },
+                    kind: { type: ["string", "null"] },
+                    error: { type: "string" }
+                  }
+                }
+              },
+              results: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    query: { type: "string" },
+                    value: { type: "string" },
+                    matches: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          report_id: { type: "string" },
+                          title: { type: "string" },
+                          date: { type: "string" },
+                          url: { type: "string" },
+                          type: { type: "string" },
+                          category: { type: "string" },
+                          ids: { type: "boolean" }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            required: ["results"]
+          }
+        },
+        {
+          name: "build_yara_ruleset",
+          title: "Build Merged YARA Ruleset from ROSTI Reports",
+          description: "Collects YARA rules from several ROSTI reports (by ID or from a date window) into one compilable .yar ruleset: duplicates removed by rule body hash, clashing names renamed, imports merged at the top, global rules made normal ones and meta fields pointing back to the source report. Reports that fail to load are skipped and listed.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              reportIds: {
+                type: "array",
+                items: { type: "string" },
+                maxItems: 20,
+                description: "Report IDs, URLs or titles to collect rules from. When omitted, reports in the date window are used."
+              },
+              days: {
+                type: "integer",
+                minimum: 1,
+                maximum: 365,
+                default: 7,
+                description: "Relative window in days, used when neither reportIds nor 'after' is given"
+              },
+              after: {
+                type: "string",
+                description: "Only reports on or after this date (YYYY-MM-DD). Overrides 'days'."
+              },
+              before: {
+                type: "string",
+                description: "Only reports before this date (YYYY-MM-DD)"
+              },
+              source: {
+                type: "string",
+                description: "Optional source filter for the date window (e.g., 'asec')"
+              },
+              max_reports: {
+                type: "integer",
+                minimum: 1,
+                maximum: 40,
+                default: 25,
+                description: "Maximum number of reports to collect from the date window"
+              }
+            }
+          },
+          outputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              ruleset: { type: "string" },
+              imports: { type: "array", items: { type: "string" } },
+              rules: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    original_name: { type: "string" },
+                    report_id: { type: "string" },
+                    hash: { type: "string" }
+                  }
+                }
+              },
+              reports: { type: "integer" },
+              duplicates_removed: { type: "integer" },
+              renamed: { type: "integer" },
+              globals_demoted: { type: "array", items: { type: "string" } },
+              skipped: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    input: { type: "string" },
+                    report_id: { type: ["string", "null"] },
+                    kind: { type: ["string", "null"] },
+                    error: { type: "string" }
+                  }
+                }
+              }
+            },
+            required: ["ruleset", "rules"]
+          }
         }
       ];
 
@@ -203,49 +496,49 @@ export default {
 
     if (method === "tools/call") {
       const { name, arguments: args = {} } = rpc?.params || {};
+      // Upstream requests this call may still make (retries and title lookups included)
+      const budget = { left: ROSTI_SUBREQUEST_BUDGET };
 
-      // Helper to make API requests to ROSTI
-      async function fetchFromRosti(endpoint) {
-        // Check if API key is available
-        if (!env.ROSTI_API_KEY) {
-          throw new Error("ROSTI API key not set in environment variables");
-        }
-
-        const headers = {
-          "X-API-Key": env.ROSTI_API_KEY,
-          "Content-Type": "application/json"
-        };
-
-        const response = await fetch(endpoint, {
-          method: "GET",
-          headers
-        });
-
-        if (!response.ok) {
-          throw new Error(`ROSTI API error: ${response.status} ${response.statusText}`);
-        }
-
-        return await response.json();
-      }
-
-      // Get latest reports from last 48 hours
+      // Get latest reports (last 48 hours unless a window is given)
       if (name === "get_latest_rosti_reports") {
         try {
-          // Calculate date for 48 hours ago in YYYY-MM-DD format
-          const date = new Date();
-          date.setHours(date.getHours() - 48);
-          const formattedDate = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+          const window = resolveDateWindow(args);
+          if (window.error) {
+            return jsonRpcError(id, -32602, window.error, cors);
+          }
+          if (args.tags !== undefined && (!Array.isArray(args.tags) || args.tags.some(t => typeof t !== "string"))) {
+            return jsonRpcError(id, -32602, "Invalid params: tags must be an array of strings", cors);
+          }
+          const limit = Number.isInteger(args.limit) ? Math.max(1, Math.min(100, args.limit)) : null;
+          const cursor = typeof args.cursor === "string" && args.cursor ? args.cursor : null;
 
-          const source = args.source ? `&source=${args.source}` : "";
-          const apiUrl = `https://api.rosti.bin.re/v2/reports?after=${formattedDate}${source}`;
+          const params = new URLSearchParams({ after: window.after });
+          if (window.before) params.set("before", window.before);
+          if (args.source) params.set("source", args.source);
+          if (args.tags && args.tags.length) params.set("tags", args.tags.join(","));
+          if (limit) params.set("limit", String(limit));
+          if (cursor) params.set("cursor", cursor);
+          const apiUrl = `https://api.rosti.bin.re/v2/reports?${params}`;
           
-          const data = await fetchFromRosti(apiUrl);
+          const data = await fetchFromRosti(apiUrl, env, ctx, budget);
+          const reports = data.data || [];
+          const page = {
+            after: window.after,
+            before: window.before,
+            cursor,
+            next_cursor: nextCursorFromMeta(data.meta),
+            limit,
+            returned: reports.length
+          };
           
           // Format the response for display
-          let contentText = `## Latest ROSTI Reports (after ${formattedDate})\n\n`;
+          const range = window.before ? `${window.after} to ${window.before}` : `after ${window.after}`;
+          let contentText = `## Latest ROSTI Reports (${range})\n\n`;
+          contentText += `Page: ${cursor ? `cursor ${cursor}` : "first"} — ${reports.length} report(s)`;
+          contentText += page.next_cursor ? `, more available (cursor: ${page.next_cursor})\n\n` : ", no further pages\n\n";
           
-          if (data.data && data.data.length > 0) {
-            data.data.forEach(report => {
+          if (reports.length > 0) {
+            reports.forEach(report => {
               contentText += `- **${report.title}** (${report.date})\n`;
               contentText += `  - Source: ${report.source.name}\n`;
               contentText += `  - Tags: ${report.tags.join(', ')}\n`;
@@ -260,11 +553,11 @@ export default {
             id,
             result: {
               content: [{ type: "text", text: contentText }],
-              structuredContent: data
+              structuredContent: { ...data, page }
             }
           }, cors);
         } catch (error) {
-          return jsonRpcError(id, -32000, `Error fetching latest reports: ${error.message}`, cors);
+          return jsonRpcError(id, error.rpcCode || -32000, `Error fetching latest reports: ${error.message}`, cors, error.rpcData);
         }
       }
 
@@ -276,10 +569,10 @@ export default {
           }
           
           // Get the proper report ID
-          let reportId = await getReportIdFromInput(args.reportId, env);
+          let reportId = await getReportIdFromInput(args.reportId, env, ctx, budget);
 
           const apiUrl = `https://api.rosti.bin.re/v2/reports/${reportId}`;
-          const data = await fetchFromRosti(apiUrl);
+          const data = await fetchFromRosti(apiUrl, env, ctx, budget);
           
           // Format the response for display
           let contentText = `## ROSTI Report: ${data.title}\n\n`;
@@ -303,7 +596,7 @@ export default {
             }
           }, cors);
         } catch (error) {
-          return jsonRpcError(id, -32000, `Error fetching report: ${error.message}`, cors);
+          return jsonRpcError(id, error.rpcCode || -32000, `Error fetching report: ${error.message}`, cors, error.rpcData);
         }
       }
 
@@ -315,10 +608,10 @@ export default {
           }
           
           // Get the proper report ID
-          let reportId = await getReportIdFromInput(args.reportId, env);
+          let reportId = await getReportIdFromInput(args.reportId, env, ctx, budget);
 
           const apiUrl = `https://api.rosti.bin.re/v2/reports/${reportId}/yara-rules`;
-          const data = await fetchFromRosti(apiUrl);
+          const data = await fetchFromRosti(apiUrl, env, ctx, budget);
           
           // Format the response for display
           let contentText = `## YARA Rules for ROSTI Report ID: ${args.reportId}\n\n`;
@@ -343,7 +636,7 @@ export default {
             }
           }, cors);
         } catch (error) {
-          return jsonRpcError(id, -32000, `Error fetching YARA rules: ${error.message}`, cors);
+          return jsonRpcError(id, error.rpcCode || -32000, `Error fetching YARA rules: ${error.message}`, cors, error.rpcData);
         }
       }
 
@@ -354,19 +647,61 @@ export default {
             return jsonRpcError(id, -32602, "Missing required parameter: reportId", cors);
           }
           
+          const format = args.format || "markdown";
+          if (!["markdown", "stix", "misp", "csv"].includes(format)) {
+            return jsonRpcError(id, -32602, "Invalid params: format must be one of markdown, stix, misp, csv", cors);
+          }
+          const offset = args.offset ?? 0;
+          if (!Number.isInteger(offset) || offset < 0) {
+            return jsonRpcError(id, -32602, "Invalid params: offset must be a non-negative integer", cors);
+          }
+          if (offset && format !== "markdown") {
+            return jsonRpcError(id, -32602, "Invalid params: offset applies to the markdown listing only; exports always cover every IOC", cors);
+          }
+
           // Get the proper report ID
-          let reportId = await getReportIdFromInput(args.reportId, env);
+          let reportId = await getReportIdFromInput(args.reportId, env, ctx, budget);
 
           const apiUrl = `https://api.rosti.bin.re/v2/reports/${reportId}/iocs`;
-          const data = await fetchFromRosti(apiUrl);
+          const data = await fetchFromRosti(apiUrl, env, ctx, budget);
+
+          // Exports need the report itself for titles, dates and links
+          if (format !== "markdown") {
+            const report = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports/${reportId}`, env, ctx, budget);
+            const iocs = data.data || [];
+            const exported = format === "stix" ? iocsToStixBundle(iocs, report)
+              : format === "misp" ? iocsToMispEvent(iocs, report)
+              : iocsToCsv(iocs);
+            const text = typeof exported.document === "string"
+              ? exported.document
+              : JSON.stringify(exported.document, null, 2);
+
+            // the export document carries every IOC, so the raw list goes first if over budget;
+            // past that the document itself is left out (it is the text content as well).
+            // Exports are not paged, so no continuation is offered.
+            const { continuation, ...structured } = enforceSizeBudget({ ...data, export: { format, ...exported } }, { trim: [], list: "data", drop: ["export.document"] });
+
+            return json({
+              jsonrpc: "2.0",
+              id,
+              result: {
+                content: [{ type: "text", text }],
+                structuredContent: structured
+              }
+            }, cors);
+          }
           
+          const total = (data.data || []).length;
+          const listed = { ...data, data: (data.data || []).slice(offset) };
+
           // Format the response for display
           let contentText = `## IOCs for ROSTI Report ID: ${args.reportId}\n\n`;
+          if (offset) contentText += `_IOCs ${offset + 1}–${total} of ${total}_\n\n`;
           
-          if (data.data && data.data.length > 0) {
+          if (listed.data.length > 0) {
             // Group IOCs by type
             const iocsByType = {};
-            data.data.forEach(ioc => {
+            listed.data.forEach(ioc => {
               if (!iocsByType[ioc.type]) {
                 iocsByType[ioc.type] = [];
               }
@@ -384,7 +719,7 @@ export default {
               });
             }
           } else {
-            contentText += "No IOCs found for this report.\n";
+            contentText += total ? `No IOCs at offset ${offset} (${total} in total).\n` : "No IOCs found for this report.\n";
           }
 
           return json({
@@ -392,11 +727,272 @@ export default {
             id,
             result: {
               content: [{ type: "text", text: contentText }],
-              structuredContent: data
+              structuredContent: enforceSizeBudget(listed, { trim: ["category"], list: "data", listOffset: offset })
+            }
+          }, cors);
+        } catch (error) {
+          return jsonRpcError(id, error.rpcCode || -32000, `Error fetching IOCs: ${error.message}`, cors, error.rpcData);
+        }
+      }
+
+      // Get MITRE ATT&CK techniques by report ID
+      if (name === "get_mitre_techniques_by_rosti_report_id") {
+        try {
+          if (!args.reportId) {
+            return jsonRpcError(id, -32602, "Missing required parameter: reportId", cors);
+          }
+          const format = args.format || "markdown";
+          if (format !== "markdown" && format !== "navigator") {
+            return jsonRpcError(id, -32602, "Invalid params: format must be markdown or navigator", cors);
+          }
+          
+          // Get the proper report ID
+          let reportId = await getReportIdFromInput(args.reportId, env, ctx, budget);
+
+          const apiUrl = `https://api.rosti.bin.re/v2/reports/${reportId}/mitre-ids`;
+          const data = await fetchFromRosti(apiUrl, env, ctx, budget);
+
+          // ROSTI returns either plain IDs or objects carrying the ID; dedupe and enrich
+          const ids = [...new Set((data.data || [])
+            .map(item => typeof item === "string" ? item : (item?.mitre_id || item?.technique_id || item?.id))
+            .filter(v => typeof v === "string" && /^T\d{4}(\.\d{3})?$/i.test(v.trim()))
+            .map(v => v.trim().toUpperCase()))];
+          const techniques = ids.sort().map(lookupAttackTechnique);
+
+          if (format === "navigator") {
+            const report = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports/${reportId}`, env, ctx, budget);
+            const layer = techniquesToNavigatorLayer(techniques, report);
+
+            return json({
+              jsonrpc: "2.0",
+              id,
+              result: {
+                content: [{ type: "text", text: JSON.stringify(layer, null, 2) }],
+                structuredContent: { data: techniques, meta: data.meta || {}, layer }
+              }
+            }, cors);
+          }
+          
+          // Format the response for display, grouped by tactic
+          let contentText = `## MITRE ATT&CK Techniques for ROSTI Report ID: ${args.reportId}\n\n`;
+          
+          if (techniques.length > 0) {
+            const byTactic = {};
+            techniques.forEach(t => {
+              const tactics = t.tactics.length ? t.tactics.map(x => x.name) : ["Unmapped"];
+              tactics.forEach(tactic => {
+                if (!byTactic[tactic]) byTactic[tactic] = [];
+                byTactic[tactic].push(t);
+              });
+            });
+
+            for (const [tactic, list] of Object.entries(byTactic)) {
+              contentText += `### ${tactic} (${list.length})\n\n`;
+              list.forEach(t => {
+                contentText += `- **${t.id}** ${t.name || "(not in bundled ATT&CK table)"}\n`;
+              });
+              contentText += "\n";
+            }
+          } else {
+            contentText += "No MITRE ATT&CK techniques found for this report.\n";
+          }
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: contentText }],
+              structuredContent: { data: techniques, meta: data.meta || {} }
             }
           }, cors);
         } catch (error) {
-          return jsonRpcError(id, -32000, `Error fetching IOCs: ${error.message}`, cors);
+          return jsonRpcError(id, error.rpcCode || -32000, `Error fetching MITRE ATT&CK techniques: ${error.message}`, cors, error.rpcData);
+        }
+      }
+
+      // Look up indicator values across the IOCs of reports in a window
+      if (name === "lookup_ioc") {
+        try {
+          if (!Array.isArray(args.values) || !args.values.length || args.values.some(v => typeof v !== "string")) {
+            return jsonRpcError(id, -32602, "Invalid params: values must be a non-empty array of strings", cors);
+          }
+          const window = resolveDateWindow({ ...args, days: args.days ?? 14 });
+          if (window.error) {
+            return jsonRpcError(id, -32602, window.error, cors);
+          }
+          const maxReports = Number.isInteger(args.max_reports)
+            ? Math.max(1, Math.min(FANOUT_MAX_REPORTS, args.max_reports))
+            : 25;
+
+          const queries = args.values.slice(0, 50).map(query => ({ query, value: normalizeIocValue(query) }))
+            .filter(q => q.value);
+          const wanted = new Map(queries.map(q => [q.value, []]));
+
+          // Collect the reports in the window, following ROSTI's cursor paging
+          const reports = [];
+          let cursor = null;
+          do {
+            const params = new URLSearchParams({ after: window.after });
+            if (window.before) params.set("before", window.before);
+            if (args.source) params.set("source", args.source);
+            if (cursor) params.set("cursor", cursor);
+            const page = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports?${params}`, env, ctx, budget);
+            reports.push(...(page.data || []));
+            cursor = nextCursorFromMeta(page.meta);
+          } while (cursor && reports.length < maxReports);
+          const truncated = reports.length > maxReports || !!cursor;
+          const scanned = reports.slice(0, maxReports);
+
+          // One report failing (or the budget running out) only skips that report
+          const skipped = [];
+          await mapWithConcurrency(scanned, 5, async (report) => {
+            let iocs;
+            try {
+              iocs = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports/${report.id}/iocs`, env, ctx, budget);
+            } catch (error) {
+              skipped.push({
+                report_id: report.id,
+                title: report.title,
+                date: report.date,
+                kind: error.rpcData?.kind ?? null,
+                error: error.message
+              });
+              return;
+            }
+            const seen = new Set();
+            for (const ioc of iocs.data || []) {
+              // Composite MISP types (e.g. domain|ip) hold one value per part
+              for (const part of String(ioc.value ?? "").split("|")) {
+                const value = normalizeIocValue(part);
+                const hits = wanted.get(value);
+                // one hit per value and report, however often the report lists it
+                if (!hits || seen.has(value)) continue;
+                seen.add(value);
+                hits.push({
+                  report_id: report.id,
+                  title: report.title,
+                  date: report.date,
+                  url: report.url,
+                  type: ioc.type,
+                  category: ioc.category,
+                  ids: !!ioc.ids
+                });
+              }
+            }
+          });
+
+          const results = queries.map(({ query, value }) => ({
+            query,
+            value,
+            matches: wanted.get(value).sort((a, b) => String(b.date).localeCompare(String(a.date)))
+          }));
+
+          // Format the response for display
+          const range = window.before ? `${window.after} to ${window.before}` : `after ${window.after}`;
+          let contentText = `## IOC Lookup (${scanned.length - skipped.length} report(s) ${range})\n\n`;
+          if (truncated) {
+            contentText += `_Only the newest ${maxReports} reports were scanned; narrow the window or raise max_reports._\n\n`;
+          }
+          if (skipped.length) {
+            contentText += `_${skipped.length} report(s) could not be searched: ${skipped.map(r => r.report_id).join(", ")}._\n\n`;
+          }
+          results.forEach(r => {
+            contentText += `### ${r.value} (${r.matches.length} report(s))\n\n`;
+            if (!r.matches.length) {
+              contentText += "Not seen in any scanned report.\n\n";
+              return;
+            }
+            r.matches.forEach(m => {
+              contentText += `- **${m.title}** (${m.date}) — ${m.type}, ${m.category}${m.ids ? ", IDS" : ""}\n`;
+              contentText += `  - ID: ${m.report_id} — [View Report](${m.url})\n`;
+            });
+            contentText += "\n";
+          });
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: contentText }],
+              structuredContent: { after: window.after, before: window.before, scanned_reports: scanned.length - skipped.length, truncated, skipped, results }
+            }
+          }, cors);
+        } catch (error) {
+          return jsonRpcError(id, error.rpcCode || -32000, `Error looking up IOCs: ${error.message}`, cors, error.rpcData);
+        }
+      }
+
+      // Merge YARA rules from several reports into one ruleset
+      if (name === "build_yara_ruleset") {
+        try {
+          if (args.reportIds !== undefined && (!Array.isArray(args.reportIds) || args.reportIds.some(v => typeof v !== "string"))) {
+            return jsonRpcError(id, -32602, "Invalid params: reportIds must be an array of strings", cors);
+          }
+
+          // One report failing (or the budget running out) only skips that report
+          const skipped = [];
+          const skip = (input, reportId, error) => {
+            skipped.push({ input, report_id: reportId, kind: error.rpcData?.kind ?? null, error: error.message });
+            return null;
+          };
+
+          let reports = [];
+          if (args.reportIds && args.reportIds.length) {
+            const inputs = args.reportIds.slice(0, FANOUT_MAX_REPORTS / 2);
+            const resolved = await mapWithConcurrency(inputs, 5, input =>
+              getReportIdFromInput(input, env, ctx, budget).catch(error => skip(input, null, error)));
+            const ids = [...new Set(resolved.filter(Boolean))];
+            reports = (await mapWithConcurrency(ids, 5, reportId =>
+              fetchFromRosti(`https://api.rosti.bin.re/v2/reports/${reportId}`, env, ctx, budget)
+                .catch(error => skip(reportId, reportId, error)))).filter(Boolean);
+          } else {
+            const window = resolveDateWindow({ ...args, days: args.days ?? 7 });
+            if (window.error) {
+              return jsonRpcError(id, -32602, window.error, cors);
+            }
+            const maxReports = Number.isInteger(args.max_reports)
+              ? Math.max(1, Math.min(FANOUT_MAX_REPORTS, args.max_reports))
+              : 25;
+            let cursor = null;
+            do {
+              const params = new URLSearchParams({ after: window.after });
+              if (window.before) params.set("before", window.before);
+              if (args.source) params.set("source", args.source);
+              if (cursor) params.set("cursor", cursor);
+              const page = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports?${params}`, env, ctx, budget);
+              reports.push(...(page.data || []));
+              cursor = nextCursorFromMeta(page.meta);
+            } while (cursor && reports.length < maxReports);
+            reports = reports.slice(0, maxReports);
+          }
+
+          // Skip reports ROSTI has no rules for when it tells us so
+          const withRules = reports.filter(r => !r.count || r.count.yara_rules !== 0);
+          const ruleSets = (await mapWithConcurrency(withRules, 5, async (report) => {
+            try {
+              const rules = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports/${report.id}/yara-rules`, env, ctx, budget);
+              return { report, rules: rules.data || [] };
+            } catch (error) {
+              return skip(report.id, report.id, error);
+            }
+          })).filter(Boolean);
+
+          const merged = await mergeYaraRules(ruleSets);
+          const notes = [
+            ...merged.globals_demoted.map(n => `// global rule ${n} made a normal rule so it cannot gate the other reports' rules`),
+            ...skipped.map(r => `// skipped ${r.input}: ${r.error}`)
+          ];
+
+          return json({
+            jsonrpc: "2.0",
+            id,
+            result: {
+              content: [{ type: "text", text: notes.length ? `${notes.join("\n")}\n${merged.ruleset}` : merged.ruleset }],
+              structuredContent: { ...merged, reports: ruleSets.length, skipped }
+            }
+          }, cors);
+        } catch (error) {
+          return jsonRpcError(id, error.rpcCode || -32000, `Error building YARA ruleset: ${error.message}`, cors, error.rpcData);
         }
       }
 
@@ -416,64 +1012,656 @@ function json(body, cors) {
     headers: { "Content-Type": "application/json", ...(cors || {}) }
   });
 }
-function jsonRpcError(id, code, message, cors) {
-  return json({ jsonrpc: "2.0", id, error: { code, message } }, cors);
+function jsonRpcError(id, code, message, cors, data) {
+  return json({ jsonrpc: "2.0", id, error: data === undefined ? { code, message } : { code, message, data } }, cors);
 }
 
-// Helper function to get report ID from URL or direct ID
-async function getReportIdFromInput(input, env) {
-  // If it's not a URL, assume it's already an ID and return as is
-  if (!input || !input.startsWith('http')) {
-    return input;
+// Helper to turn after/before/days arguments into a YYYY-MM-DD window
+function resolveDateWindow(args) {
+  const isDate = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s));
+
+  if (args.after !== undefined && !isDate(args.after)) {
+    return { error: "Invalid params: after must be a YYYY-MM-DD date" };
   }
-  
+  if (args.before !== undefined && !isDate(args.before)) {
+    return { error: "Invalid params: before must be a YYYY-MM-DD date" };
+  }
+
+  let after = args.after;
+  if (!after) {
+    const days = Number.isInteger(args.days) ? Math.max(1, Math.min(365, args.days)) : 2;
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    after = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+  }
+
+  const before = args.before || null;
+  if (before && before <= after) {
+    return { error: "Invalid params: before must be later than after" };
+  }
+  return { after, before };
+}
+
+// Helper to read the next-page cursor from ROSTI's paging metadata (`meta.next_cursor`,
+// null on the last page)
+function nextCursorFromMeta(meta) {
+  const next = meta?.next_cursor;
+  return typeof next === "string" && next ? next : null;
+}
+
+// ===== ROSTI upstream client =====
+
+// JSON-RPC error codes (server-defined range) for classified ROSTI failures
+// Server-error codes stay within -32000…-32003; data.kind tells kinds that share a code apart
+const ROSTI_ERROR_CODES = {
+  upstream_error: -32000,
+  not_found: -32000,
+  budget_exhausted: -32000,
+  auth_failed: -32001,
+  unresolved_report: -32002,
+  upstream_unavailable: -32003,
+  rate_limited: -32003
+};
+
+const ROSTI_TIMEOUT_MS = 10000;
+const ROSTI_MAX_ATTEMPTS = 3;
+const ROSTI_BACKOFF_BASE_MS = 300;
+const ROSTI_MAX_RETRY_AFTER_MS = 10000; // longer Retry-After waits are handed back to the caller
+
+// Keep one tool call (listing pages, title lookups and retries included) under the
+// Workers subrequest limit of 50
+const ROSTI_SUBREQUEST_BUDGET = 45;
+// Reports a fan-out tool (lookup_ioc, build_yara_ruleset) touches in one call, one request
+// each; reports given by ID need two (the report, then its data), so half as many
+const FANOUT_MAX_REPORTS = 40;
+
+// Error carrying a JSON-RPC code (and optional data) so tool handlers can surface it unchanged
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  if (data !== undefined) error.rpcData = data;
+  return error;
+}
+
+// Classified ROSTI failure: kind picks the JSON-RPC code, data tells agents whether to retry
+function rostiError(kind, message, extra = {}) {
+  const retryable = kind === "rate_limited" || kind === "upstream_unavailable";
+  return rpcError(ROSTI_ERROR_CODES[kind], message, { kind, retryable, ...extra });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Helper to make API requests to ROSTI with timeout, retries and classified errors;
+// report listings are fed into the URL/title index. `budget` ({ left }) is optional and
+// shared by the calls of one tool invocation: every attempt, retries included, spends one.
+async function fetchFromRosti(endpoint, env, ctx, budget = null) {
+  // Check if API key is available
+  if (!env.ROSTI_API_KEY) {
+    throw rostiError("auth_failed", "ROSTI API key not set in environment variables", { status: null });
+  }
+
+  const headers = {
+    "X-API-Key": env.ROSTI_API_KEY,
+    "Content-Type": "application/json"
+  };
+
+  let response;
+  for (let attempt = 1; ; attempt++) {
+    const backoff = ROSTI_BACKOFF_BASE_MS * 2 ** (attempt - 1) * (0.5 + Math.random());
+    if (budget) {
+      if (budget.left <= 0) {
+        throw rostiError("budget_exhausted", "Subrequest budget for this call used up", { status: null, attempts: attempt - 1 });
+      }
+      budget.left--;
+    }
+
+    try {
+      response = await fetch(endpoint, {
+        method: "GET",
+        headers,
+        signal: AbortSignal.timeout(ROSTI_TIMEOUT_MS)
+      });
+    } catch (error) {
+      const timedOut = error?.name === "TimeoutError" || error?.name === "AbortError";
+      if (attempt < ROSTI_MAX_ATTEMPTS) { await sleep(backoff); continue; }
+      throw rostiError("upstream_unavailable",
+        timedOut ? `ROSTI API timed out after ${ROSTI_TIMEOUT_MS} ms` : `ROSTI API unreachable: ${error?.message || error}`,
+        { status: null, attempts: attempt });
+    }
+
+    if (response.ok) break;
+
+    const status = response.status;
+    if (status === 429) {
+      const wait = parseRetryAfter(response.headers.get("Retry-After"));
+      if (attempt < ROSTI_MAX_ATTEMPTS && (wait ?? backoff) <= ROSTI_MAX_RETRY_AFTER_MS) {
+        await sleep(wait ?? backoff);
+        continue;
+      }
+      throw rostiError("rate_limited", "ROSTI API rate limit reached, try again later", {
+        status, attempts: attempt, retry_after: wait === null ? null : Math.ceil(wait / 1000)
+      });
+    }
+    if (status >= 500) {
+      if (attempt < ROSTI_MAX_ATTEMPTS) { await sleep(backoff); continue; }
+      throw rostiError("upstream_unavailable", `ROSTI API unavailable: ${status} ${response.statusText}`, { status, attempts: attempt });
+    }
+    if (status === 401 || status === 403) {
+      throw rostiError("auth_failed", `ROSTI API rejected the API key: ${status} ${response.statusText}`, { status });
+    }
+    if (status === 404) {
+      throw rostiError("not_found", "ROSTI resource not found", { status, endpoint: new URL(endpoint).pathname });
+    }
+    throw rostiError("upstream_error", `ROSTI API error: ${status} ${response.statusText}`, { status });
+  }
+
+  const data = await response.json();
+
+  const path = new URL(endpoint).pathname.replace(/\/+$/, "");
+  const reports = path === "/v2/reports" ? data?.data : /^\/v2\/reports\/[^/]+$/.test(path) ? [data] : null;
+  if (reports && reports.length) {
+    const indexing = indexReports(reports, env);
+    if (ctx?.waitUntil) ctx.waitUntil(indexing); else await indexing;
+  }
+
+  return data;
+}
+
+// ===== Report URL/title → ID index (KV) =====
+
+// Lookback segments (days ago) searched when a URL or title isn't indexed yet
+const INDEX_LOOKBACK_SEGMENTS = [[0, 7], [7, 30], [30, 90], [90, 365]];
+const INDEX_MAX_PAGES_PER_SEGMENT = 5;
+// Requests left to the caller when a lookback walk stops early
+const INDEX_LOOKBACK_RESERVE = 5;
+
+function normalizeReportUrl(input) {
   try {
-    // Try to lookup the URL in recent reports to get the correct ID
-    // Calculate date for recent reports (7 days)
+    const u = new URL(input.trim());
+    u.hash = "";
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    return `${host}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+  } catch {
+    return input.trim().toLowerCase();
+  }
+}
+
+function normalizeReportTitle(input) {
+  return String(input || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// KV keys are capped at 512 bytes, so index on a hash of the normalised value
+async function indexKey(kind, normalized) {
+  return `rosti:${kind}:${await sha256Hex(normalized)}`;
+}
+
+// Record url → id and title → id for each report (no-op without a KV binding).
+// Listings are fetched over and over, so entries already indexed as-is are not rewritten.
+async function indexReports(reports, env) {
+  if (!env.KV || typeof env.KV.put !== "function") return;
+  const upsert = async (key, value) => {
+    if (await env.KV.get(key) !== value) await env.KV.put(key, value);
+  };
+  try {
+    const writes = [];
+    for (const report of reports) {
+      if (!report?.id) continue;
+      const value = JSON.stringify({ id: report.id, url: report.url ?? null, title: report.title ?? null, date: report.date ?? null });
+      if (report.url) writes.push(indexKey("url", normalizeReportUrl(report.url)).then(k => upsert(k, value)));
+      if (report.title) writes.push(indexKey("title", normalizeReportTitle(report.title)).then(k => upsert(k, value)));
+    }
+    await Promise.all(writes);
+  } catch (error) {
+    console.error("Error indexing ROSTI reports:", error);
+  }
+}
+
+async function lookupIndexedReport(kind, normalized, env) {
+  if (!env.KV || typeof env.KV.get !== "function") return null;
+  try {
+    const raw = await env.KV.get(await indexKey(kind, normalized));
+    return raw ? JSON.parse(raw)?.id ?? null : null;
+  } catch (error) {
+    console.error("Error reading ROSTI report index:", error);
+    return null;
+  }
+}
+
+// Walk older report listings until the URL/title turns up (listings index themselves as they load).
+// With a `budget` the walk stops while the caller still has INDEX_LOOKBACK_RESERVE requests left.
+async function searchReportListings(kind, normalized, env, ctx, budget = null) {
+  const daysAgo = (n) => {
     const date = new Date();
-    date.setDate(date.getDate() - 7);
-    const formattedDate = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    // Fetch recent reports to try to find a match
-    const apiUrl = `https://api.rosti.bin.re/v2/reports?after=${formattedDate}`;
-    
-    // Check if API key is available
-    if (!env.ROSTI_API_KEY) {
-      throw new Error("ROSTI API key not set in environment variables");
+    date.setDate(date.getDate() - n);
+    return date.toISOString().split('T')[0]; // YYYY-MM-DD format
+  };
+  const matches = (report) => kind === "url"
+    ? report.url && normalizeReportUrl(report.url) === normalized
+    : report.title && normalizeReportTitle(report.title) === normalized;
+
+  for (const [newest, oldest] of INDEX_LOOKBACK_SEGMENTS) {
+    let cursor = null;
+    for (let page = 0; page < INDEX_MAX_PAGES_PER_SEGMENT; page++) {
+      if (budget && budget.left <= INDEX_LOOKBACK_RESERVE) {
+        throw rostiError("budget_exhausted", `Stopped looking for the report ${kind} ${newest} days back: subrequest budget used up. Pass the report ID instead.`, { status: null });
+      }
+      const params = new URLSearchParams({ after: daysAgo(oldest) });
+      if (newest > 0) params.set("before", daysAgo(newest));
+      if (cursor) params.set("cursor", cursor);
+
+      const data = await fetchFromRosti(`https://api.rosti.bin.re/v2/reports?${params}`, env, ctx, budget);
+      const hit = (data.data || []).find(matches);
+      if (hit?.id) return hit.id;
+
+      cursor = nextCursorFromMeta(data.meta);
+      if (!cursor) break;
     }
+  }
+  return null;
+}
 
-    const headers = {
-      "X-API-Key": env.ROSTI_API_KEY,
-      "Content-Type": "application/json"
-    };
+// ROSTI report IDs are long opaque tokens of letters and digits. Require a digit or a
+// lower-to-upper case change as well, so one-word titles ("Lazarus", "Emotet") still
+// go through title resolution; separators ("APT29-phishing-campaign") mean a title too.
+const REPORT_ID_RE = /^[A-Za-z0-9]{16,64}$/;
+
+function isReportId(input) {
+  return REPORT_ID_RE.test(input) && (/\d/.test(input) || /[a-z][A-Z]/.test(input));
+}
+
+// Helper function to get report ID from a report URL, a title or a direct ID
+async function getReportIdFromInput(input, env, ctx, budget = null) {
+  if (!input || typeof input !== "string") {
+    throw rpcError(-32602, "Invalid params: reportId must be a report ID, URL or title");
+  }
+
+  const isUrl = /^https?:\/\//i.test(input.trim());
+  if (!isUrl && isReportId(input.trim())) {
+    return input.trim();
+  }
+
+  const kind = isUrl ? "url" : "title";
+  const normalized = isUrl ? normalizeReportUrl(input) : normalizeReportTitle(input);
+
+  const indexed = await lookupIndexedReport(kind, normalized, env);
+  if (indexed) return indexed;
+
+  const found = await searchReportListings(kind, normalized, env, ctx, budget);
+  if (found) {
+    console.log(`Resolved report ${kind} to ID ${found}: ${input}`);
+    return found;
+  }
+
+  throw rostiError("unresolved_report", `Unresolved report ${kind}: no ROSTI report in the last ${INDEX_LOOKBACK_SEGMENTS.at(-1)[1]} days matches "${input}". Pass the report ID instead.`, { input });
+}
+
+
+// Refang and canonicalise an indicator value so defanged and raw forms compare equal
+function normalizeIocValue(input) {
+  return String(input || "")
+    .trim()
+    .replace(/^hxxp/i, "http")
+    .replace(/^fxp/i, "ftp")
+    .replace(/\[\s*(\.|dot)\s*\]|\(\s*(\.|dot)\s*\)|\{\s*(\.|dot)\s*\}/gi, ".")
+    .replace(/\[\s*(@|at)\s*\]|\(\s*(@|at)\s*\)/gi, "@")
+    .replace(/\[:\]|\[:\/\/\]/g, m => m.slice(1, -1))
+    .replace(/^["'<]+|["'>,;]+$/g, "")
+    .replace(/\/+$/, "")
+    .toLowerCase();
+}
+
+// Run an async function over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Build an ATT&CK Navigator layer (format 4.5) highlighting a report's techniques
+function techniquesToNavigatorLayer(techniques, report) {
+  return {
+    name: `ROSTI: ${report?.title || report?.id || "report"}`.slice(0, 120),
+    versions: { attack: ATTACK_VERSION, navigator: "4.9.1", layer: "4.5" },
+    domain: "enterprise-attack",
+    description: [report?.date, report?.url].filter(Boolean).join(" — "),
+    techniques: techniques.map(t => ({
+      techniqueID: t.id,
+      score: 1,
+      color: "#e60d0d",
+      comment: "Reported by ROSTI",
+      enabled: true,
+      showSubtechniques: true
+    })),
+    gradient: { colors: ["#ffffff", "#e60d0d"], minValue: 0, maxValue: 1 },
+    legendItems: [{ label: "Seen in report", color: "#e60d0d" }],
+    showTacticRowBackground: false,
+    selectTechniquesAcrossTactics: true,
+    selectSubtechniquesWithParent: false
+  };
+}
+
+// ===== IOC export helpers =====
+
+// ROSTI uses MISP attribute types; map the common ones to STIX 2.1 pattern paths
+const STIX_PATTERN_PATHS = {
+  "md5": "file:hashes.MD5",
+  "sha1": "file:hashes.'SHA-1'",
+  "sha256": "file:hashes.'SHA-256'",
+  "sha512": "file:hashes.'SHA-512'",
+  "filename": "file:name",
+  "ip-src": "ipv4-addr:value",
+  "ip-dst": "ipv4-addr:value",
+  "ip": "ipv4-addr:value",
+  "domain": "domain-name:value",
+  "hostname": "domain-name:value",
+  "url": "url:value",
+  "uri": "url:value",
+  "link": "url:value",
+  "email": "email-addr:value",
+  "email-src": "email-addr:value",
+  "email-dst": "email-addr:value",
+  "mutex": "mutex:name",
+  "regkey": "windows-registry-key:key"
+};
+
+// Map ROSTI/loose type names onto MISP attribute types
+const MISP_TYPE_ALIASES = {
+  "ip": "ip-dst",
+  "ipv4": "ip-dst",
+  "ipv6": "ip-dst",
+  "email": "email-src"
+};
+
+function stixPatternForIoc(ioc) {
+  const types = String(ioc.type || "").toLowerCase().split("|");
+  const values = String(ioc.value ?? "").split("|");
+  const parts = [];
+  types.forEach((type, i) => {
+    let path = STIX_PATTERN_PATHS[type];
+    const value = values[i] ?? values[0];
+    if (!path || !value) return;
+    if (path === "ipv4-addr:value" && value.includes(":")) path = "ipv6-addr:value";
+    parts.push(`${path} = '${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`);
+  });
+  return parts.length ? `[${parts.join(" AND ")}]` : null;
+}
+
+function toStixTimestamp(value, fallback) {
+  const t = Date.parse(value || "");
+  return new Date(isNaN(t) ? fallback : t).toISOString();
+}
 
-    const response = await fetch(apiUrl, {
-      method: "GET",
-      headers
+// Build a STIX 2.1 bundle: one indicator per IOC, all referenced by a report object.
+// A report needs at least one object_ref, so when no IOC maps the bundle is left empty.
+function iocsToStixBundle(iocs, report) {
+  const now = new Date().toISOString();
+  const published = toStixTimestamp(report?.date, Date.now());
+  const indicators = [];
+  let skipped = 0;
+
+  for (const ioc of iocs) {
+    const pattern = stixPatternForIoc(ioc);
+    if (!pattern) { skipped++; continue; }
+    indicators.push({
+      type: "indicator",
+      spec_version: "2.1",
+      id: `indicator--${crypto.randomUUID()}`,
+      created: now,
+      modified: now,
+      name: ioc.value,
+      pattern,
+      pattern_type: "stix",
+      valid_from: toStixTimestamp(ioc.date, Date.parse(published)),
+      labels: ioc.category ? [ioc.category] : [],
+      x_rosti_type: ioc.type,
+      x_rosti_category: ioc.category ?? null,
+      x_rosti_ids: !!ioc.ids,
+      x_rosti_ioc_id: ioc.id ?? null
     });
+  }
+
+  const reportObject = {
+    type: "report",
+    spec_version: "2.1",
+    id: `report--${crypto.randomUUID()}`,
+    created: now,
+    modified: now,
+    name: report?.title || "ROSTI report",
+    published,
+    report_types: ["threat-report"],
+    object_refs: indicators.map(i => i.id),
+    external_references: [
+      { source_name: "rosti", external_id: report?.id ?? null, url: report?.url ?? undefined }
+    ]
+  };
+  const bundle = { type: "bundle", id: `bundle--${crypto.randomUUID()}` };
+  if (indicators.length) bundle.objects = [reportObject, ...indicators];
+
+  return { exported: indicators.length, skipped, document: bundle };
+}
+
+// Build a MISP event (as accepted by /events/add) carrying every IOC as an attribute
+function iocsToMispEvent(iocs, report) {
+  const attributes = iocs.map(ioc => ({
+    type: MISP_TYPE_ALIASES[String(ioc.type || "").toLowerCase()] || ioc.type,
+    category: ioc.category || "Other",
+    value: ioc.value,
+    to_ids: !!ioc.ids,
+    comment: `ROSTI IOC ${ioc.id ?? ""}`.trim()
+  }));
 
-    if (!response.ok) {
-      throw new Error(`ROSTI API error: ${response.status} ${response.statusText}`);
+  const exported = attributes.length;
+
+  // Keep the original write-up linked from the event
+  if (report?.url) {
+    attributes.push({ type: "link", category: "External analysis", value: report.url, to_ids: false, comment: "Source report" });
+  }
+
+  return {
+    exported,
+    skipped: 0,
+    document: {
+      Event: {
+        info: report?.title || "ROSTI report",
+        date: String(report?.date || new Date().toISOString()).split("T")[0],
+        threat_level_id: "4",
+        analysis: "2",
+        distribution: "0",
+        Attribute: attributes,
+        Tag: (report?.tags || []).map(name => ({ name }))
+      }
     }
+  };
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Build an RFC 4180 CSV with one row per IOC
+function iocsToCsv(iocs) {
+  const columns = ["value", "type", "category", "ids", "date", "report", "id"];
+  const rows = iocs.map(ioc => columns.map(c => csvCell(c === "ids" ? !!ioc.ids : ioc[c])).join(","));
+  return {
+    exported: rows.length,
+    skipped: 0,
+    document: [columns.join(","), ...rows].join("\r\n") + "\r\n"
+  };
+}
 
-    const data = await response.json();
-    
-    // Look for matching URL in recent reports
-    if (data.data && data.data.length > 0) {
-      const matchingReport = data.data.find(report => report.url === input);
-      if (matchingReport && matchingReport.id) {
-        console.log(`Found matching report ID: ${matchingReport.id} for URL: ${input}`);
-        return matchingReport.id;
+// ===== YARA ruleset helpers =====
+
+// Find each top-level rule in a YARA source, skipping braces inside strings and comments
+function splitYaraRules(source) {
+  const rules = [];
+  const header = /(?:^|\n)[ \t]*((?:(?:private|global)\s+)*)rule\s+([A-Za-z_][A-Za-z0-9_]*)\s*(?::\s*([A-Za-z0-9_ \t]+?))?\s*\{/g;
+  let m;
+  while ((m = header.exec(source)) !== null) {
+    const start = m.index + m[0].indexOf(m[1] || "rule");
+    let i = header.lastIndex;
+    let depth = 1;
+    while (i < source.length && depth > 0) {
+      const c = source[i];
+      if (c === '"') {
+        for (i++; i < source.length && source[i] !== '"'; i++) if (source[i] === "\\") i++;
+      } else if (c === "/" && source[i + 1] === "/") {
+        while (i < source.length && source[i] !== "\n") i++;
+      } else if (c === "/" && source[i + 1] === "*") {
+        i = source.indexOf("*/", i + 2);
+        if (i < 0) i = source.length;
+        i++;
+      } else if (c === "{") {
+        depth++;
+      } else if (c === "}") {
+        depth--;
       }
+      i++;
     }
-    
-    // If no match found, fall back to assuming input is already an ID
-    console.warn(`Could not find matching report for URL: ${input}, treating as direct ID`);
-    return input;
-  } catch (error) {
-    // If any errors occur, fall back to using the input directly
-    console.error("Error looking up report ID:", error);
-    return input;
+    if (depth !== 0) break; // unterminated rule; drop the remainder
+    rules.push({
+      modifiers: m[1].trim(),
+      name: m[2],
+      tags: (m[3] || "").trim(),
+      body: source.slice(header.lastIndex, i - 1)
+    });
+    header.lastIndex = i;
   }
+  return rules;
 }
 
+// Point bare rule references in a rule's condition at their merged names. String
+// identifiers ($a, #a, @a, !a), module fields (pe.a), string literals, regexes and
+// comments are left alone.
+function renameRuleReferences(body, renames) {
+  if (!renames.size) return body;
+  const token = /"(?:\\.|[^"\\\n])*"|\bmatches\s*\/(?:\\.|[^/\\\n])*\/|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(?<![$#@!.\w])([A-Za-z_]\w*)/g;
+  return body.replace(/(\bcondition\s*:)([\s\S]*)$/, (_, head, cond) =>
+    head + cond.replace(token, (m, ident) => (ident ? renames.get(ident) ?? ident : m)));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function yaraString(value) {
+  return `"${String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/[\r\n]+/g, " ")}"`;
+}
+
+// Merge per-report rule lists into one ruleset: dedupe by body hash, rename clashes, hoist imports
+async function mergeYaraRules(ruleSets) {
+  const imports = new Set();
+  const seenHashes = new Map(); // body hash → name of the kept rule
+  const usedNames = new Set();
+  const out = [];
+  const globalsDemoted = [];
+  let duplicates = 0;
+  let renamed = 0;
+
+  for (const { report, rules } of ruleSets) {
+    for (const item of rules) {
+      const source = String(item?.rule || "");
+      for (const m of source.matchAll(/^\s*import\s+"([^"]+)"/gm)) imports.add(m[1]);
+
+      const parsed = splitYaraRules(source.replace(/^\s*import\s+"[^"]+"\s*$/gm, ""));
+      const kept = [];
+      // name in this source → name in the merged ruleset (renamed, or the kept copy of a duplicate)
+      const renames = new Map();
+
+      for (const rule of parsed) {
+        // Rules may only reference rules defined before them, so every reference resolves here
+        const body = renameRuleReferences(rule.body, renames);
+        // Hash the resolved body only (whitespace-insensitive) so the same rule under another name is a duplicate
+        const hash = await sha256Hex(body.replace(/\s+/g, " ").trim());
+        if (seenHashes.has(hash)) {
+          if (seenHashes.get(hash) !== rule.name) renames.set(rule.name, seenHashes.get(hash));
+          duplicates++;
+          continue;
+        }
+
+        let finalName = rule.name;
+        for (let n = 2; usedNames.has(finalName); n++) {
+          finalName = `${rule.name}_${n}`;
+        }
+        if (finalName !== rule.name) { renames.set(rule.name, finalName); renamed++; }
+        usedNames.add(finalName);
+        seenHashes.set(hash, finalName);
+        kept.push({ ...rule, body, hash, finalName });
+      }
+
+      for (const rule of kept) {
+        let body = rule.body;
+        // A global rule would gate every other report's rules in the shared ruleset
+        const isGlobal = /\bglobal\b/.test(rule.modifiers);
+        if (isGlobal) globalsDemoted.push(rule.finalName);
+        const modifiers = rule.modifiers.replace(/\bglobal\b/, "").trim();
+
+        const meta = (indent) => [
+          `rosti_report_id = ${yaraString(report?.id)}`,
+          `rosti_report_title = ${yaraString(report?.title)}`,
+          `rosti_report_url = ${yaraString(report?.url)}`,
+          `rosti_rule_id = ${yaraString(item?.id)}`,
+          `rosti_body_sha256 = ${yaraString(rule.hash)}`,
+          ...(rule.finalName !== rule.name ? [`rosti_original_name = ${yaraString(rule.name)}`] : []),
+          ...(isGlobal ? ["rosti_was_global = true"] : [])
+        ].map(line => `${indent}${line}\n`).join("");
+
+        // An existing meta section gets the ROSTI fields first, whether its first entry
+        // sits on the next line or on the same line as "meta:"
+        const metaHead = /(^|\n)([ \t]*)meta\s*:[ \t]*(?:\n([ \t]*))?/;
+        body = metaHead.test(body)
+          ? body.replace(metaHead, (_, start, outer, inner) => {
+            const indent = inner || "    ";
+            return `${start}${outer}meta:\n${meta(indent)}${indent}`;
+          })
+          : `\n  meta:\n${meta("    ")}  ${body.trim()}\n`;
+
+        const head = [modifiers, "rule", rule.finalName].filter(Boolean).join(" ") + (rule.tags ? ` : ${rule.tags}` : "");
+        out.push({
+          text: `${head}\n{${body}}`,
+          name: rule.finalName,
+          original_name: rule.name,
+          report_id: report?.id ?? null,
+          hash: rule.hash
+        });
+      }
+    }
+  }
+
+  const sortedImports = [...imports].sort();
+  const ruleset = [
+    `// Merged ROSTI YARA ruleset — ${out.length} rule(s) from ${ruleSets.length} report(s), generated ${new Date().toISOString()}`,
+    ...(sortedImports.length ? ["", ...sortedImports.map(i => `import "${i}"`)] : []),
+    "",
+    out.map(r => r.text).join("\n\n"),
+    ""
+  ].join("\n");
+
+  return {
+    ruleset,
+    imports: sortedImports,
+    rules: out.map(({ text, ...rest }) => rest),
+    duplicates_removed: duplicates,
+    renamed,
+    globals_demoted: globalsDemoted
+  };
+}
@@ -0,0 +1,92 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { ATTACK_TACTICS, ATTACK_VERSION, lookupAttackTechnique } from "../src/attack.js";
+import { callTool, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const ID = "Zx8Kq2Lm4Np6Rt0Vw3Yb";
+const REPORT = { id: ID, title: "Lazarus targets defence", url: "https://example.com/lazarus", date: "2024-05-01", tags: [], source: { name: "Example Blog" } };
+
+describe("lookupAttackTechnique", () => {
+  test("a parent technique carries its tactics", () => {
+    expect(lookupAttackTechnique("T1059")).toEqual({
+      id: "T1059",
+      name: "Command and Scripting Interpreter",
+      tactics: [{ shortname: "execution", id: "TA0002", name: "Execution" }],
+      known: true
+    });
+  });
+
+  test("a technique in several tactics lists them all", () => {
+    expect(lookupAttackTechnique("T1078").tactics.map((t) => t.id)).toEqual(["TA0001", "TA0003", "TA0004", "TA0005"]);
+  });
+
+  test("a listed sub-technique is named after its parent and inherits its tactics", () => {
+    const t = lookupAttackTechnique("t1053.005 ");
+    expect(t.id).toBe("T1053.005");
+    expect(t.name).toBe("Scheduled Task/Job: Scheduled Task");
+    expect(t.tactics).toEqual(lookupAttackTechnique("T1053").tactics);
+  });
+
+  test("an unlisted sub-technique of a known parent still resolves", () => {
+    expect(lookupAttackTechnique("T1059.999")).toMatchObject({ name: "Command and Scripting Interpreter (sub-technique .999)", known: true });
+  });
+
+  test("an unknown technique is kept with no name or tactics", () => {
+    expect(lookupAttackTechnique("T9999.001")).toEqual({ id: "T9999.001", name: null, tactics: [], known: false });
+  });
+
+  test("every bundled tactic has a TA id", () => {
+    for (const tactic of Object.values(ATTACK_TACTICS)) expect(tactic.id).toMatch(/^TA\d{4}$/);
+  });
+});
+
+describe("get_mitre_techniques_by_rosti_report_id", () => {
+  const routes = {
+    [`/v2/reports/${ID}`]: REPORT,
+    [`/v2/reports/${ID}/mitre-ids`]: {
+      data: ["t1566.001", { mitre_id: "T1059.001" }, { technique_id: "T1078" }, { id: "T1566.001" }, "not-an-id", "T9999"],
+      meta: {}
+    }
+  };
+
+  test("IDs in any of ROSTI's shapes are deduplicated, sorted and enriched", async () => {
+    mockRosti(routes);
+    const res = await callTool("get_mitre_techniques_by_rosti_report_id", { reportId: ID });
+    const { data } = res.result.structuredContent;
+    expect(data.map((t) => t.id)).toEqual(["T1059.001", "T1078", "T1566.001", "T9999"]);
+    expect(data[2].name).toBe("Phishing: Spearphishing Attachment");
+
+    const text = res.result.content[0].text;
+    expect(text).toContain("### Initial Access (2)");
+    expect(text).toContain("### Unmapped (1)\n\n- **T9999** (not in bundled ATT&CK table)");
+  });
+
+  test("navigator format returns a layer 4.5 document for the report", async () => {
+    const requested = mockRosti(routes);
+    const res = await callTool("get_mitre_techniques_by_rosti_report_id", { reportId: ID, format: "navigator" });
+    const { layer } = res.result.structuredContent;
+
+    expect(requested).toEqual([`/v2/reports/${ID}/mitre-ids`, `/v2/reports/${ID}`]);
+    expect(JSON.parse(res.result.content[0].text)).toEqual(layer);
+    expect(layer).toMatchObject({
+      name: "ROSTI: Lazarus targets defence",
+      versions: { attack: ATTACK_VERSION, navigator: "4.9.1", layer: "4.5" },
+      domain: "enterprise-attack",
+      description: "2024-05-01 — https://example.com/lazarus",
+      gradient: { colors: ["#ffffff", "#e60d0d"], minValue: 0, maxValue: 1 },
+      legendItems: [{ label: "Seen in report", color: "#e60d0d" }]
+    });
+    expect(layer.techniques).toHaveLength(4);
+    expect(layer.techniques[0]).toEqual({
+      techniqueID: "T1059.001", score: 1, color: "#e60d0d", comment: "Reported by ROSTI", enabled: true, showSubtechniques: true
+    });
+  });
+
+  test("an unknown format is rejected before any request", async () => {
+    const requested = mockRosti(routes);
+    const res = await callTool("get_mitre_techniques_by_rosti_report_id", { reportId: ID, format: "csv" });
+    expect(res.error.code).toBe(-32602);
+    expect(requested).toEqual([]);
+  });
+});
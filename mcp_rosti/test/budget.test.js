@@ -0,0 +1,70 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { readFileSync } from "node:fs";
+import { MAX_JSON_BYTES, byteSize } from "../src/budget.js";
+import { callTool, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const REPORT_ID = "Qm3xT8vLp2Rk9NwZc4Hd";
+
+function iocs(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `ioc-${i}`,
+    type: "domain",
+    category: "network",
+    value: `host-${i}.very-long-malicious-subdomain-name.example-${i}.com`,
+    date: "2024-05-01",
+    ids: true,
+    report: REPORT_ID
+  }));
+}
+
+describe("list_ioc_by_rosti_report_id exports", () => {
+  for (const format of ["stix", "misp", "csv"]) {
+    test(`${format} export larger than the budget is cut to fit`, async () => {
+      mockRosti({
+        [`/v2/reports/${REPORT_ID}/iocs`]: { data: iocs(3000), meta: {} },
+        [`/v2/reports/${REPORT_ID}`]: { id: REPORT_ID, title: "Big report", date: "2024-05-01", url: "https://example.com/big-report" }
+      });
+
+      const res = await callTool("list_ioc_by_rosti_report_id", { reportId: REPORT_ID, format });
+      const sc = res.result.structuredContent;
+      expect(byteSize(sc)).toBeLessThanOrEqual(MAX_JSON_BYTES);
+      expect(sc.truncated).toBe(true);
+      expect(sc.data).toEqual([]);
+      expect(sc.export.document).toBeNull();
+      expect(sc.export.format).toBe(format);
+      expect(sc.continuation).toBeUndefined();
+      // the full document is still the text content
+      expect(res.result.content[0].text.length).toBeGreaterThan(MAX_JSON_BYTES);
+    });
+  }
+});
+
+describe("list_ioc_by_rosti_report_id markdown", () => {
+  test("continuation offset is accepted back as offset", async () => {
+    mockRosti({ [`/v2/reports/${REPORT_ID}/iocs`]: { data: iocs(3000), meta: {} } });
+
+    const first = (await callTool("list_ioc_by_rosti_report_id", { reportId: REPORT_ID })).result.structuredContent;
+    expect(byteSize(first)).toBeLessThanOrEqual(MAX_JSON_BYTES);
+    expect(first.continuation.field).toBe("data");
+    const offset = first.continuation.offset;
+    expect(offset).toBe(first.data.length);
+
+    const next = (await callTool("list_ioc_by_rosti_report_id", { reportId: REPORT_ID, offset })).result.structuredContent;
+    expect(next.data[0].id).toBe(`ioc-${offset}`);
+  });
+
+  test("exports refuse an offset", async () => {
+    const res = await callTool("list_ioc_by_rosti_report_id", { reportId: REPORT_ID, format: "csv", offset: 10 });
+    expect(res.error.code).toBe(-32602);
+  });
+});
+
+describe("shared copy", () => {
+  // budget.js is duplicated so each worker deploys on its own; the copies must not drift
+  test("matches mcp_orkl/src/budget.js byte for byte", () => {
+    const read = (path) => readFileSync(new URL(path, import.meta.url), "utf8");
+    expect(read("../src/budget.js")).toBe(read("../../mcp_orkl/src/budget.js"));
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, test, afterAll, afterEach, beforeAll, spyOn } from "bun:test";
+import { callTool, restoreFetch } from "./helpers.js";
+
+const ID = "Zx8Kq2Lm4Np6Rt0Vw3Yb";
+const REPORT = { id: ID, title: "Lazarus", url: "https://example.com/lazarus", date: "2024-05-01", tags: [], source: { name: "Example Blog" } };
+
+// Backoff jitter at its minimum, so retries wait 150 ms, then 300 ms
+let random;
+beforeAll(() => { random = spyOn(Math, "random").mockReturnValue(0); });
+afterAll(() => random.mockRestore());
+afterEach(restoreFetch);
+
+// Answer successive ROSTI requests with `responses` (the last one repeats); returns the attempt count
+function respond(...responses) {
+  const calls = { count: 0 };
+  globalThis.fetch = async () => {
+    const next = responses[Math.min(calls.count++, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return typeof next === "function" ? next() : next.clone();
+  };
+  return calls;
+}
+
+const status = (code, headers = {}) => new Response("error", { status: code, statusText: "Status", headers });
+const ok = () => Response.json(REPORT);
+const getReport = () => callTool("get_rosti_report_by_id", { reportId: ID });
+
+describe("fetchFromRosti retries", () => {
+  test("a 5xx is retried and a later success returned", async () => {
+    const calls = respond(status(502), status(503), ok);
+    const res = await getReport();
+    expect(res.result.structuredContent.id).toBe(ID);
+    expect(calls.count).toBe(3);
+  });
+
+  test("a network error is retried", async () => {
+    const calls = respond(new TypeError("connection reset"), ok);
+    expect((await getReport()).result.structuredContent.id).toBe(ID);
+    expect(calls.count).toBe(2);
+  });
+
+  test("persistent 5xx gives up after three attempts as upstream_unavailable", async () => {
+    const calls = respond(status(500));
+    const { error } = await getReport();
+    expect(calls.count).toBe(3);
+    expect(error.code).toBe(-32003);
+    expect(error.data).toMatchObject({ kind: "upstream_unavailable", retryable: true, status: 500, attempts: 3 });
+  });
+
+  test("a timeout is reported as such", async () => {
+    respond(new DOMException("The operation timed out.", "TimeoutError"));
+    const { error } = await getReport();
+    expect(error.data).toMatchObject({ kind: "upstream_unavailable", status: null, attempts: 3 });
+    expect(error.message).toContain("timed out after 10000 ms");
+  });
+});
+
+describe("fetchFromRosti rate limits", () => {
+  test("a 429 waits for Retry-After, then retries", async () => {
+    const calls = respond(status(429, { "Retry-After": "0" }), ok);
+    expect((await getReport()).result.structuredContent.id).toBe(ID);
+    expect(calls.count).toBe(2);
+  });
+
+  test("an HTTP-date Retry-After is honoured", async () => {
+    const calls = respond(() => status(429, { "Retry-After": new Date(Date.now() - 1000).toUTCString() }), ok);
+    expect((await getReport()).result.structuredContent.id).toBe(ID);
+    expect(calls.count).toBe(2);
+  });
+
+  test("a Retry-After past the wait limit is handed back without retrying", async () => {
+    const calls = respond(status(429, { "Retry-After": "120" }));
+    const { error } = await getReport();
+    expect(calls.count).toBe(1);
+    expect(error.code).toBe(-32003);
+    expect(error.data).toMatchObject({ kind: "rate_limited", retryable: true, status: 429, attempts: 1, retry_after: 120 });
+  });
+
+  test("repeated 429s stop after three attempts", async () => {
+    const calls = respond(status(429, { "Retry-After": "0" }));
+    const { error } = await getReport();
+    expect(calls.count).toBe(3);
+    expect(error.data).toMatchObject({ kind: "rate_limited", attempts: 3, retry_after: 0 });
+  });
+
+  test("a 429 without Retry-After backs off and reports no delay", async () => {
+    respond(status(429));
+    const { error } = await getReport();
+    expect(error.data).toMatchObject({ kind: "rate_limited", retry_after: null });
+  });
+});
+
+describe("fetchFromRosti error classification", () => {
+  test.each([
+    [401, -32001, "auth_failed", false],
+    [403, -32001, "auth_failed", false],
+    [404, -32000, "not_found", false],
+    [400, -32000, "upstream_error", false]
+  ])("HTTP %i is %p / %s and not retried", async (code, rpcCode, kind, retryable) => {
+    const calls = respond(status(code));
+    const { error } = await getReport();
+    expect(calls.count).toBe(1);
+    expect(error.code).toBe(rpcCode);
+    expect(error.data).toMatchObject({ kind, retryable, status: code });
+  });
+
+  test("a missing API key fails before any request", async () => {
+    const calls = respond(ok);
+    const { error } = await callTool("get_rosti_report_by_id", { reportId: ID }, { ROSTI_API_KEY: "" });
+    expect(calls.count).toBe(0);
+    expect(error.data).toMatchObject({ kind: "auth_failed", status: null });
+  });
+
+  test("every code stays within the server-error range", async () => {
+    for (const code of [500, 429, 401, 404, 400]) {
+      respond(status(code, { "Retry-After": "120" }));
+      const { error } = await getReport();
+      expect(error.code).toBeLessThanOrEqual(-32000);
+      expect(error.code).toBeGreaterThanOrEqual(-32003);
+    }
+  });
+});
@@ -0,0 +1,47 @@
+import worker from "../src/index.js";
+
+const realFetch = globalThis.fetch;
+
+// Answer ROSTI API URLs from `routes` (path → JSON body, or a function of the URL returning
+// one); returns the requested paths, query strings included
+export function mockRosti(routes) {
+  const requested = [];
+  globalThis.fetch = async (input) => {
+    const url = new URL(String(input));
+    const path = url.pathname;
+    requested.push(path + url.search);
+    const route = routes[path];
+    const body = typeof route === "function" ? route(url) : route;
+    return body === undefined ? new Response("not found", { status: 404 }) : Response.json(body);
+  };
+  return requested;
+}
+
+export function restoreFetch() {
+  globalThis.fetch = realFetch;
+}
+
+export async function callTool(name, args, env = {}) {
+  const req = new Request("https://worker.test/", {
+    method: "POST",
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name, arguments: args } })
+  });
+  const pending = [];
+  const ctx = { waitUntil(p) { pending.push(p); }, passThroughOnException() {} };
+  const res = await worker.fetch(req, { ROSTI_API_KEY: "test", ...env }, ctx);
+  await Promise.all(pending);
+  return res.json();
+}
+
+// In-memory KV namespace that counts reads and writes
+export function memoryKV() {
+  const store = new Map();
+  const kv = {
+    gets: 0,
+    puts: 0,
+    async get(key) { kv.gets++; return store.has(key) ? store.get(key) : null; },
+    async put(key, value) { kv.puts++; store.set(key, String(value)); },
+    store
+  };
+  return kv;
+}
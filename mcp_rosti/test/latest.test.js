@@ -0,0 +1,75 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import page from "./fixtures/rosti-reports-page.json";
+import { callTool, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const lastPage = { data: [page.data[1]], meta: { next_cursor: null } };
+
+// Query string of the one listing request a call made
+async function listingQuery(args) {
+  const requested = mockRosti({ "/v2/reports": lastPage });
+  const res = await callTool("get_latest_rosti_reports", args);
+  expect(requested).toHaveLength(1);
+  return { res, query: new URL(`https://api.test${requested[0]}`).searchParams };
+}
+
+describe("get_latest_rosti_reports", () => {
+  test("reads the next cursor from a ROSTI listing page", async () => {
+    mockRosti({ "/v2/reports": page });
+    const res = await callTool("get_latest_rosti_reports", {});
+    expect(res.result.structuredContent.page).toMatchObject({
+      cursor: null,
+      next_cursor: page.meta.next_cursor,
+      returned: 2
+    });
+    expect(res.result.content[0].text).toContain(`more available (cursor: ${page.meta.next_cursor})`);
+  });
+
+  test("the last page has no next cursor", async () => {
+    const { res } = await listingQuery({ cursor: page.meta.next_cursor });
+    expect(res.result.structuredContent.page).toMatchObject({ cursor: page.meta.next_cursor, next_cursor: null, returned: 1 });
+    expect(res.result.content[0].text).toContain("no further pages");
+  });
+
+  test("passes the date window, tags, limit and cursor upstream", async () => {
+    const { query } = await listingQuery({
+      after: "2024-04-01", before: "2024-05-01", tags: ["apt", "macos"], limit: 500, cursor: "abc", source: "exblog"
+    });
+    expect(Object.fromEntries(query)).toEqual({
+      after: "2024-04-01", before: "2024-05-01", source: "exblog", tags: "apt,macos", limit: "100", cursor: "abc"
+    });
+  });
+
+  test("a relative window defaults to the last two days", async () => {
+    const daysAgo = (n) => {
+      const date = new Date();
+      date.setDate(date.getDate() - n);
+      return date.toISOString().split("T")[0];
+    };
+    expect((await listingQuery({})).query.get("after")).toBe(daysAgo(2));
+    expect((await listingQuery({ days: 30 })).query.get("after")).toBe(daysAgo(30));
+    expect((await listingQuery({ days: 30, after: "2024-01-01" })).query.get("after")).toBe("2024-01-01");
+  });
+
+  test("rejects bad windows and tags", async () => {
+    mockRosti({ "/v2/reports": lastPage });
+    for (const args of [{ after: "May 1st" }, { before: "2024-13-40" }, { after: "2024-05-01", before: "2024-04-01" }, { tags: "apt" }]) {
+      const res = await callTool("get_latest_rosti_reports", args);
+      expect(res.error.code).toBe(-32602);
+    }
+  });
+});
+
+describe("listing cursors", () => {
+  test("fan-out tools follow next_cursor across pages", async () => {
+    const requested = mockRosti({
+      "/v2/reports": (url) => (url.searchParams.get("cursor") === page.meta.next_cursor ? lastPage : page)
+    });
+    const res = await callTool("lookup_ioc", { values: ["badhost.ru"], after: "2024-01-01" });
+    expect(requested.filter((p) => p.startsWith("/v2/reports?"))).toHaveLength(2);
+    // both pages' reports were searched (the second page repeats one of the first)
+    expect(requested.filter((p) => p.endsWith("/iocs"))).toHaveLength(3);
+    expect(res.result.structuredContent.truncated).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const report = (n) => ({
+  id: `Rp${String(n).padStart(2, "0")}xT8vLp2Rk9NwZc4Hd`,
+  title: `Report ${n}`,
+  url: `https://example.com/${n}`,
+  date: "2024-05-01"
+});
+
+describe("lookup_ioc", () => {
+  test("a report whose IOCs fail to load is skipped, not fatal", async () => {
+    const [ok, missing] = [report(1), report(2)];
+    mockRosti({
+      "/v2/reports": { data: [ok, missing], meta: {} },
+      [`/v2/reports/${ok.id}/iocs`]: { data: [{ type: "domain", category: "Network activity", value: "badhost.ru" }] }
+    });
+    const res = await callTool("lookup_ioc", { values: ["badhost[.]ru"], after: "2024-01-01" });
+    const out = res.result.structuredContent;
+    expect(out.scanned_reports).toBe(1);
+    expect(out.skipped).toEqual([
+      expect.objectContaining({ report_id: missing.id, kind: "not_found" })
+    ]);
+    expect(out.results[0].matches.map((m) => m.report_id)).toEqual([ok.id]);
+  });
+
+  test("an IOC listed twice in one report is one hit", async () => {
+    const r = report(1);
+    mockRosti({
+      "/v2/reports": { data: [r], meta: {} },
+      [`/v2/reports/${r.id}/iocs`]: {
+        data: [
+          { type: "domain", category: "Network activity", value: "badhost.ru" },
+          { type: "domain|ip", category: "Network activity", value: "BADHOST.RU|203.0.113.7" }
+        ]
+      }
+    });
+    const res = await callTool("lookup_ioc", { values: ["badhost.ru"], after: "2024-01-01" });
+    expect(res.result.structuredContent.results[0].matches).toHaveLength(1);
+  });
+
+  test("max_reports is capped to stay under the subrequest limit", async () => {
+    const reports = Array.from({ length: 60 }, (_, i) => report(i));
+    const requested = mockRosti({ "/v2/reports": { data: reports, meta: {} } });
+    const res = await callTool("lookup_ioc", { values: ["badhost.ru"], after: "2024-01-01", max_reports: 200 });
+    expect(res.result.structuredContent.truncated).toBe(true);
+    expect(requested.filter((p) => p.endsWith("/iocs"))).toHaveLength(40);
+  });
+});
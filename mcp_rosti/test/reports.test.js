@@ -0,0 +1,76 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, memoryKV, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const REPORT = {
+  id: "Zx8Kq2Lm4Np6Rt0Vw3Yb",
+  title: "Lazarus",
+  url: "https://example.com/lazarus",
+  date: "2024-05-01",
+  tags: ["apt"],
+  source: { name: "Example Blog" }
+};
+
+describe("report index", () => {
+  test("listing fetches only write index entries that changed", async () => {
+    const kv = memoryKV();
+    mockRosti({ "/v2/reports": { data: [REPORT], meta: {} } });
+
+    await callTool("get_latest_rosti_reports", {}, { KV: kv });
+    expect(kv.puts).toBe(2); // url and title entries
+
+    await callTool("get_latest_rosti_reports", {}, { KV: kv });
+    expect(kv.puts).toBe(2);
+
+    mockRosti({ "/v2/reports": { data: [{ ...REPORT, date: "2024-05-02" }], meta: {} } });
+    await callTool("get_latest_rosti_reports", {}, { KV: kv });
+    expect(kv.puts).toBe(4);
+  });
+});
+
+describe("report ID detection", () => {
+  test("a one-word title is resolved, not taken as an ID", async () => {
+    const requested = mockRosti({
+      "/v2/reports": { data: [REPORT], meta: {} },
+      [`/v2/reports/${REPORT.id}`]: REPORT
+    });
+    const res = await callTool("get_rosti_report_by_id", { reportId: "Lazarus" });
+    expect(res.result.structuredContent.id).toBe(REPORT.id);
+    expect(requested).not.toContain("/v2/reports/Lazarus");
+  });
+
+  test("an opaque token is used as the ID directly", async () => {
+    const requested = mockRosti({ [`/v2/reports/${REPORT.id}`]: REPORT });
+    const res = await callTool("get_rosti_report_by_id", { reportId: REPORT.id });
+    expect(res.result.structuredContent.id).toBe(REPORT.id);
+    expect(requested).toEqual([`/v2/reports/${REPORT.id}`]);
+  });
+
+  test("a hyphenated title with digits is resolved, not taken as an ID", async () => {
+    const report = { ...REPORT, id: "Pq7Wn2Xc9Lm4Kd8Fs1Tz", title: "APT29 phishing campaign" };
+    const requested = mockRosti({
+      "/v2/reports": { data: [report], meta: {} },
+      [`/v2/reports/${report.id}`]: report
+    });
+    const res = await callTool("get_rosti_report_by_id", { reportId: "APT29-phishing-campaign" });
+    expect(res.result.structuredContent.id).toBe(report.id);
+    expect(requested).not.toContain("/v2/reports/APT29-phishing-campaign");
+  });
+});
+
+describe("title lookback", () => {
+  test("a missed title walks a bounded number of listing pages", async () => {
+    const requested = mockRosti({ "/v2/reports": { data: [REPORT], meta: { next_cursor: "more" } } });
+    const res = await callTool("get_rosti_report_by_id", { reportId: "Nothing like this" });
+    expect(res.error.code).toBe(-32002);
+    expect(requested).toHaveLength(20);
+  });
+
+  test("lookups share the call's subrequest budget and stop when it runs low", async () => {
+    const requested = mockRosti({ "/v2/reports": { data: [REPORT], meta: { next_cursor: "more" } } });
+    const res = await callTool("build_yara_ruleset", { reportIds: ["First missing title", "Second missing title", "Third missing title"] });
+    expect(res.result.structuredContent.skipped.map((r) => r.kind)).toContain("budget_exhausted");
+    expect(requested.length).toBeLessThanOrEqual(45);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const REPORT = { id: "St1xRp9vLp2Rk9NwZc4Hd", title: "Stix report", date: "2024-05-01", url: "https://example.com/stix" };
+
+async function exportStix(iocs) {
+  mockRosti({
+    [`/v2/reports/${REPORT.id}/iocs`]: { data: iocs, meta: {} },
+    [`/v2/reports/${REPORT.id}`]: REPORT
+  });
+  const res = await callTool("list_ioc_by_rosti_report_id", { reportId: REPORT.id, format: "stix" });
+  return res.result.structuredContent.export;
+}
+
+describe("STIX export", () => {
+  test("the report object references every mapped indicator", async () => {
+    const out = await exportStix([{ id: "1", type: "domain", category: "Network activity", value: "badhost.ru" }]);
+    const [report, indicator] = out.document.objects;
+    expect(report.type).toBe("report");
+    expect(report.object_refs).toEqual([indicator.id]);
+  });
+
+  test("nothing mapped gives an empty bundle, not a self-referencing report", async () => {
+    const out = await exportStix([{ id: "1", type: "unknown-thing", category: "Other", value: "???" }]);
+    expect(out.exported).toBe(0);
+    expect(out.skipped).toBe(1);
+    expect(out.document.type).toBe("bundle");
+    expect(out.document.objects).toBeUndefined();
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, expect, test, afterEach } from "bun:test";
+import { callTool, mockRosti, restoreFetch } from "./helpers.js";
+
+afterEach(restoreFetch);
+
+const A = "A1bCdEfGhIjKlMnOpQrS";
+const B = "B2bCdEfGhIjKlMnOpQrS";
+
+// Two reports, each with one YARA source
+function mockReports(a, b) {
+  mockRosti({
+    [`/v2/reports/${A}`]: { id: A, title: "Report A", url: "https://example.com/a" },
+    [`/v2/reports/${B}`]: { id: B, title: "Report B", url: "https://example.com/b" },
+    [`/v2/reports/${A}/yara-rules`]: { data: [{ id: "ya", rule: a }] },
+    [`/v2/reports/${B}/yara-rules`]: { data: [{ id: "yb", rule: b }] }
+  });
+}
+
+async function build() {
+  const res = await callTool("build_yara_ruleset", { reportIds: [A, B] });
+  return res.result.structuredContent;
+}
+
+describe("build_yara_ruleset", () => {
+  test("keeps a rule whose body matches another's only before renames resolve", async () => {
+    mockReports(
+      `rule foo { condition: true }\nrule bar { condition: foo }`,
+      `rule foo { condition: false }\nrule baz { condition: foo }`
+    );
+    const merged = await build();
+    expect(merged.rules.map((r) => r.name)).toEqual(["foo", "bar", "foo_2", "baz"]);
+    expect(merged.ruleset).toMatch(/rule baz\n\{[^}]*condition: foo_2\n\}/);
+    expect(merged.ruleset).toMatch(/rule bar\n\{[^}]*condition: foo\n\}/);
+  });
+
+  test("renames bare rule references only", async () => {
+    mockReports(
+      `rule foo { condition: true }`,
+      `rule foo { strings: $foo = "foo" condition: $foo and #foo > 1 and @foo[1] < 10 and !foo[1] == 3 }\n` +
+      `rule uses { condition: foo and pe.foo and "foo" and not foo }`
+    );
+    const { ruleset } = await build();
+    expect(ruleset).toContain(`$foo = "foo" condition: $foo and #foo > 1 and @foo[1] < 10 and !foo[1] == 3\n}`);
+    expect(ruleset).toContain(`condition: foo_2 and pe.foo and "foo" and not foo_2\n}`);
+  });
+
+  test("points references at the kept copy of a dropped duplicate", async () => {
+    mockReports(
+      `rule a_one { condition: filesize < 100 }`,
+      `rule b_one { condition: filesize < 100 }\nrule b_two { condition: b_one }`
+    );
+    const merged = await build();
+    expect(merged.duplicates_removed).toBe(1);
+    expect(merged.rules.map((r) => r.name)).toEqual(["a_one", "b_two"]);
+    expect(merged.ruleset).toContain("condition: a_one\n}");
+  });
+});
+
+describe("build_yara_ruleset meta and modifiers", () => {
+  test("a one-line meta section gets the ROSTI fields, not a second meta block", async () => {
+    mockReports(`rule foo { meta: author = "x" condition: true }`, `rule bar { condition: false }`);
+    const { ruleset } = await build();
+    expect(ruleset.match(/meta\s*:/g)).toHaveLength(2);
+    expect(ruleset).toMatch(/rule foo\n\{ meta:\n(    rosti_\w+ = [^\n]*\n)+    author = "x" condition: true \}/);
+  });
+
+  test("an indented meta section keeps its indentation", async () => {
+    mockReports(`rule foo {\n  meta:\n    author = "x"\n  condition:\n    true\n}`, `rule bar { condition: false }`);
+    const { ruleset } = await build();
+    expect(ruleset).toContain(`  meta:\n    rosti_report_id = "${A}"\n`);
+    expect(ruleset).toContain(`\n    author = "x"\n  condition:`);
+  });
+
+  test("global rules become normal rules and are reported", async () => {
+    mockReports(`global rule small { condition: filesize < 1MB }\nprivate rule helper { condition: true }`, `rule bar { condition: false }`);
+    const res = await callTool("build_yara_ruleset", { reportIds: [A, B] });
+    const merged = res.result.structuredContent;
+    expect(merged.globals_demoted).toEqual(["small"]);
+    expect(merged.ruleset).not.toMatch(/global rule/);
+    expect(merged.ruleset).toContain("\nrule small\n{");
+    expect(merged.ruleset).toContain("rosti_was_global = true");
+    expect(merged.ruleset).toContain("\nprivate rule helper\n{");
+    expect(res.result.content[0].text).toMatch(/^\/\/ global rule small made a normal rule/);
+  });
+});
+
+describe("build_yara_ruleset upstream calls", () => {
+  test("a report that fails to load is skipped and listed", async () => {
+    mockRosti({
+      [`/v2/reports/${A}`]: { id: A, title: "Report A", url: "https://example.com/a" },
+      [`/v2/reports/${A}/yara-rules`]: { data: [{ id: "ya", rule: "rule foo { condition: true }" }] }
+    });
+    const res = await callTool("build_yara_ruleset", { reportIds: [A, B] });
+    const merged = res.result.structuredContent;
+    expect(merged.rules.map((r) => r.name)).toEqual(["foo"]);
+    expect(merged.reports).toBe(1);
+    expect(merged.skipped).toEqual([{ input: B, report_id: B, kind: "not_found", error: "ROSTI resource not found" }]);
+  });
+
+  test("the date window collects at most 40 reports", async () => {
+    const listing = Array.from({ length: 60 }, (_, i) => ({ id: `R${String(i).padStart(2, "0")}bCdEfGhIjKlMnOpQ`, title: `R${i}` }));
+    const requested = mockRosti({ "/v2/reports": { data: listing, meta: {} } });
+    const res = await callTool("build_yara_ruleset", { after: "2024-01-01", max_reports: 200 });
+    expect(requested.filter((p) => p.endsWith("/yara-rules"))).toHaveLength(40);
+    expect(res.result.structuredContent.skipped).toHaveLength(40);
+  });
+});
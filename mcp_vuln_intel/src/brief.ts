@@ -0,0 +1,115 @@
+// brief.ts — severity-grouped markdown brief for vulnerability lists, kept under a
+// character budget so chat clients that only show `content` still get the essentials
+
+export interface BriefItem {
+  id: string;
+  title: string | null;
+  score: number;
+  sev: string | null;
+  vector: string | null;
+  affected: string | null;
+  ref: string | null;
+}
+
+export type BriefLayout = "bullets" | "table";
+export const BRIEF_LAYOUTS: BriefLayout[] = ["bullets", "table"];
+
+const SEVERITY_ORDER = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "NONE", "UNRATED"];
+const TITLE_MAX = 120;
+
+// One line, at most `max` characters
+function shorten(s: string, max: number): string {
+  const line = s.replace(/\s*\n\s*/g, " ");
+  return line.length > max ? line.slice(0, max - 1) + "…" : line;
+}
+
+// Table cells cannot hold pipes or line breaks
+function cell(s: string): string {
+  return s.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+}
+
+function scoreText(it: BriefItem): string {
+  return it.score ? `${it.score}${it.vector ? ` \`${it.vector}\`` : ""}` : it.vector ? `\`${it.vector}\`` : "n/a";
+}
+
+function bulletEntry(it: BriefItem): string {
+  const lines = [`- **${it.id}** · ${scoreText(it)}${it.title ? ` — ${shorten(it.title, TITLE_MAX)}` : ""}`];
+  if (it.affected) lines.push(`  - Affected: ${it.affected}`);
+  if (it.ref) lines.push(`  - Ref: ${it.ref}`);
+  return lines.join("\n");
+}
+
+function tableRow(it: BriefItem): string {
+  return `| ${[it.id, scoreText(it), shorten(it.title || "", TITLE_MAX), it.affected || "", it.ref || ""].map(cell).join(" | ")} |`;
+}
+
+// ID and score only: how a group's first entry is shown when the full one does not fit
+function compactEntry(it: BriefItem, layout: BriefLayout): string {
+  const score = it.score ? String(it.score) : "n/a";
+  return layout === "table" ? `| ${cell(it.id)} | ${score} | | | |` : `- **${it.id}** · ${score}`;
+}
+
+const TABLE_HEAD = "| ID | Score / vector | Title | Affected | Top reference |\n|---|---|---|---|---|";
+
+// Render `items` under `heading`, most severe group first. Every group shows at least its
+// first entry (ID and score only when the full entry does not fit), so no group is counted
+// without being seen; other entries that do not fit in `maxChars` are left out, lowest
+// severity first, and counted in the closing note. The one-per-group entries can push the
+// text past `maxChars` only when the groups alone do not fit. `notReturned` adds entries
+// the caller already dropped (e.g. past a result limit).
+export function renderVulnBrief(
+  items: BriefItem[],
+  opts: { heading: string; layout: BriefLayout; maxChars: number; notReturned?: number }
+): { text: string; shown: number; omitted: number } {
+  const groups = SEVERITY_ORDER.map((sev) => ({
+    sev,
+    items: items.filter((it) => (it.sev || "UNRATED") === sev),
+  })).filter((g) => g.items.length);
+
+  const entry = (it: BriefItem) => `\n${opts.layout === "table" ? tableRow(it) : bulletEntry(it)}`;
+  const groupHeader = (sev: string, shown: number, total: number) =>
+    `\n\n### ${sev} (${shown < total ? `${shown} of ${total}` : total})\n${opts.layout === "table" ? `\n${TABLE_HEAD}` : ""}`;
+  // Worst-case header and compact first entry per group, kept free for the groups still to come
+  const minimal = groups.map((g) => groupHeader(g.sev, 0, g.items.length).length + 1 + compactEntry(g.items[0]!, opts.layout).length);
+  const footer = (omitted: number) => {
+    const notes = [
+      omitted ? `${omitted} not shown to stay within ${opts.maxChars} characters` : null,
+      opts.notReturned ? `${opts.notReturned} more matched beyond the result limit` : null,
+    ].filter(Boolean);
+    return notes.length ? `\n\n_${notes.join("; ")} — see structuredContent, raise max_chars/limit or narrow the filters._` : "";
+  };
+
+  const budget = opts.maxChars - footer(items.length).length;
+  let used = opts.heading.length;
+  let body = "";
+  let shown = 0;
+  let full = false; // an entry was left out; later (less severe) groups get their first entry only
+
+  groups.forEach((g, gi) => {
+    const later = minimal.slice(gi + 1).reduce((a, b) => a + b, 0);
+    let room = budget - used - later - groupHeader(g.sev, 0, g.items.length).length;
+    const first = entry(g.items[0]!);
+    const lines = [first.length <= room ? first : `\n${compactEntry(g.items[0]!, opts.layout)}`];
+    room -= lines[0]!.length;
+    for (const it of g.items.slice(1)) {
+      const next = entry(it);
+      if (full || next.length > room) {
+        full = true;
+        break;
+      }
+      lines.push(next);
+      room -= next.length;
+    }
+    const block = groupHeader(g.sev, lines.length, g.items.length) + lines.join("");
+    body += block;
+    used += block.length;
+    shown += lines.length;
+  });
+
+  const omitted = items.length - shown;
+  let text = opts.heading + body;
+  if (!items.length) text += "\n\nNo vulnerabilities matched.";
+  text += footer(omitted);
+
+  return { text, shown, omitted };
+}
@@ -0,0 +1,378 @@
+// cvss.ts — CVSS v2 / v3.0 / v3.1 / v4.0 vector parsing and base-score calculation
+//
+// Formulas follow the FIRST specifications; v4.0 uses the published macro-vector
+// lookup table and severity-distance interpolation from the reference calculator.
+
+export type CvssVersion = "2.0" | "3.0" | "3.1" | "4.0";
+
+export interface CvssMetricValue {
+  key: string; // e.g. "AV"
+  name: string; // e.g. "Attack Vector"
+  value: string; // e.g. "N"
+  label: string; // e.g. "Network"
+}
+
+export interface ParsedCvss {
+  version: CvssVersion;
+  vector: string;
+  metrics: CvssMetricValue[];
+  values: Record<string, string>;
+}
+
+// ===== metric definitions =====
+
+type MetricDefs = Record<string, { name: string; values: Record<string, string> }>;
+
+const V2_METRICS: MetricDefs = {
+  AV: { name: "Access Vector", values: { L: "Local", A: "Adjacent Network", N: "Network" } },
+  AC: { name: "Access Complexity", values: { H: "High", M: "Medium", L: "Low" } },
+  Au: { name: "Authentication", values: { M: "Multiple", S: "Single", N: "None" } },
+  C: { name: "Confidentiality Impact", values: { N: "None", P: "Partial", C: "Complete" } },
+  I: { name: "Integrity Impact", values: { N: "None", P: "Partial", C: "Complete" } },
+  A: { name: "Availability Impact", values: { N: "None", P: "Partial", C: "Complete" } },
+};
+
+const V3_METRICS: MetricDefs = {
+  AV: { name: "Attack Vector", values: { N: "Network", A: "Adjacent", L: "Local", P: "Physical" } },
+  AC: { name: "Attack Complexity", values: { L: "Low", H: "High" } },
+  PR: { name: "Privileges Required", values: { N: "None", L: "Low", H: "High" } },
+  UI: { name: "User Interaction", values: { N: "None", R: "Required" } },
+  S: { name: "Scope", values: { U: "Unchanged", C: "Changed" } },
+  C: { name: "Confidentiality", values: { H: "High", L: "Low", N: "None" } },
+  I: { name: "Integrity", values: { H: "High", L: "Low", N: "None" } },
+  A: { name: "Availability", values: { H: "High", L: "Low", N: "None" } },
+};
+
+const HLN = { H: "High", L: "Low", N: "None" };
+const HML = { X: "Not Defined", H: "High", M: "Medium", L: "Low" };
+
+const V4_METRICS: MetricDefs = {
+  AV: { name: "Attack Vector", values: { N: "Network", A: "Adjacent", L: "Local", P: "Physical" } },
+  AC: { name: "Attack Complexity", values: { L: "Low", H: "High" } },
+  AT: { name: "Attack Requirements", values: { N: "None", P: "Present" } },
+  PR: { name: "Privileges Required", values: { N: "None", L: "Low", H: "High" } },
+  UI: { name: "User Interaction", values: { N: "None", P: "Passive", A: "Active" } },
+  VC: { name: "Vulnerable System Confidentiality", values: HLN },
+  VI: { name: "Vulnerable System Integrity", values: HLN },
+  VA: { name: "Vulnerable System Availability", values: HLN },
+  SC: { name: "Subsequent System Confidentiality", values: HLN },
+  SI: { name: "Subsequent System Integrity", values: HLN },
+  SA: { name: "Subsequent System Availability", values: HLN },
+  // Threat and environmental metrics are optional; the score honours them when present
+  E: { name: "Exploit Maturity", values: { X: "Not Defined", A: "Attacked", P: "POC", U: "Unreported" } },
+  CR: { name: "Confidentiality Requirement", values: HML },
+  IR: { name: "Integrity Requirement", values: HML },
+  AR: { name: "Availability Requirement", values: HML },
+};
+
+const V4_REQUIRED = ["AV", "AC", "AT", "PR", "UI", "VC", "VI", "VA", "SC", "SI", "SA"];
+
+// ===== parsing =====
+
+// Split a vector into labelled metrics; returns null for anything that is not a
+// complete, well-formed base vector. v2 vectors may omit the prefix or be wrapped in ().
+export function parseCvssVector(input: string | null | undefined): ParsedCvss | null {
+  if (typeof input !== "string") return null;
+  let vector = input.trim().replace(/^\((.*)\)$/, "$1");
+
+  let version: CvssVersion;
+  let defs: MetricDefs;
+  let required: string[];
+  const prefix = vector.match(/^CVSS:(\d\.\d)\//);
+  if (prefix) {
+    if (prefix[1] === "3.0" || prefix[1] === "3.1") {
+      version = prefix[1];
+      defs = V3_METRICS;
+    } else if (prefix[1] === "4.0") {
+      version = "4.0";
+      defs = V4_METRICS;
+    } else if (prefix[1] === "2.0") {
+      version = "2.0";
+      defs = V2_METRICS;
+    } else {
+      return null;
+    }
+    vector = vector.slice(prefix[0].length);
+  } else {
+    version = "2.0";
+    defs = V2_METRICS;
+  }
+  required = version === "4.0" ? V4_REQUIRED : Object.keys(defs);
+
+  const values: Record<string, string> = {};
+  const metrics: CvssMetricValue[] = [];
+  for (const part of vector.split("/")) {
+    const [key, value] = part.split(":");
+    if (!key || value === undefined) return null;
+    const def = defs[key];
+    // Temporal/environmental metrics outside the base set are tolerated but not labelled
+    if (!def) continue;
+    const label = def.values[value];
+    if (!label || key in values) return null;
+    values[key] = value;
+    metrics.push({ key, name: def.name, value, label });
+  }
+  if (required.some((k) => !(k in values))) return null;
+
+  const canonical = `${version === "2.0" && !prefix ? "" : `CVSS:${version}/`}${vector}`;
+  return { version, vector: canonical, metrics, values };
+}
+
+// ===== severity =====
+
+// Official qualitative bands: v3.x/v4.0 per FIRST, v2 per NVD (no CRITICAL/NONE in v2)
+export function cvssSeverity(score: number | null | undefined, version: string = "3.1"): string | null {
+  if (typeof score !== "number" || Number.isNaN(score)) return null;
+  if (version.startsWith("2")) {
+    return score >= 7 ? "HIGH" : score >= 4 ? "MEDIUM" : "LOW";
+  }
+  if (score === 0) return "NONE";
+  return score >= 9 ? "CRITICAL" : score >= 7 ? "HIGH" : score >= 4 ? "MEDIUM" : "LOW";
+}
+
+// ===== scoring =====
+
+export function cvssBaseScore(parsed: ParsedCvss): number {
+  switch (parsed.version) {
+    case "2.0":
+      return scoreV2(parsed.values);
+    case "3.0":
+    case "3.1":
+      return scoreV3(parsed.values, parsed.version);
+    case "4.0":
+      return scoreV4(parsed.values);
+  }
+}
+
+function scoreV2(m: Record<string, string>): number {
+  const AV: Record<string, number> = { L: 0.395, A: 0.646, N: 1.0 };
+  const AC: Record<string, number> = { H: 0.35, M: 0.61, L: 0.71 };
+  const Au: Record<string, number> = { M: 0.45, S: 0.56, N: 0.704 };
+  const CIA: Record<string, number> = { N: 0, P: 0.275, C: 0.66 };
+
+  const impact = 10.41 * (1 - (1 - CIA[m.C!]!) * (1 - CIA[m.I!]!) * (1 - CIA[m.A!]!));
+  const exploitability = 20 * AV[m.AV!]! * AC[m.AC!]! * Au[m.Au!]!;
+  const f = impact === 0 ? 0 : 1.176;
+  return round1((0.6 * impact + 0.4 * exploitability - 1.5) * f);
+}
+
+function scoreV3(m: Record<string, string>, version: "3.0" | "3.1"): number {
+  const changed = m.S === "C";
+  const AV: Record<string, number> = { N: 0.85, A: 0.62, L: 0.55, P: 0.2 };
+  const AC: Record<string, number> = { L: 0.77, H: 0.44 };
+  const PR: Record<string, number> = changed ? { N: 0.85, L: 0.68, H: 0.5 } : { N: 0.85, L: 0.62, H: 0.27 };
+  const UI: Record<string, number> = { N: 0.85, R: 0.62 };
+  const CIA: Record<string, number> = { H: 0.56, L: 0.22, N: 0 };
+
+  const iss = 1 - (1 - CIA[m.C!]!) * (1 - CIA[m.I!]!) * (1 - CIA[m.A!]!);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  const exploitability = 8.22 * AV[m.AV!]! * AC[m.AC!]! * PR[m.PR!]! * UI[m.UI!]!;
+  if (impact <= 0) return 0;
+
+  const roundup = version === "3.1" ? roundupV31 : (x: number) => Math.ceil(x * 10) / 10;
+  return changed
+    ? roundup(Math.min(1.08 * (impact + exploitability), 10))
+    : roundup(Math.min(impact + exploitability, 10));
+}
+
+function round1(x: number): number {
+  return Math.round(x * 10) / 10;
+}
+
+// v3.1 Roundup: integer arithmetic avoids floating-point artefacts (spec appendix A)
+function roundupV31(x: number): number {
+  const int = Math.round(x * 100000);
+  return int % 10000 === 0 ? int / 100000 : (Math.floor(int / 10000) + 1) / 10;
+}
+
+// ----- v4.0 -----
+
+// Effective value of a metric (threat/environmental defaults when absent or X)
+function v4Value(m: Record<string, string>, key: string): string {
+  const v = m[key];
+  if (key === "E") return !v || v === "X" ? "A" : v;
+  if (key === "CR" || key === "IR" || key === "AR") return !v || v === "X" ? "H" : v;
+  return v ?? "N";
+}
+
+function v4MacroVector(m: Record<string, string>): number[] {
+  const g = (k: string) => v4Value(m, k);
+
+  const eq1 = g("AV") === "N" && g("PR") === "N" && g("UI") === "N" ? 0
+    : (g("AV") === "N" || g("PR") === "N" || g("UI") === "N") && g("AV") !== "P" ? 1
+    : 2;
+  const eq2 = g("AC") === "L" && g("AT") === "N" ? 0 : 1;
+  const eq3 = g("VC") === "H" && g("VI") === "H" ? 0
+    : g("VC") === "H" || g("VI") === "H" || g("VA") === "H" ? 1
+    : 2;
+  const eq4 = g("SI") === "S" || g("SA") === "S" ? 0
+    : g("SC") === "H" || g("SI") === "H" || g("SA") === "H" ? 1
+    : 2;
+  const eq5 = g("E") === "A" ? 0 : g("E") === "P" ? 1 : 2;
+  const eq6 = (g("CR") === "H" && g("VC") === "H") || (g("IR") === "H" && g("VI") === "H") || (g("AR") === "H" && g("VA") === "H") ? 0 : 1;
+  return [eq1, eq2, eq3, eq4, eq5, eq6];
+}
+
+// Highest-severity vectors of each equivalence class (reference calculator max_composed)
+const V4_MAX_COMPOSED: {
+  eq1: string[][];
+  eq2: string[][];
+  eq3: Record<number, Record<number, string[]>>;
+  eq4: string[][];
+  eq5: string[][];
+} = {
+  eq1: [["AV:N/PR:N/UI:N/"], ["AV:A/PR:N/UI:N/", "AV:N/PR:L/UI:N/", "AV:N/PR:N/UI:P/"], ["AV:P/PR:N/UI:N/", "AV:A/PR:L/UI:P/"]],
+  eq2: [["AC:L/AT:N/"], ["AC:H/AT:N/", "AC:L/AT:P/"]],
+  eq3: {
+    0: { 0: ["VC:H/VI:H/VA:H/CR:H/IR:H/AR:H/"], 1: ["VC:H/VI:H/VA:L/CR:M/IR:M/AR:H/", "VC:H/VI:H/VA:H/CR:M/IR:M/AR:M/"] },
+    1: {
+      0: ["VC:L/VI:H/VA:H/CR:H/IR:H/AR:H/", "VC:H/VI:L/VA:H/CR:H/IR:H/AR:H/"],
+      1: ["VC:L/VI:H/VA:L/CR:H/IR:M/AR:H/", "VC:L/VI:H/VA:H/CR:H/IR:M/AR:M/", "VC:H/VI:L/VA:H/CR:M/IR:H/AR:M/", "VC:H/VI:L/VA:L/CR:M/IR:H/AR:H/", "VC:L/VI:L/VA:H/CR:H/IR:H/AR:M/"],
+    },
+    2: { 1: ["VC:L/VI:L/VA:L/CR:H/IR:H/AR:H/"] },
+  },
+  eq4: [["SC:H/SI:S/SA:S/"], ["SC:H/SI:H/SA:H/"], ["SC:L/SI:L/SA:L/"]],
+  eq5: [["E:A/"], ["E:P/"], ["E:U/"]],
+};
+
+// Maximal severity depth of each equivalence class, in 0.1 steps
+const V4_MAX_SEVERITY = {
+  eq1: [1, 4, 5],
+  eq2: [1, 2],
+  eq3eq6: { 0: { 0: 7, 1: 6 }, 1: { 0: 8, 1: 8 }, 2: { 1: 10 } } as Record<number, Record<number, number>>,
+  eq4: [6, 5, 4],
+};
+
+const V4_LEVELS: Record<string, Record<string, number>> = {
+  AV: { N: 0.0, A: 0.1, L: 0.2, P: 0.3 },
+  PR: { N: 0.0, L: 0.1, H: 0.2 },
+  UI: { N: 0.0, P: 0.1, A: 0.2 },
+  AC: { L: 0.0, H: 0.1 },
+  AT: { N: 0.0, P: 0.1 },
+  VC: { H: 0.0, L: 0.1, N: 0.2 },
+  VI: { H: 0.0, L: 0.1, N: 0.2 },
+  VA: { H: 0.0, L: 0.1, N: 0.2 },
+  SC: { H: 0.1, L: 0.2, N: 0.3 },
+  SI: { S: 0.0, H: 0.1, L: 0.2, N: 0.3 },
+  SA: { S: 0.0, H: 0.1, L: 0.2, N: 0.3 },
+  CR: { H: 0.0, M: 0.1, L: 0.2 },
+  IR: { H: 0.0, M: 0.1, L: 0.2 },
+  AR: { H: 0.0, M: 0.1, L: 0.2 },
+};
+
+function scoreV4(m: Record<string, string>): number {
+  const g = (k: string) => v4Value(m, k);
+  if (["VC", "VI", "VA", "SC", "SI", "SA"].every((k) => g(k) === "N")) return 0;
+
+  const [eq1, eq2, eq3, eq4, eq5, eq6] = v4MacroVector(m) as [number, number, number, number, number, number];
+  const lookup = (...eqs: number[]) => V4_LOOKUP[eqs.join("")] ?? NaN;
+  const value = lookup(eq1, eq2, eq3, eq4, eq5, eq6);
+
+  // Score of the next-lower macro vector along each equivalence class
+  const lowerEq1 = lookup(eq1 + 1, eq2, eq3, eq4, eq5, eq6);
+  const lowerEq2 = lookup(eq1, eq2 + 1, eq3, eq4, eq5, eq6);
+  let lowerEq3Eq6: number;
+  if (eq3 === 0 && eq6 === 0) {
+    // two paths down; take the higher-scoring one
+    const left = lookup(eq1, eq2, eq3, eq4, eq5, eq6 + 1);
+    const right = lookup(eq1, eq2, eq3 + 1, eq4, eq5, eq6);
+    lowerEq3Eq6 = left > right ? left : right;
+  } else if (eq3 === 1 && eq6 === 0) {
+    lowerEq3Eq6 = lookup(eq1, eq2, eq3, eq4, eq5, eq6 + 1);
+  } else if (eq6 === 1 && eq3 < 2) {
+    lowerEq3Eq6 = lookup(eq1, eq2, eq3 + 1, eq4, eq5, eq6);
+  } else {
+    lowerEq3Eq6 = lookup(eq1, eq2, eq3 + 1, eq4, eq5, eq6 + 1);
+  }
+  const lowerEq4 = lookup(eq1, eq2, eq3, eq4 + 1, eq5, eq6);
+  const lowerEq5 = lookup(eq1, eq2, eq3, eq4, eq5 + 1, eq6);
+
+  // Find the max vector of this macro vector that the actual vector sits below
+  const maxVectors: string[] = [];
+  for (const a of V4_MAX_COMPOSED.eq1[eq1]!)
+    for (const b of V4_MAX_COMPOSED.eq2[eq2]!)
+      for (const c of V4_MAX_COMPOSED.eq3[eq3]![eq6]!)
+        for (const d of V4_MAX_COMPOSED.eq4[eq4]!)
+          for (const e of V4_MAX_COMPOSED.eq5[eq5]!) maxVectors.push(a + b + c + d + e);
+
+  const keys = ["AV", "PR", "UI", "AC", "AT", "VC", "VI", "VA", "SC", "SI", "SA", "CR", "IR", "AR"];
+  let distance: Record<string, number> = {};
+  for (const max of maxVectors) {
+    const maxValues = Object.fromEntries(max.split("/").filter(Boolean).map((p) => p.split(":") as [string, string]));
+    distance = Object.fromEntries(keys.map((k) => [k, V4_LEVELS[k]![g(k)]! - V4_LEVELS[k]![maxValues[k]!]!]));
+    if (Object.values(distance).every((d) => d >= 0)) break;
+  }
+  const d = (...ks: string[]) => ks.reduce((sum, k) => sum + distance[k]!, 0);
+
+  const step = 0.1;
+  const parts: Array<[available: number, current: number, maxDepth: number]> = [
+    [value - lowerEq1, d("AV", "PR", "UI"), V4_MAX_SEVERITY.eq1[eq1]! * step],
+    [value - lowerEq2, d("AC", "AT"), V4_MAX_SEVERITY.eq2[eq2]! * step],
+    [value - lowerEq3Eq6, d("VC", "VI", "VA", "CR", "IR", "AR"), V4_MAX_SEVERITY.eq3eq6[eq3]![eq6]! * step],
+    [value - lowerEq4, d("SC", "SI", "SA"), V4_MAX_SEVERITY.eq4[eq4]! * step],
+    // EQ5 has no intra-class distance, but still counts towards the mean
+    [value - lowerEq5, 0, 1],
+  ];
+
+  let existing = 0;
+  let total = 0;
+  for (const [available, current, maxDepth] of parts) {
+    if (Number.isNaN(available)) continue;
+    existing++;
+    total += available * (current / maxDepth);
+  }
+  const meanDistance = existing ? total / existing : 0;
+  return round1(Math.min(10, Math.max(0, value - meanDistance)));
+}
+
+// Macro vector (EQ1..EQ6) → score, from the FIRST CVSS v4.0 reference calculator
+const V4_LOOKUP: Record<string, number> = {
+  "000000": 10, "000001": 9.9, "000010": 9.8, "000011": 9.5, "000020": 9.5, "000021": 9.2,
+  "000100": 10, "000101": 9.6, "000110": 9.3, "000111": 8.7, "000120": 9.1, "000121": 8.1,
+  "000200": 9.3, "000201": 9, "000210": 8.9, "000211": 8, "000220": 8.1, "000221": 6.8,
+  "001000": 9.8, "001001": 9.5, "001010": 9.5, "001011": 9.2, "001020": 9, "001021": 8.4,
+  "001100": 9.3, "001101": 9.2, "001110": 8.9, "001111": 8.1, "001120": 8.1, "001121": 6.5,
+  "001200": 8.8, "001201": 8, "001210": 7.8, "001211": 7, "001220": 6.9, "001221": 4.8,
+  "002001": 9.2, "002011": 8.2, "002021": 7.2, "002101": 7.9, "002111": 6.9, "002121": 5,
+  "002201": 6.9, "002211": 5.5, "002221": 2.7,
+  "010000": 9.9, "010001": 9.7, "010010": 9.5, "010011": 9.2, "010020": 9.2, "010021": 8.5,
+  "010100": 9.5, "010101": 9.1, "010110": 9, "010111": 8.3, "010120": 8.4, "010121": 7.1,
+  "010200": 9.2, "010201": 8.1, "010210": 8.2, "010211": 7.1, "010220": 7.2, "010221": 5.3,
+  "011000": 9.5, "011001": 9.3, "011010": 9.2, "011011": 8.5, "011020": 8.5, "011021": 7.3,
+  "011100": 9.2, "011101": 8.2, "011110": 8, "011111": 7.2, "011120": 7, "011121": 5.9,
+  "011200": 8.4, "011201": 7, "011210": 7.1, "011211": 5.2, "011220": 5, "011221": 3,
+  "012001": 8.6, "012011": 7.5, "012021": 5.2, "012101": 7.1, "012111": 5.2, "012121": 2.9,
+  "012201": 6.3, "012211": 2.9, "012221": 1.7,
+  "100000": 9.8, "100001": 9.5, "100010": 9.4, "100011": 8.7, "100020": 9.1, "100021": 8.1,
+  "100100": 9.4, "100101": 8.9, "100110": 8.6, "100111": 7.4, "100120": 7.7, "100121": 6.4,
+  "100200": 8.7, "100201": 7.5, "100210": 7.4, "100211": 6.3, "100220": 6.3, "100221": 4.9,
+  "101000": 9.4, "101001": 8.9, "101010": 8.8, "101011": 7.7, "101020": 7.6, "101021": 6.7,
+  "101100": 8.6, "101101": 7.6, "101110": 7.4, "101111": 5.8, "101120": 5.9, "101121": 5,
+  "101200": 7.2, "101201": 5.7, "101210": 5.7, "101211": 5.2, "101220": 5.2, "101221": 2.5,
+  "102001": 8.3, "102011": 7, "102021": 5.4, "102101": 6.5, "102111": 5.8, "102121": 2.6,
+  "102201": 5.3, "102211": 2.1, "102221": 1.3,
+  "110000": 9.5, "110001": 9, "110010": 8.8, "110011": 7.6, "110020": 7.6, "110021": 7,
+  "110100": 9, "110101": 7.7, "110110": 7.5, "110111": 6.2, "110120": 6.1, "110121": 5.3,
+  "110200": 7.7, "110201": 6.6, "110210": 6.8, "110211": 5.9, "110220": 5.2, "110221": 3,
+  "111000": 8.9, "111001": 7.8, "111010": 7.6, "111011": 6.7, "111020": 6.2, "111021": 5.8,
+  "111100": 7.4, "111101": 5.9, "111110": 5.7, "111111": 5.7, "111120": 4.7, "111121": 2.3,
+  "111200": 6.1, "111201": 5.2, "111210": 5.7, "111211": 2.9, "111220": 2.4, "111221": 1.6,
+  "112001": 7.1, "112011": 5.9, "112021": 3, "112101": 5.8, "112111": 2.6, "112121": 1.5,
+  "112201": 2.3, "112211": 1.3, "112221": 0.6,
+  "200000": 9.3, "200001": 8.7, "200010": 8.6, "200011": 7.2, "200020": 7.5, "200021": 5.8,
+  "200100": 8.6, "200101": 7.4, "200110": 7.4, "200111": 6.1, "200120": 5.6, "200121": 3.4,
+  "200200": 7, "200201": 5.4, "200210": 5.2, "200211": 4, "200220": 4, "200221": 2.2,
+  "201000": 8.5, "201001": 7.5, "201010": 7.4, "201011": 5.5, "201020": 6.2, "201021": 5.1,
+  "201100": 7.2, "201101": 5.7, "201110": 5.5, "201111": 4.1, "201120": 4.6, "201121": 1.9,
+  "201200": 5.3, "201201": 3.6, "201210": 3.4, "201211": 1.9, "201220": 1.9, "201221": 0.8,
+  "202001": 6.4, "202011": 5.1, "202021": 2, "202101": 4.7, "202111": 2.1, "202121": 1.1,
+  "202201": 2.4, "202211": 0.9, "202221": 0.4,
+  "210000": 8.8, "210001": 7.5, "210010": 7.3, "210011": 5.3, "210020": 6, "210021": 5,
+  "210100": 7.3, "210101": 5.5, "210110": 5.9, "210111": 4, "210120": 4.1, "210121": 2,
+  "210200": 5.4, "210201": 4.3, "210210": 4.5, "210211": 2.2, "210220": 2, "210221": 1.1,
+  "211000": 7.5, "211001": 5.5, "211010": 5.8, "211011": 4.5, "211020": 4, "211021": 2.1,
+  "211100": 6.1, "211101": 5.1, "211110": 4.8, "211111": 1.8, "211120": 2, "211121": 0.9,
+  "211200": 4.6, "211201": 1.8, "211210": 1.7, "211211": 0.7, "211220": 0.8, "211221": 0.2,
+  "212001": 5.3, "212011": 2.4, "212021": 1.4, "212101": 2.4, "212111": 1.2, "212121": 0.5,
+  "212201": 1, "212211": 0.3, "212221": 0.1,
+};
@@ -1,5 +1,10 @@
 // mcp_vuln_intel.ts — Minimal MCP JSON-RPC Worker (Cloudflare Workers, TS)
 
+import { BRIEF_LAYOUTS, renderVulnBrief, type BriefLayout } from "./brief";
+import { mergeVulns, normalizeVuln, REFERENCE_GROUPS, type AffectedProduct, type CvssMetric, type VersionRange } from "./normalize";
+import { applySnapshot, changesSince, decodeSnapshotCursor, encodeSnapshotCursor, loadSnapshot, RETENTION_DAYS, saveSnapshot, type SnapshotRecord } from "./snapshots";
+import { loadWatchlist, matchWatchlist, MAX_WATCH_ENTRIES, saveWatchlist, watchEntryFromArgs, type WatchEntry } from "./watchlist";
+
 type JSONValue = string | number | boolean | null | JSONValue[] | { [k: string]: JSONValue };
 
 interface MCPRequest {
@@ -17,9 +22,16 @@ interface MCPResult {
 interface Env {
   MCP_SERVER_NAME?: string;
   MCP_SERVER_VERSION?: string;
+  KV?: KVNamespace; // optional: watchlist and vulnerability snapshots
 }
 
 export default {
+  // Cron trigger: fold the recent feed into the KV snapshot
+  async scheduled(_controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    if (!env.KV || typeof env.KV.put !== "function") return;
+    ctx.waitUntil(takeVulnSnapshot(env.KV));
+  },
+
   async fetch(request: Request, env: Env): Promise<Response> {
     const url = new URL(request.url);
 
@@ -86,41 +98,151 @@ export default {
 
     // tools/list -> describe available tools
     if (method === "tools/list") {
+      const vulnItemSchema = {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          title: { type: "string" },
+          score: { type: "number" },
+          sev: { type: "string" },
+          published: { type: "string" },
+          ref: { type: "string" },
+          vector: { type: ["string", "null"] },
+          affected: { type: ["string", "null"] },
+          description: { type: "string" },
+          aliases: { type: "array", items: { type: "string" } },
+          sources: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { id: { type: "string" }, source: { type: "string" }, kind: { type: "string" } },
+            },
+          },
+          score_origin: { type: ["object", "null"] },
+        },
+      };
+
       const toolOutputSchema = {
         type: "object",
         properties: {
+          window_hours: { type: "integer" },
+          filters: { type: "object" },
+          records: { type: "integer" },
+          matched: { type: "integer" },
+          returned: { type: "integer" },
+          truncated: { type: "boolean" },
           high_critical: {
+            type: "array",
+            items: vulnItemSchema,
+          },
+          others: {
+            type: "array",
+            items: vulnItemSchema,
+          },
+        },
+        additionalProperties: false,
+      };
+
+      const cvssSchema = {
+        type: "object",
+        properties: {
+          version: { type: "string" },
+          vector: { type: ["string", "null"] },
+          baseScore: { type: ["number", "null"] },
+          baseSeverity: { type: ["string", "null"] },
+          source: { type: ["string", "null"] },
+          computed: { type: "boolean" },
+          metrics: {
             type: "array",
             items: {
               type: "object",
               properties: {
-                id: { type: "string" },
-                title: { type: "string" },
-                score: { type: "number" },
-                sev: { type: "string" },
-                published: { type: "string" },
-                ref: { type: "string" },
-                description: { type: "string" },
+                key: { type: "string" },
+                name: { type: "string" },
+                value: { type: "string" },
+                label: { type: "string" },
               },
             },
           },
-          others: {
+        },
+      };
+
+      const vulnRecordSchema = {
+        type: "object",
+        properties: {
+          vuln_id: { type: "string" },
+          cve_id: { type: ["string", "null"] },
+          title: { type: ["string", "null"] },
+          description: { type: ["string", "null"] },
+          kind: { type: "string" },
+          source: { type: "string" },
+          score: { type: "number" },
+          sev_norm: { type: ["string", "null"] },
+          cvss: { type: ["object", "null"] },
+          cvss_all: { type: "array", items: cvssSchema },
+          cwes: { type: "array", items: { type: "string" } },
+          affected: {
             type: "array",
             items: {
               type: "object",
               properties: {
-                id: { type: "string" },
-                title: { type: "string" },
-                score: { type: "number" },
-                sev: { type: "string" },
-                published: { type: "string" },
-                ref: { type: "string" },
-                description: { type: "string" },
+                vendor: { type: ["string", "null"] },
+                product: { type: ["string", "null"] },
+                versions: { type: "array", items: { type: "object" } },
+              },
+            },
+          },
+          references: { type: "array", items: { type: "string" } },
+          reference_groups: {
+            type: "object",
+            properties: Object.fromEntries(REFERENCE_GROUPS.map((g) => [g, { type: "array", items: { type: "string" } }])),
+          },
+          published: { type: ["string", "null"] },
+          updated: { type: ["string", "null"] },
+          reserved: { type: ["string", "null"] },
+          withdrawn: { type: "boolean" },
+        },
+      };
+
+      const watchEntrySchema = {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          label: { type: ["string", "null"] },
+          vendor: { type: ["string", "null"] },
+          product: { type: "string" },
+          version: { type: ["string", "null"] },
+          ecosystem: { type: ["string", "null"] },
+          cpe: { type: ["string", "null"] },
+          purl: { type: ["string", "null"] },
+          added_at: { type: "string" },
+        },
+      };
+
+      const changeItemSchema = {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          title: { type: ["string", "null"] },
+          score: { type: "number" },
+          sev: { type: ["string", "null"] },
+          published: { type: ["string", "null"] },
+          updated: { type: ["string", "null"] },
+          first_seen: { type: "string" },
+          withdrawn_at: { type: ["string", "null"] },
+          changes: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                at: { type: "string" },
+                score: { type: "object", properties: { from: { type: "number" }, to: { type: "number" } } },
+                severity: { type: "object", properties: { from: { type: ["string", "null"] }, to: { type: ["string", "null"] } } },
+                new_references: { type: "array", items: { type: "string" } },
               },
             },
           },
         },
-        additionalProperties: false,
       };
 
       const tools = [
@@ -128,13 +250,199 @@ export default {
           name: "get_latest_vuln_intel",
           title: "Get Latest Vulnerability Intelligence",
           description:
-            "Fetches all vulnerabilities published in the last 24 hours from the CIRCL CVE API and categorizes them into two buckets: 'high_critical' (CRITICAL and HIGH severity based on CVSS score) and 'others' (MEDIUM, LOW, or unrated). Each vulnerability includes ID, title, CVSS score, severity, publish date, reference URL, and description. Use this tool to get the latest published vulnerabilities with severity-based prioritization.",
+            "Fetches recently published vulnerabilities from the CIRCL CVE API (default: last 24 hours) and categorizes them into two buckets: 'high_critical' (CRITICAL and HIGH severity based on CVSS score) and 'others' (MEDIUM, LOW, or unrated). Each vulnerability includes ID, title, CVSS score, severity, publish date, reference URL, and description. Optional filters narrow the window, minimum score, severities, vendor/product/keyword and record source, and 'limit' caps the number returned (highest severity first). The text content is a severity-grouped markdown brief ('layout': bullets or table) cut to 'max_chars' characters.",
           inputSchema: {
             type: "object",
             additionalProperties: false,
+            properties: {
+              hours: { type: "integer", minimum: 1, maximum: 168, default: 24, description: "Look-back window in hours" },
+              min_score: { type: "number", minimum: 0, maximum: 10, description: "Only vulnerabilities with a CVSS base score at or above this" },
+              severities: {
+                type: "array",
+                items: { type: "string", enum: SEVERITIES },
+                description: "Only these severities (UNRATED = no score)",
+              },
+              vendor: { type: "string", description: "Case-insensitive match on an affected vendor" },
+              product: { type: "string", description: "Case-insensitive match on an affected product or package" },
+              keyword: { type: "string", description: "Case-insensitive match on ID, title or description" },
+              source: {
+                type: "string",
+                enum: ["all", ...VULN_SOURCES],
+                default: "all",
+                description: "Record type: CVE record (cve), GitHub advisory (ghsa), CSAF advisory (csaf) or other OSV record (osv)",
+              },
+              limit: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+              layout: {
+                type: "string",
+                enum: BRIEF_LAYOUTS,
+                default: "bullets",
+                description: "Markdown brief layout: bullet list or one table per severity",
+              },
+              max_chars: {
+                type: "integer",
+                minimum: 500,
+                maximum: 50000,
+                default: 8000,
+                description: "Character budget for the markdown brief; each severity group still shows one entry (structuredContent is not affected)",
+              },
+            },
           },
           outputSchema: toolOutputSchema,
         },
+        {
+          name: "get_vuln_by_id",
+          title: "Get Vulnerability by ID",
+          description:
+            "Looks up one vulnerability in the CIRCL vulnerability database by CVE, GHSA or vendor advisory ID (e.g. CVE-2024-3094, GHSA-xxxx-xxxx-xxxx, RHSA-2024:1234). Returns the full normalised record: every CVSS version with vectors, CWE IDs, affected vendor/product/version ranges, references grouped into patch/exploit/advisory/other, and the published/updated/reserved dates.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              id: { type: "string", description: "CVE, GHSA or vendor advisory ID" },
+            },
+            required: ["id"],
+          },
+          outputSchema: {
+            type: "object",
+            properties: {
+              data: { anyOf: [vulnRecordSchema, { type: "null" }] },
+              related: { type: "array", items: vulnRecordSchema },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "add_watchlist_entry",
+          title: "Add Watchlist Entry",
+          description:
+            "Adds a product to the watchlist used by get_watchlist_hits. Give a CPE 2.3 string (cpe:2.3:a:vendor:product:version:…), a package URL (pkg:pypi/django@4.2.1) or vendor/product, plus an optional pinned version and label. Adding the same product and version twice is a no-op.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              cpe: { type: "string", description: "CPE 2.3 formatted string" },
+              purl: { type: "string", description: "Package URL" },
+              vendor: { type: "string" },
+              product: { type: "string" },
+              version: { type: "string", description: "Pinned version we run (overrides the version in cpe/purl)" },
+              label: { type: "string", description: "Free-text name, e.g. the service that uses it" },
+            },
+          },
+          outputSchema: {
+            type: "object",
+            properties: { added: { type: "boolean" }, entry: watchEntrySchema, count: { type: "integer" } },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "remove_watchlist_entry",
+          title: "Remove Watchlist Entry",
+          description: "Removes a watchlist entry by the id returned from add_watchlist_entry or list_watchlist.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: { id: { type: "string" } },
+            required: ["id"],
+          },
+          outputSchema: {
+            type: "object",
+            properties: { removed: { type: "boolean" }, id: { type: "string" }, count: { type: "integer" } },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "list_watchlist",
+          title: "List Watchlist",
+          description: "Lists the watched products with their ids, pinned versions and CPE/package URL.",
+          inputSchema: { type: "object", additionalProperties: false, properties: {} },
+          outputSchema: {
+            type: "object",
+            properties: { count: { type: "integer" }, max: { type: "integer" }, entries: { type: "array", items: watchEntrySchema } },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "get_watchlist_hits",
+          title: "Get Watchlist Hits",
+          description:
+            "Matches recently published vulnerabilities (default: last 24 hours) against the watchlist by vendor/product, CPE or package URL, and checks each entry's pinned version against the affected version ranges. Each hit reports in_range: true (pinned version affected), false (outside every affected range) or null (no pinned version, or ranges that cannot be compared). In-range hits are listed first.",
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              hours: { type: "integer", minimum: 1, maximum: 168, default: 24, description: "Look-back window in hours" },
+              only_in_range: { type: "boolean", default: false, description: "Only hits where the pinned version is affected" },
+              limit: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+            },
+          },
+          outputSchema: {
+            type: "object",
+            properties: {
+              window_hours: { type: "integer" },
+              entries: { type: "integer" },
+              scanned: { type: "integer" },
+              matched: { type: "integer" },
+              returned: { type: "integer" },
+              truncated: { type: "boolean" },
+              hits: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    id: { type: "string" },
+                    title: { type: ["string", "null"] },
+                    score: { type: "number" },
+                    sev: { type: ["string", "null"] },
+                    published: { type: ["string", "null"] },
+                    ref: { type: ["string", "null"] },
+                    watch_id: { type: "string" },
+                    watch_label: { type: ["string", "null"] },
+                    watched: { type: "string" },
+                    pinned_version: { type: ["string", "null"] },
+                    in_range: { type: ["boolean", "null"] },
+                    matched_range: { type: ["string", "null"] },
+                    affected: { type: ["string", "null"] },
+                  },
+                },
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "get_vuln_changes_since",
+          title: "Get Vulnerability Changes Since",
+          description:
+            `Reports what changed in the recent-vulnerability feed since a point in time, from snapshots a scheduled job stores every 30 minutes (kept ${RETENTION_DAYS} days): 'new' vulnerabilities, 'updated' ones (score or severity changes, new references) and 'withdrawn' ones (rejected CVEs, withdrawn advisories). Pass 'since' (ISO timestamp, default 24 hours ago) or the 'cursor' from a previous call; every response returns 'next_cursor' to continue from.`,
+          inputSchema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              since: { type: "string", format: "date-time", description: "ISO 8601 timestamp" },
+              cursor: { type: "string", description: "next_cursor from a previous call (takes precedence over since)" },
+              limit: { type: "integer", minimum: 1, maximum: 200, default: 50, description: "Maximum entries per list" },
+            },
+          },
+          outputSchema: {
+            type: "object",
+            properties: {
+              since: { type: "string" },
+              snapshot_at: { type: ["string", "null"] },
+              tracking_since: { type: ["string", "null"] },
+              complete: { type: "boolean" },
+              next_cursor: { type: ["string", "null"] },
+              counts: {
+                type: "object",
+                properties: { new: { type: "integer" }, updated: { type: "integer" }, withdrawn: { type: "integer" } },
+              },
+              truncated: { type: "boolean" },
+              new: { type: "array", items: changeItemSchema },
+              updated: { type: "array", items: changeItemSchema },
+              withdrawn: { type: "array", items: changeItemSchema },
+            },
+            additionalProperties: false,
+          },
+        },
       ];
 
       return json({ jsonrpc: "2.0", id, result: { tools } }, cors);
@@ -145,7 +453,61 @@ export default {
       const name = (rpc?.params as any)?.name as string | undefined;
 
       if (name === "get_latest_vuln_intel") {
-        const result = await getLatestVulnIntel();
+        const query = parseVulnQuery(((rpc?.params as any)?.arguments ?? {}) as Record<string, unknown>);
+        if (typeof query === "string") return jsonRpcError(id, -32602, `Invalid params: ${query}`, cors);
+        let result: MCPResult;
+        try {
+          result = await getLatestVulnIntel(query);
+        } catch (err) {
+          return circlErrorResponse(err, id, cors);
+        }
+        return json({ jsonrpc: "2.0", id, result }, cors);
+      }
+
+      if (name === "get_vuln_by_id") {
+        const vulnId = (rpc?.params as any)?.arguments?.id;
+        if (typeof vulnId !== "string" || !VULN_ID_RE.test(vulnId.trim())) {
+          return jsonRpcError(id, -32602, "Invalid params: id must be a CVE, GHSA or advisory ID", cors);
+        }
+        let result: MCPResult;
+        try {
+          result = await getVulnById(vulnId.trim());
+        } catch (err) {
+          return circlErrorResponse(err, id, cors);
+        }
+        return json({ jsonrpc: "2.0", id, result }, cors);
+      }
+
+      if (name === "get_vuln_changes_since") {
+        if (!env.KV || typeof env.KV.get !== "function") {
+          return jsonRpcError(id, -32001, "Snapshot storage is not configured (bind a KV namespace as KV).", cors);
+        }
+        const result = await getVulnChangesSince(env.KV, ((rpc?.params as any)?.arguments ?? {}) as Record<string, unknown>);
+        if (typeof result === "string") return jsonRpcError(id, -32602, `Invalid params: ${result}`, cors);
+        return json({ jsonrpc: "2.0", id, result }, cors);
+      }
+
+      if (name === "add_watchlist_entry" || name === "remove_watchlist_entry" || name === "list_watchlist" || name === "get_watchlist_hits") {
+        if (!env.KV || typeof env.KV.get !== "function") {
+          return jsonRpcError(id, -32001, "Watchlist storage is not configured (bind a KV namespace as KV).", cors);
+        }
+        const args = ((rpc?.params as any)?.arguments ?? {}) as Record<string, unknown>;
+        let result: MCPResult | string;
+        if (name === "add_watchlist_entry") {
+          result = await addWatchlistEntry(env.KV, args);
+        } else if (name === "remove_watchlist_entry") {
+          if (typeof args.id !== "string" || !args.id.trim()) return jsonRpcError(id, -32602, "Invalid params: id is required", cors);
+          result = await removeWatchlistEntry(env.KV, args.id.trim());
+        } else if (name === "list_watchlist") {
+          result = await listWatchlist(env.KV);
+        } else {
+          try {
+            result = await getWatchlistHits(env.KV, args);
+          } catch (err) {
+            return circlErrorResponse(err, id, cors);
+          }
+        }
+        if (typeof result === "string") return jsonRpcError(id, -32602, `Invalid params: ${result}`, cors);
         return json({ jsonrpc: "2.0", id, result }, cors);
       }
 
@@ -159,160 +521,497 @@ export default {
 
 // ===== Tool implementation =====
 
-async function getLatestVulnIntel(): Promise<MCPResult> {
-  const circlRecentURL = "https://cve.circl.lu/api/vulnerability/recent";
+const SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "NONE", "UNRATED"];
+const VULN_SOURCES = ["cve", "ghsa", "csaf", "osv"];
 
-  const res = await fetch(circlRecentURL);
-  if (!res.ok) {
-    return {
-      content: [{ type: "text", text: "Failed to retrieve recent vulnerabilities from CIRCL." }],
-    };
+// CIRCL vulnerability-lookup source names for the record types that map to a single feed
+const CIRCL_SOURCE: Record<string, string> = { cve: "cvelistv5", ghsa: "github" };
+
+interface VulnQuery {
+  hours: number;
+  minScore: number | null;
+  severities: string[] | null;
+  vendor: string | null;
+  product: string | null;
+  keyword: string | null;
+  source: string;
+  limit: number;
+  layout: BriefLayout;
+  maxChars: number;
+}
+
+// Validate tool arguments; returns an error message string on bad input
+function parseVulnQuery(args: Record<string, unknown>): VulnQuery | string {
+  const optString = (k: string): string | null | undefined => {
+    const v = args[k];
+    if (v === undefined || v === null || v === "") return null;
+    return typeof v === "string" ? v.trim().toLowerCase() : undefined;
+  };
+
+  const hours = args.hours ?? 24;
+  if (!Number.isInteger(hours) || (hours as number) < 1 || (hours as number) > 168) {
+    return "hours must be an integer between 1 and 168";
+  }
+  const minScore = args.min_score ?? null;
+  if (minScore !== null && (typeof minScore !== "number" || minScore < 0 || minScore > 10)) {
+    return "min_score must be a number between 0 and 10";
+  }
+  let severities: string[] | null = null;
+  if (args.severities !== undefined) {
+    if (!Array.isArray(args.severities) || !args.severities.length) return "severities must be a non-empty array";
+    severities = args.severities.map((v) => String(v).toUpperCase());
+    const bad = severities.find((v) => !SEVERITIES.includes(v));
+    if (bad) return `unknown severity "${bad}" (use ${SEVERITIES.join(", ")})`;
+  }
+  const source = args.source ?? "all";
+  if (typeof source !== "string" || !["all", ...VULN_SOURCES].includes(source)) {
+    return `source must be one of all, ${VULN_SOURCES.join(", ")}`;
+  }
+  const limit = args.limit ?? 50;
+  if (!Number.isInteger(limit) || (limit as number) < 1 || (limit as number) > 200) {
+    return "limit must be an integer between 1 and 200";
+  }
+
+  const layout = args.layout ?? "bullets";
+  if (typeof layout !== "string" || !BRIEF_LAYOUTS.includes(layout as BriefLayout)) {
+    return `layout must be one of ${BRIEF_LAYOUTS.join(", ")}`;
+  }
+  const maxChars = args.max_chars ?? 8000;
+  if (!Number.isInteger(maxChars) || (maxChars as number) < 500 || (maxChars as number) > 50000) {
+    return "max_chars must be an integer between 500 and 50000";
+  }
+
+  const vendor = optString("vendor");
+  const product = optString("product");
+  const keyword = optString("keyword");
+  if (vendor === undefined || product === undefined || keyword === undefined) {
+    return "vendor, product and keyword must be strings";
+  }
+
+  return {
+    hours: hours as number, minScore, severities, vendor, product, keyword, source, limit: limit as number,
+    layout: layout as BriefLayout, maxChars: maxChars as number,
+  };
+}
+
+// True when a normalized vulnerability passes every filter in the query
+function matchesVulnQuery(v: any, q: VulnQuery): boolean {
+  if (q.source !== "all" && !(v.sources || [v]).some((src: any) => src.kind === q.source)) return false;
+  if (q.minScore !== null && !(v.score >= q.minScore)) return false;
+  if (q.severities && !q.severities.includes(v.sev_norm || "UNRATED")) return false;
+
+  const affected: Array<{ vendor: string | null; product: string | null }> = v.affected || [];
+  if (q.vendor && !affected.some((a) => a.vendor?.toLowerCase().includes(q.vendor!))) return false;
+  if (q.product && !affected.some((a) => a.product?.toLowerCase().includes(q.product!))) return false;
+  if (q.keyword) {
+    const haystack = [v.vuln_id, v.cve_id, ...(v.aliases || []), v.title, v.description].filter(Boolean).join(" ").toLowerCase();
+    if (!haystack.includes(q.keyword)) return false;
+  }
+  return true;
+}
+
+// CIRCL unreachable, answering with an error status, or returning a body that is not the
+// expected JSON; tools/call reports it as -32002
+class CirclError extends Error {}
+
+// GET a CIRCL API URL as JSON; null on 404, CirclError on any other failure
+async function fetchCircl(url: string): Promise<unknown> {
+  let res: Response;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    throw new CirclError(`CIRCL is unreachable: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  if (res.status === 404) return null;
+  if (!res.ok) throw new CirclError(`CIRCL returned HTTP ${res.status} for ${new URL(url).pathname}`);
+  try {
+    return await res.json();
+  } catch {
+    throw new CirclError(`CIRCL returned a response that is not JSON for ${new URL(url).pathname}`);
   }
+}
 
-  const vulnerabilities: any[] = await res.json();
+function circlErrorResponse(err: unknown, id: number | string | null, cors: Record<string, string>): Response {
+  if (err instanceof CirclError) return jsonRpcError(id, -32002, err.message, cors);
+  throw err;
+}
 
-  // Generate since date (24 hours ago in UTC ISO format)
-  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+// Recent CIRCL records published in the last `hours`, normalized and merged across
+// CVE/GHSA/CSAF copies of the same issue; CirclError when the feed cannot be read
+async function fetchRecentVulns(hours: number, circlSource?: string): Promise<{ records: number; merged: any[] }> {
+  const circlRecentURL = new URL("https://cve.circl.lu/api/vulnerability/recent");
+  if (circlSource) circlRecentURL.searchParams.set("source", circlSource);
 
-  // Normalize and filter vulnerabilities
-  const normalized = vulnerabilities
-    .map(normalizeVuln)
+  const vulnerabilities = await fetchCircl(circlRecentURL.toString());
+  if (!Array.isArray(vulnerabilities)) throw new CirclError("CIRCL recent feed did not return a list");
+
+  // Generate since date (window start in UTC ISO format)
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const inWindow = vulnerabilities
+    .flatMap(normalizeVuln)
     .filter((v) => v.published && v.published >= since);
+  return { records: inWindow.length, merged: mergeVulns(inWindow) };
+}
+
+async function getLatestVulnIntel(query: VulnQuery): Promise<MCPResult> {
+  const recent = await fetchRecentVulns(query.hours, CIRCL_SOURCE[query.source]);
+
+  const normalized = recent.merged.filter((v) => matchesVulnQuery(v, query));
+
+  const isHighCritical = (v: any) => v.sev_norm === "CRITICAL" || v.sev_norm === "HIGH";
+  const toItem = (v: any) => ({
+    id: v.cve_id || v.vuln_id,
+    title: v.title,
+    score: v.score,
+    sev: v.sev_norm,
+    published: v.published,
+    ref: v.references?.[0] || null,
+    vector: v.cvss?.vectorString || null,
+    affected: (v.affected || []).map((a: AffectedProduct) => [a.vendor, a.product].filter(Boolean).join(" ")).find(Boolean) || null,
+    description: v.description,
+    aliases: v.aliases,
+    sources: v.sources,
+    score_origin: v.score_origin,
+  });
 
-  // Categorize into buckets
+  // Categorize into buckets; the limit fills high_critical first
   const highCritical = normalized
-    .filter((v) => v.sev_norm === "CRITICAL" || v.sev_norm === "HIGH")
+    .filter(isHighCritical)
     .sort((a, b) => (b.score - a.score) || (new Date(b.published).getTime() - new Date(a.published).getTime()))
-    .map((v) => ({
-      id: v.cve_id || v.vuln_id,
-      title: v.title,
-      score: v.score,
-      sev: v.sev_norm,
-      published: v.published,
-      ref: v.references?.[0] || null,
-      description: v.description,
-    }));
+    .slice(0, query.limit)
+    .map(toItem);
 
   const others = normalized
-    .filter((v) => v.sev_norm !== "CRITICAL" && v.sev_norm !== "HIGH")
+    .filter((v) => !isHighCritical(v))
     .sort((a, b) => new Date(b.published).getTime() - new Date(a.published).getTime())
-    .map((v) => ({
-      id: v.cve_id || v.vuln_id,
-      title: v.title,
-      score: v.score,
-      sev: v.sev_norm,
-      published: v.published,
-      ref: v.references?.[0] || null,
-      description: v.description,
-    }));
+    .slice(0, Math.max(0, query.limit - highCritical.length))
+    .map(toItem);
+
+  const returned = highCritical.length + others.length;
+  const filters: Record<string, JSONValue> = {
+    source: query.source,
+    min_score: query.minScore,
+    severities: query.severities,
+    vendor: query.vendor,
+    product: query.product,
+    keyword: query.keyword,
+    limit: query.limit,
+  };
 
   const result = {
+    window_hours: query.hours,
+    filters,
+    records: recent.records,
+    matched: normalized.length,
+    returned,
+    truncated: returned < normalized.length,
     high_critical: highCritical,
     others: others,
   };
 
+  const active = Object.entries(filters)
+    .filter(([k, v]) => k !== "limit" && v !== null && !(k === "source" && v === "all"))
+    .map(([k, v]) => `${k}=${Array.isArray(v) ? v.join("/") : v}`);
+  const heading =
+    `## Recent vulnerabilities (last ${query.hours}h)\n\n` +
+    `Fetched ${normalized.length} unique recent vulnerabilities (${active.length ? `${active.join(", ")}; ` : ""}${recent.records} source records)` +
+    (result.truncated ? `; returning the top ${returned}.` : ".");
+  const { text } = renderVulnBrief([...highCritical, ...others], {
+    heading,
+    layout: query.layout,
+    maxChars: query.maxChars,
+    notReturned: normalized.length - returned,
+  });
+
   return {
-    content: [{ type: "text", text: `Fetched ${normalized.length} recent CVEs (last 24h) categorized by severity.` }],
+    content: [{ type: "text", text }],
     structuredContent: result,
   };
 }
 
-// Helper function to normalize vulnerability data
-function normalizeVuln(vuln: any): any {
-  let vuln_id: string;
-  let cve_id: string | null = null;
-  let title: string | null = null;
-  let cvss: any = null;
-  let description: string | null = null;
-  let references: string[] = [];
-  let published: string | null = null;
-  let updated: string | null = null;
-  let source: string = "CVE_RECORD";
-
-  if (vuln.vulnerabilities) {
-    // Handle vulnerabilities array (e.g., from some sources)
-    const v = vuln.vulnerabilities[0];
-    vuln_id = v.cve || `${vuln.document?.tracking?.id || "unknown"}:${v.ids?.[0] || v.title || "unknown"}`;
-    cve_id = v.cve || null;
-    title = v.title || null;
-    cvss = v.scores?.[0]?.cvss_v4 || v.scores?.[0]?.cvss_v3 || null;
-    description = v.notes?.find((n: any) => n.category === "description")?.text || null;
-    references = [...(v.references?.map((r: any) => r.url) || []), ...(vuln.document?.references?.map((r: any) => r.url) || [])].filter(Boolean);
-    published = vuln.document?.tracking?.initial_release_date || null;
-    updated = vuln.document?.tracking?.current_release_date || null;
-    source = vuln.document?.publisher?.name || "unknown";
-  } else if (vuln.schema_version && vuln.id?.startsWith("GHSA-")) {
-    // Handle GHSA format
-    vuln_id = vuln.id;
-    cve_id = vuln.aliases?.find((a: string) => a.startsWith("CVE-")) || null;
-    title = vuln.summary || null;
-    cvss = { baseScore: parseFloat(vuln.severity?.[0]?.score) || 0, baseSeverity: null };
-    description = vuln.details || null;
-    references = vuln.references?.map((r: any) => r.url) || [];
-    published = vuln.published || null;
-    updated = vuln.modified || null;
-    source = "GHSA";
+// Letters/digits plus the separators advisory IDs use (RHSA-2024:1234, GHSA-xxxx-…, CVE-…)
+const VULN_ID_RE = /^[A-Za-z0-9][A-Za-z0-9._:+-]{2,99}$/;
+
+async function getVulnById(vulnId: string): Promise<MCPResult> {
+  const raw: any = await fetchCircl(`https://cve.circl.lu/api/vulnerability/${encodeURIComponent(vulnId)}`);
+  if (!raw || typeof raw !== "object" || !Object.keys(raw).length) {
+    return {
+      content: [{ type: "text", text: `No vulnerability record found for ${vulnId}.` }],
+      structuredContent: { data: null },
+    };
+  }
+  // Advisories (CSAF) can cover several vulnerabilities: show the one asked for, list the rest
+  const records = normalizeVuln(raw);
+  const wanted = vulnId.toUpperCase();
+  const v = records.find((r) => r.vuln_id?.toUpperCase() === wanted || r.cve_id?.toUpperCase() === wanted) || records[0];
+  if (!v) {
+    return {
+      content: [{ type: "text", text: `No vulnerability record found for ${vulnId}.` }],
+      structuredContent: { data: null },
+    };
+  }
+  const related = records.filter((r) => r !== v);
+
+  const lines = [
+    `## ${v.vuln_id}${v.cve_id && v.cve_id !== v.vuln_id ? ` (${v.cve_id})` : ""}${v.title ? ` — ${v.title}` : ""}`,
+    `Severity: ${v.sev_norm || "UNRATED"}${v.score ? ` (${v.score})` : ""} · Source: ${v.source}`,
+    `Published: ${v.published || "n/a"} · Updated: ${v.updated || "n/a"}${v.reserved ? ` · Reserved: ${v.reserved}` : ""}`,
+    v.description ? `\n${v.description}` : null,
+    v.cvss_all.length
+      ? `\n### CVSS\n${v.cvss_all.map((m: CvssMetric) => `- v${m.version}${m.baseScore !== null ? ` ${m.baseScore}` : ""}${m.baseSeverity ? ` ${m.baseSeverity}` : ""} — ${m.vector || "no vector"} (${m.source})`).join("\n")}`
+      : null,
+    v.cwes.length ? `\n### CWE\n${v.cwes.join(", ")}` : null,
+    v.affected.length
+      ? `\n### Affected\n${v.affected.slice(0, 25).map((a: AffectedProduct) => `- ${[a.vendor, a.product].filter(Boolean).join(" / ") || "unknown"}${a.versions.length ? `: ${a.versions.slice(0, 6).map(formatVersionRange).join("; ")}${a.versions.length > 6 ? "; …" : ""}` : ""}`).join("\n")}${v.affected.length > 25 ? `\n- … ${v.affected.length - 25} more` : ""}`
+      : null,
+    ...REFERENCE_GROUPS.filter((g) => v.reference_groups[g].length).map(
+      (g) => `\n### References: ${g}\n${v.reference_groups[g].slice(0, 10).map((u: string) => `- ${u}`).join("\n")}`
+    ),
+    related.length
+      ? `\n### Also in this advisory (${related.length})\n${related.slice(0, 25).map((r) => `- ${r.cve_id || r.vuln_id}${r.title ? ` — ${r.title}` : ""} (${r.sev_norm || "UNRATED"})`).join("\n")}`
+      : null,
+  ].filter(Boolean);
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    structuredContent: related.length ? { data: v, related } : { data: v },
+  };
+}
+
+// Helper to print one affected version range compactly
+function formatVersionRange(r: VersionRange): string {
+  const span = r.less_than === "*" ? `${r.version ?? "*"} and later`
+    : r.less_than ? `${r.version ?? "*"} to <${r.less_than}`
+    : r.less_than_or_equal ? `${r.version ?? "*"} to <=${r.less_than_or_equal}`
+    : r.version ?? "*";
+  return r.status && r.status !== "affected" ? `${span} (${r.status})` : span;
+}
+
+// ===== Snapshots =====
+
+// Scheduled: fold CIRCL's recent slice (at most RETENTION_DAYS old) into the stored
+// snapshot. The slice is fixed-size, so a run only sees as far back as it reaches
+// (see snapshots.ts); runs that cannot reach the previous one are logged as gaps.
+// Failures are logged here, as nothing else sees errors thrown inside waitUntil.
+async function takeVulnSnapshot(kv: KVNamespace): Promise<void> {
+  try {
+    const recent = await fetchRecentVulns(RETENTION_DAYS * 24);
+    const { state, run } = applySnapshot(await loadSnapshot(kv), recent.merged, new Date().toISOString());
+    await saveSnapshot(kv, state);
+    console.log(`vuln snapshot ${run.at}: ${run.records} records, ${run.new} new, ${run.updated} updated, ${run.withdrawn} withdrawn`);
+    if (run.gap) console.warn(`vuln snapshot ${run.at}: feed only reaches back to ${run.covered_from}; records published since the previous run may be missing`);
+  } catch (err) {
+    console.error("vuln snapshot failed:", err);
+  }
+}
+
+async function getVulnChangesSince(kv: KVNamespace, args: Record<string, unknown>): Promise<MCPResult | string> {
+  let since: string;
+  if (args.cursor !== undefined) {
+    const decoded = typeof args.cursor === "string" ? decodeSnapshotCursor(args.cursor) : null;
+    if (!decoded) return "cursor is not a valid next_cursor";
+    since = decoded;
+  } else if (args.since !== undefined) {
+    if (typeof args.since !== "string" || Number.isNaN(Date.parse(args.since))) return "since must be an ISO 8601 timestamp";
+    since = new Date(args.since).toISOString();
   } else {
-    // Standard CVE format
-    vuln_id = vuln.cveMetadata?.cveId || vuln.id || "unknown";
-    cve_id = vuln.cveMetadata?.cveId || null;
-    title = vuln.containers?.cna?.title || vuln.summary || null;
-    cvss = chooseCvss(vuln);
-    description = firstEn(vuln.containers?.cna?.descriptions) || firstEn(vuln.descriptions) || vuln.details || null;
-    references = [...(vuln.containers?.cna?.references?.map((r: any) => r.url) || []), ...(vuln.references?.map((r: any) => r.url) || [])].filter(Boolean);
-    published = vuln.cveMetadata?.datePublished || vuln.published || vuln.publishedAt || null;
-    updated = vuln.cveMetadata?.dateUpdated || vuln.lastModified || vuln.modified || null;
-    source = vuln.containers?.cna?.providerMetadata?.shortName || vuln.sourceIdentifier || "CVE_RECORD";
+    since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  }
+  const limit = args.limit ?? 50;
+  if (!Number.isInteger(limit) || (limit as number) < 1 || (limit as number) > 200) {
+    return "limit must be an integer between 1 and 200";
   }
 
-  // Calculate score and severity
-  const score = cvss?.baseScore || 0;
-  const sev_norm = cvss?.baseSeverity ||
-    (score >= 9 ? "CRITICAL" :
-     score >= 8 ? "HIGH" :
-     score >= 4 ? "MEDIUM" :
-     score > 0 ? "LOW" : null);
+  const state = await loadSnapshot(kv);
+  if (!state) {
+    return {
+      content: [{ type: "text", text: "No vulnerability snapshots yet: the scheduled snapshot job has not run." }],
+      structuredContent: {
+        since, snapshot_at: null, tracking_since: null, complete: false, next_cursor: null,
+        counts: { new: 0, updated: 0, withdrawn: 0 }, truncated: false, new: [], updated: [], withdrawn: [],
+      },
+    };
+  }
+
+  const diff = changesSince(state, since);
+  const toItem = (r: SnapshotRecord) => ({
+    id: r.id,
+    title: r.title,
+    score: r.score,
+    sev: r.sev,
+    published: r.published,
+    updated: r.updated,
+    first_seen: r.first_seen,
+    withdrawn_at: r.withdrawn_at,
+    changes: r.changes,
+  });
+  const bySeverity = (a: SnapshotRecord, b: SnapshotRecord) => (b.score - a.score) || String(b.published).localeCompare(String(a.published));
+  const lists = {
+    new: diff.new.sort(bySeverity).slice(0, limit as number).map(toItem),
+    updated: diff.updated.sort(bySeverity).slice(0, limit as number).map(toItem),
+    withdrawn: diff.withdrawn.sort(bySeverity).slice(0, limit as number).map(toItem),
+  };
+  const counts = { new: diff.new.length, updated: diff.updated.length, withdrawn: diff.withdrawn.length };
+  const truncated = lists.new.length < counts.new || lists.updated.length < counts.updated || lists.withdrawn.length < counts.withdrawn;
+  // Snapshots only know about changes after the first run, and not those a run's feed
+  // slice could not reach back to
+  const gaps = state.runs.filter((r) => r.at > since && r.gap);
+  const complete = since >= state.started_at && !gaps.length;
+
+  const describeChange = (c: (typeof lists.updated)[number]["changes"][number]) => [
+    c.score ? `score ${c.score.from} → ${c.score.to}` : null,
+    c.severity ? `severity ${c.severity.from || "UNRATED"} → ${c.severity.to || "UNRATED"}` : null,
+    c.new_references ? `${c.new_references.length} new reference${c.new_references.length === 1 ? "" : "s"}` : null,
+  ].filter(Boolean).join(", ");
+  const line = (r: (typeof lists.new)[number]) => `- ${r.id} (${r.sev || "UNRATED"}${r.score ? ` ${r.score}` : ""})${r.title ? ` — ${r.title}` : ""}`;
+  const text = [
+    `Changes since ${since} (latest snapshot ${state.taken_at}): ${counts.new} new, ${counts.updated} updated, ${counts.withdrawn} withdrawn.`,
+    since >= state.started_at ? null : `Note: snapshots start at ${state.started_at}; earlier changes are not known.`,
+    gaps.length ? `Note: ${gaps.length} snapshot run(s) since then could not see back to the run before; records published in between may be missing.` : null,
+    lists.new.length ? `\n### New\n${lists.new.map(line).join("\n")}` : null,
+    lists.updated.length ? `\n### Updated\n${lists.updated.map((r) => `${line(r)}: ${r.changes.map(describeChange).join("; ")}`).join("\n")}` : null,
+    lists.withdrawn.length ? `\n### Withdrawn\n${lists.withdrawn.map(line).join("\n")}` : null,
+    truncated ? `\nSome lists were cut at ${limit} entries (raise limit).` : null,
+  ].filter(Boolean).join("\n");
 
   return {
-    vuln_id,
-    cve_id,
-    title,
-    cvss,
-    description,
-    references,
-    published,
-    updated,
-    source,
-    score,
-    sev_norm,
+    content: [{ type: "text", text }],
+    structuredContent: {
+      since,
+      snapshot_at: state.taken_at,
+      tracking_since: state.started_at,
+      complete,
+      next_cursor: encodeSnapshotCursor(state.taken_at),
+      counts,
+      truncated,
+      ...(lists as unknown as Record<string, JSONValue>),
+    },
   };
 }
 
-// Helper to choose CVSS data
-function chooseCvss(vuln: any): any {
-  const cvss4 = vuln.containers?.cna?.metrics?.find((m: any) => m.cvssV4_0)?.cvssV4_0;
-  const cvss40 = vuln.metrics?.cvssMetricV40?.[0]?.cvssData;
-  const cvss31 = vuln.metrics?.cvssMetricV31?.[0]?.cvssData;
+// ===== Watchlist =====
+
+function watchEntryName(e: WatchEntry): string {
+  const name = [e.ecosystem || e.vendor, e.product].filter(Boolean).join(" / ");
+  return `${e.label ? `${e.label} (${name})` : name}${e.version ? ` ${e.version}` : ""}`;
+}
 
-  // Prioritize CVSS v4, then v4.0, then v3.1
-  const selectedCvss = cvss4 || cvss40 || cvss31;
-  if (selectedCvss) {
+// Returns an error message string on bad input or a full watchlist
+async function addWatchlistEntry(kv: KVNamespace, args: Record<string, unknown>): Promise<MCPResult | string> {
+  const entry = await watchEntryFromArgs(args);
+  if (typeof entry === "string") return entry;
+
+  const entries = await loadWatchlist(kv);
+  const existing = entries.find((e) => e.id === entry.id);
+  if (existing) {
     return {
-      baseScore: selectedCvss.baseScore || 0,
-      baseSeverity: selectedCvss.baseSeverity || null,
-      vectorString: selectedCvss.vectorString || null,
+      content: [{ type: "text", text: `Already watching ${watchEntryName(existing)} (id ${existing.id}).` }],
+      structuredContent: { added: false, entry: existing as unknown as JSONValue, count: entries.length },
     };
   }
-  return null;
+  if (entries.length >= MAX_WATCH_ENTRIES) return `watchlist is full (${MAX_WATCH_ENTRIES} entries); remove one first`;
+
+  entries.push(entry);
+  await saveWatchlist(kv, entries);
+  return {
+    content: [{ type: "text", text: `Watching ${watchEntryName(entry)} (id ${entry.id}); ${entries.length} entries.` }],
+    structuredContent: { added: true, entry: entry as unknown as JSONValue, count: entries.length },
+  };
 }
 
-// Helper to get first English description
-function firstEn(descriptions: any[]): string | null {
-  const enDesc = descriptions?.find((d: any) => d?.lang === "en");
-  return enDesc?.value || null;
+async function removeWatchlistEntry(kv: KVNamespace, entryId: string): Promise<MCPResult> {
+  const entries = await loadWatchlist(kv);
+  const kept = entries.filter((e) => e.id !== entryId);
+  const removed = kept.length < entries.length;
+  if (removed) await saveWatchlist(kv, kept);
+  return {
+    content: [{ type: "text", text: removed ? `Removed ${entryId}; ${kept.length} entries left.` : `No watchlist entry with id ${entryId}.` }],
+    structuredContent: { removed, id: entryId, count: kept.length },
+  };
 }
 
+async function listWatchlist(kv: KVNamespace): Promise<MCPResult> {
+  const entries = await loadWatchlist(kv);
+  const text = entries.length
+    ? `${entries.length} watchlist entries:\n${entries.map((e) => `- ${e.id}: ${watchEntryName(e)}${e.cpe ? ` [${e.cpe}]` : e.purl ? ` [${e.purl}]` : ""}`).join("\n")}`
+    : "The watchlist is empty.";
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: { count: entries.length, max: MAX_WATCH_ENTRIES, entries: entries as unknown as JSONValue },
+  };
+}
+
+async function getWatchlistHits(kv: KVNamespace, args: Record<string, unknown>): Promise<MCPResult | string> {
+  const hours = args.hours ?? 24;
+  if (!Number.isInteger(hours) || (hours as number) < 1 || (hours as number) > 168) {
+    return "hours must be an integer between 1 and 168";
+  }
+  const limit = args.limit ?? 50;
+  if (!Number.isInteger(limit) || (limit as number) < 1 || (limit as number) > 200) {
+    return "limit must be an integer between 1 and 200";
+  }
+  const onlyInRange = args.only_in_range === true;
 
+  const entries = await loadWatchlist(kv);
+  if (!entries.length) {
+    return {
+      content: [{ type: "text", text: "The watchlist is empty; add entries with add_watchlist_entry." }],
+      structuredContent: { window_hours: hours as number, entries: 0, scanned: 0, matched: 0, returned: 0, truncated: false, hits: [] },
+    };
+  }
+
+  const recent = await fetchRecentVulns(hours as number);
+
+  const hits = recent.merged.flatMap((v) =>
+    matchWatchlist(entries, v.affected || []).map((h) => ({
+      id: v.cve_id || v.vuln_id,
+      title: v.title,
+      score: v.score,
+      sev: v.sev_norm,
+      published: v.published,
+      ref: v.references?.[0] || null,
+      watch_id: h.entry.id,
+      watch_label: h.entry.label,
+      watched: watchEntryName(h.entry),
+      pinned_version: h.entry.version,
+      in_range: h.in_range,
+      matched_range: h.matched_range,
+      affected: [h.affected.vendor, h.affected.product].filter(Boolean).join(" / ") || null,
+    }))
+  );
+
+  // In-range first, then unknown, then out-of-range; highest score first within each
+  const rank = (r: boolean | null) => (r === true ? 0 : r === null ? 1 : 2);
+  const matched = hits
+    .filter((h) => !onlyInRange || h.in_range === true)
+    .sort((a, b) => (rank(a.in_range) - rank(b.in_range)) || (b.score - a.score));
+  const returned = matched.slice(0, limit as number);
+
+  const verdict = (h: (typeof hits)[number]) =>
+    h.in_range === true ? `IN RANGE${h.matched_range ? ` (${h.matched_range})` : ""}`
+    : h.in_range === false ? `not in range${h.matched_range ? ` (${h.matched_range})` : ""}`
+    : h.pinned_version ? "range unknown" : "no pinned version";
+  const inRangeCount = matched.filter((h) => h.in_range === true).length;
+  const text = [
+    `${matched.length} watchlist hits in the last ${hours}h (${inRangeCount} with the pinned version in range) across ${entries.length} entries and ${recent.merged.length} vulnerabilities.`,
+    ...returned.map((h) => `- ${h.id} (${h.sev || "UNRATED"}${h.score ? ` ${h.score}` : ""}) — ${h.watched}: ${verdict(h)}${h.title ? ` — ${h.title}` : ""}`),
+    returned.length < matched.length ? `… ${matched.length - returned.length} more (raise limit).` : null,
+  ].filter(Boolean).join("\n");
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: {
+      window_hours: hours as number,
+      entries: entries.length,
+      scanned: recent.merged.length,
+      matched: matched.length,
+      returned: returned.length,
+      truncated: returned.length < matched.length,
+      hits: returned,
+    },
+  };
+}
 
 // ===== helpers =====
 function json(body: unknown, cors?: Record<string, string>) {
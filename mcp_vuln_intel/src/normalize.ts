@@ -0,0 +1,578 @@
+// normalize.ts — one record shape for CVE 5, NVD 2.0, CSAF 2.0 and OSV documents,
+// and the merge of records that describe the same issue
+
+import { cvssBaseScore, cvssSeverity, parseCvssVector, type CvssMetricValue } from "./cvss";
+
+export interface CvssMetric {
+  version: string; // "2.0" | "3.0" | "3.1" | "4.0"
+  vector: string | null;
+  baseScore: number | null;
+  baseSeverity: string | null;
+  source: string | null; // who scored it: cna, adp:<name>, nvd, ghsa, csaf
+  computed: boolean; // score/severity recomputed from the vector
+  metrics: CvssMetricValue[]; // labelled vector components (empty if unparseable)
+}
+
+export interface VersionRange {
+  version: string | null;
+  less_than: string | null; // "*": no upper bound
+  less_than_or_equal: string | null;
+  status: string | null;
+  version_type: string | null;
+}
+
+export interface AffectedProduct {
+  vendor: string | null;
+  product: string | null;
+  cpe: string | null;
+  purl: string | null;
+  versions: VersionRange[];
+}
+
+interface TaggedReference {
+  url: string;
+  tags: string[];
+}
+
+export const REFERENCE_GROUPS = ["patch", "exploit", "advisory", "other"] as const;
+
+// Normalize one raw document into one record per vulnerability it describes.
+// Handles CVE 5 records, NVD 2.0 JSON (single item or API page), CSAF 2.0
+// advisories and OSV records (GHSA, PyPI, npm, Go, crates.io, …).
+export function normalizeVuln(vuln: any): any[] {
+  if (!vuln || typeof vuln !== "object") return [];
+
+  // NVD 2.0: { cve: {...} } items, alone or wrapped in an API page
+  if (Array.isArray(vuln.vulnerabilities) && vuln.vulnerabilities.some((v: any) => v?.cve?.id)) {
+    return vuln.vulnerabilities.filter((v: any) => v?.cve?.id).map((v: any) => normalizeNvd(v.cve));
+  }
+  if (vuln.cve?.id) return [normalizeNvd(vuln.cve)];
+
+  // CSAF: one advisory document, many vulnerabilities
+  if (vuln.document && Array.isArray(vuln.vulnerabilities)) {
+    const products = csafProductIndex(vuln.product_tree);
+    return vuln.vulnerabilities.map((v: any, i: number) => normalizeCsaf(vuln, v, i, products));
+  }
+
+  if (isOsv(vuln)) return [normalizeOsv(vuln)];
+
+  return [normalizeCve5(vuln)];
+}
+
+// OSV records have a string id plus OSV-only fields, and no CVE 5 metadata
+function isOsv(vuln: any): boolean {
+  if (vuln.cveMetadata || typeof vuln.id !== "string") return false;
+  return !!vuln.schema_version || (Array.isArray(vuln.affected) && vuln.affected.some((a: any) => a?.package)) ||
+    (typeof vuln.modified === "string" && Array.isArray(vuln.aliases));
+}
+
+// Fields every normalizer fills in; finishVuln derives the rest
+interface VulnParts {
+  vuln_id: string;
+  cve_id: string | null;
+  aliases: string[];
+  title: string | null;
+  cvss: any;
+  cvss_all: CvssMetric[];
+  cwes: string[];
+  description: string | null;
+  refs: TaggedReference[];
+  published: string | null;
+  updated: string | null;
+  reserved: string | null;
+  withdrawn: boolean; // rejected CVE / withdrawn advisory
+  source: string;
+  kind: string;
+  affected: AffectedProduct[];
+}
+
+function finishVuln(parts: VulnParts): any {
+  const { refs, ...rest } = parts;
+
+  // One entry per URL; the flat list keeps its original order
+  const byUrl = new Map<string, TaggedReference>();
+  for (const r of refs) {
+    if (!r?.url) continue;
+    const seen = byUrl.get(r.url);
+    if (seen) seen.tags = [...new Set([...seen.tags, ...r.tags])];
+    else byUrl.set(r.url, { url: r.url, tags: [...r.tags] });
+  }
+  const references = [...byUrl.keys()];
+  const reference_groups: Record<string, string[]> = Object.fromEntries(REFERENCE_GROUPS.map((g) => [g, []]));
+  for (const r of byUrl.values()) reference_groups[referenceGroup(r.tags)]!.push(r.url);
+
+  // Calculate score and severity
+  const score = parts.cvss?.baseScore || 0;
+  const sev_norm = parts.cvss?.baseSeverity ?? null;
+
+  return {
+    ...rest,
+    aliases: [...new Set([parts.vuln_id, parts.cve_id, ...parts.aliases].filter((a): a is string => typeof a === "string" && !!a))],
+    cwes: [...new Set(parts.cwes.filter((c) => typeof c === "string" && /^CWE-\d+$/.test(c)))],
+    references,
+    reference_groups,
+    score,
+    sev_norm,
+  };
+}
+
+// Merge records describing the same issue (linked through CVE or GHSA aliases)
+// into one entry that lists its sources, keeps the highest-fidelity score with its
+// origin and unions references, CWEs and affected products. Single records pass
+// through with the same extra fields.
+export function mergeVulns(records: any[]): any[] {
+  const mergeable = (a: string) => /^(CVE|GHSA)-/i.test(a);
+
+  // union-find over record indexes, joined by shared aliases
+  const parent = records.map((_, i) => i);
+  const find = (i: number): number => (parent[i] === i ? i : (parent[i] = find(parent[i]!)));
+  const owner = new Map<string, number>();
+  records.forEach((r, i) => {
+    for (const alias of (r.aliases || []).filter(mergeable)) {
+      const key = alias.toUpperCase();
+      const j = owner.get(key);
+      if (j === undefined) owner.set(key, i);
+      else parent[find(i)] = find(j);
+    }
+  });
+  const groups = new Map<number, any[]>();
+  records.forEach((r, i) => {
+    const root = find(i);
+    groups.set(root, [...(groups.get(root) || []), r]);
+  });
+
+  return [...groups.values()].map((group) => {
+    // CVE records lead, then GitHub advisories, then vendor CSAF, then other OSV
+    const order = ["cve", "ghsa", "csaf", "osv"];
+    const sorted = [...group].sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+    const lead = sorted[0];
+    const first = (field: string) => sorted.map((r) => r[field]).find((v) => v !== null && v !== undefined && v !== "") ?? null;
+
+    const scored = sorted.flatMap((r) => (r.cvss_all || []).map((m: CvssMetric) => ({ m, r })));
+    const best = pickScored(scored);
+    const cvss = best
+      ? { baseScore: best.m.baseScore || 0, baseSeverity: best.m.baseSeverity || null, vectorString: best.m.vector || null, version: best.m.version }
+      : first("cvss");
+
+    const reference_groups: Record<string, string[]> = Object.fromEntries(
+      REFERENCE_GROUPS.map((g) => [g, [...new Set(sorted.flatMap((r) => r.reference_groups?.[g] || []))]])
+    );
+    const dates = (field: string) => sorted.map((r) => r[field]).filter(Boolean).sort();
+
+    return {
+      ...lead,
+      cve_id: first("cve_id"),
+      title: first("title"),
+      description: first("description"),
+      aliases: [...new Set(sorted.flatMap((r) => r.aliases || []))],
+      sources: sorted.map((r) => ({ id: r.vuln_id, source: r.source, kind: r.kind })),
+      cvss,
+      cvss_all: sorted.flatMap((r) => r.cvss_all || []),
+      score_origin: best ? { id: best.r.vuln_id, source: best.m.source, version: best.m.version, vector: best.m.vector, computed: best.m.computed } : null,
+      score: cvss?.baseScore || 0,
+      sev_norm: cvss?.baseSeverity ?? null,
+      cwes: [...new Set(sorted.flatMap((r) => r.cwes || []))],
+      affected: sorted.flatMap((r) => r.affected || []),
+      references: [...new Set(sorted.flatMap((r) => r.references || []))],
+      reference_groups,
+      published: dates("published")[0] ?? null,
+      updated: dates("updated").pop() ?? null,
+      withdrawn: sorted.every((r) => r.withdrawn),
+    };
+  });
+}
+
+// Highest-fidelity score across merged records: newest CVSS version, then who
+// scored it (CNA, NVD, GitHub, vendor CSAF, others), stated scores before recomputed ones
+function pickScored(scored: Array<{ m: CvssMetric; r: any }>): { m: CvssMetric; r: any } | null {
+  const origin = (m: CvssMetric) => {
+    const src = m.source || "";
+    return src === "cna" ? 0 : src.startsWith("nvd") ? 1 : src === "ghsa" ? 2 : src === "csaf" ? 3 : 4;
+  };
+  const rank = (m: CvssMetric) => -Number(m.version) * 100 + origin(m) * 10 + (m.computed ? 1 : 0);
+  return scored.filter(({ m }) => m.baseScore !== null).sort((a, b) => rank(a.m) - rank(b.m))[0] || null;
+}
+
+// CVE JSON 5 record (cvelistv5)
+function normalizeCve5(vuln: any): any {
+  const cna = vuln.containers?.cna;
+  return finishVuln({
+    vuln_id: vuln.cveMetadata?.cveId || vuln.id || "unknown",
+    cve_id: vuln.cveMetadata?.cveId || null,
+    aliases: vuln.aliases || [],
+    title: cna?.title || vuln.summary || null,
+    cvss: chooseCvss(vuln),
+    cvss_all: collectCvss(vuln),
+    cwes: [cna, ...(vuln.containers?.adp || [])].flatMap((c: any) =>
+      (c?.problemTypes || []).flatMap((pt: any) => (pt.descriptions || []).map((d: any) => d.cweId || d.description?.match(/CWE-\d+/)?.[0]))
+    ),
+    description: firstEn(cna?.descriptions) || firstEn(vuln.descriptions) || vuln.details || null,
+    refs: [...(cna?.references || []), ...(vuln.references || [])].map((r: any) => ({ url: r.url, tags: r.tags || [] })),
+    published: vuln.cveMetadata?.datePublished || vuln.published || vuln.publishedAt || null,
+    updated: vuln.cveMetadata?.dateUpdated || vuln.lastModified || vuln.modified || null,
+    reserved: vuln.cveMetadata?.dateReserved || null,
+    withdrawn: vuln.cveMetadata?.state === "REJECTED" || !!vuln.withdrawn,
+    source: cna?.providerMetadata?.shortName || vuln.sourceIdentifier || "CVE_RECORD",
+    kind: "cve",
+    affected: (cna?.affected || []).map((a: any) => ({
+      vendor: a.vendor || null,
+      product: a.product || a.packageName || null,
+      cpe: a.cpes?.[0] || null,
+      purl: a.packageURL || null,
+      versions: (a.versions || []).map((ver: any) => ({
+        version: ver.version ?? null,
+        less_than: ver.lessThan ?? null,
+        less_than_or_equal: ver.lessThanOrEqual ?? null,
+        status: ver.status ?? a.defaultStatus ?? null,
+        version_type: ver.versionType ?? null,
+      })),
+    })),
+  });
+}
+
+// NVD 2.0 `cve` object
+function normalizeNvd(cve: any): any {
+  return finishVuln({
+    vuln_id: cve.id,
+    cve_id: /^CVE-/.test(cve.id) ? cve.id : null,
+    aliases: [],
+    title: null,
+    cvss: chooseCvss(cve),
+    cvss_all: collectCvss(cve),
+    cwes: (cve.weaknesses || []).flatMap((w: any) => (w.description || []).map((d: any) => d.value)),
+    description: firstEn(cve.descriptions),
+    refs: (cve.references || []).map((r: any) => ({ url: r.url, tags: r.tags || [] })),
+    published: cve.published || null,
+    updated: cve.lastModified || null,
+    reserved: null,
+    withdrawn: cve.vulnStatus === "Rejected",
+    source: "NVD",
+    kind: "cve",
+    affected: nvdAffected(cve.configurations),
+  });
+}
+
+// OSV record; GHSA advisories keep their own kind/source
+function normalizeOsv(vuln: any): any {
+  const isGhsa = vuln.id.startsWith("GHSA-");
+  // OSV severity entries carry the vector in `score` (older feeds: a bare number)
+  const cvss_all: CvssMetric[] = (vuln.severity || [])
+    .filter((sv: any) => /^CVSS_V/.test(sv?.type || "") || /^\d+(\.\d+)?$/.test(String(sv?.score)))
+    .map((sv: any) => /^\d+(\.\d+)?$/.test(String(sv.score))
+      ? cvssMetric({ baseScore: parseFloat(sv.score) }, isGhsa ? "ghsa" : "osv", sv.type === "CVSS_V4" ? "4.0" : "3.1")
+      : cvssMetric({ vectorString: sv.score }, isGhsa ? "ghsa" : "osv"));
+
+  return finishVuln({
+    vuln_id: vuln.id,
+    cve_id: vuln.id.startsWith("CVE-") ? vuln.id : vuln.aliases?.find((a: string) => a.startsWith("CVE-")) || null,
+    aliases: vuln.aliases || [],
+    title: vuln.summary || null,
+    cvss: pickCvss(cvss_all) || ghsaSeverity(vuln.database_specific?.severity),
+    cvss_all,
+    cwes: vuln.database_specific?.cwe_ids || [],
+    description: vuln.details || null,
+    refs: (vuln.references || []).map((r: any) => ({ url: r.url, tags: r.type ? [r.type] : [] })),
+    published: vuln.published || null,
+    updated: vuln.modified || null,
+    reserved: null,
+    withdrawn: !!vuln.withdrawn,
+    source: isGhsa ? "GHSA" : vuln.id.split("-")[0] || "OSV",
+    kind: isGhsa ? "ghsa" : "osv",
+    affected: (vuln.affected || []).map(osvAffected),
+  });
+}
+
+// One vulnerability of a CSAF advisory
+function normalizeCsaf(doc: any, v: any, index: number, products: Map<string, CsafProduct>): any {
+  const tracking = doc.document?.tracking;
+  const cvss_all: CvssMetric[] = (v.scores || []).flatMap((sc: any) =>
+    [sc.cvss_v4, sc.cvss_v3, sc.cvss_v2].filter(Boolean).map((m: any) => cvssMetric(m, "csaf"))
+  );
+  const note = (notes: any[], ...categories: string[]) =>
+    categories.map((c) => notes?.find((n: any) => n?.category === c)?.text).find(Boolean) || null;
+
+  return finishVuln({
+    vuln_id: v.cve || `${tracking?.id || "unknown"}:${v.ids?.[0]?.text || v.title || index + 1}`,
+    cve_id: v.cve || null,
+    aliases: (v.ids || []).map((i: any) => i?.text),
+    title: v.title || doc.document?.title || null,
+    cvss: pickCvss(cvss_all),
+    cvss_all,
+    cwes: [v.cwe?.id, ...(v.cwes || []).map((c: any) => c?.id)],
+    description: note(v.notes, "description", "summary") || note(doc.document?.notes, "summary", "description"),
+    refs: [
+      ...[...(v.references || []), ...(doc.document?.references || [])].map((r: any) => ({
+        url: r.url,
+        tags: [r.category === "self" ? "advisory" : r.category, r.summary].filter(Boolean),
+      })),
+      ...(v.remediations || []).filter((r: any) => r?.url).map((r: any) => ({
+        url: r.url,
+        tags: r.category === "vendor_fix" ? ["patch"] : [r.category].filter(Boolean),
+      })),
+    ],
+    published: v.release_date || tracking?.initial_release_date || null,
+    updated: tracking?.current_release_date || null,
+    reserved: null,
+    withdrawn: false,
+    source: doc.document?.publisher?.name || "unknown",
+    kind: "csaf",
+    affected: csafAffected(v.product_status, products),
+  });
+}
+
+// CVSS metric containers in CVE 5 (cna/adp metrics) and NVD-style records, newest version first
+const CVE5_CVSS_KEYS: Array<[string, string]> = [["cvssV4_0", "4.0"], ["cvssV3_1", "3.1"], ["cvssV3_0", "3.0"], ["cvssV2_0", "2.0"]];
+const NVD_CVSS_KEYS: Array<[string, string]> = [["cvssMetricV40", "4.0"], ["cvssMetricV31", "3.1"], ["cvssMetricV30", "3.0"], ["cvssMetricV2", "2.0"]];
+
+// Helper to list every CVSS score/vector on a CVE record
+function collectCvss(vuln: any): CvssMetric[] {
+  const out: CvssMetric[] = [];
+  const containers = [
+    ["cna", vuln.containers?.cna],
+    ...(vuln.containers?.adp || []).map((c: any) => [`adp:${c?.providerMetadata?.shortName || "unknown"}`, c]),
+  ];
+  for (const [label, c] of containers) {
+    for (const m of c?.metrics || []) {
+      for (const [key, version] of CVE5_CVSS_KEYS) {
+        if (m[key]) out.push(cvssMetric(m[key], label, version));
+      }
+    }
+  }
+  for (const [key, version] of NVD_CVSS_KEYS) {
+    for (const m of vuln.metrics?.[key] || []) {
+      if (m?.cvssData) out.push(cvssMetric(m.cvssData, m.source ? `nvd:${m.source}` : "nvd", version));
+    }
+  }
+  return out;
+}
+
+// Helper to map one CVSS object (any schema) into the shared shape. The vector is
+// parsed into labelled metrics; a missing score is recomputed from it and a missing
+// severity comes from the official bands.
+function cvssMetric(m: any, source: string | null, versionHint?: string): CvssMetric {
+  const parsed = parseCvssVector(m?.vectorString);
+  const vector: string | null = parsed?.vector || m?.vectorString || null;
+  const version = String(parsed?.version || m?.version || versionHint || vector?.match(/^CVSS:(\d\.\d)/)?.[1] || "2.0");
+
+  const given = typeof m?.baseScore === "number" ? m.baseScore : parseFloat(m?.baseScore);
+  const computed = Number.isNaN(given) && parsed !== null;
+  const baseScore = !Number.isNaN(given) ? given : parsed ? cvssBaseScore(parsed) : null;
+  const baseSeverity = typeof m?.baseSeverity === "string" && m.baseSeverity
+    ? m.baseSeverity.toUpperCase()
+    : cvssSeverity(baseScore, version);
+
+  return {
+    version,
+    vector,
+    baseScore,
+    baseSeverity,
+    source,
+    computed,
+    metrics: parsed?.metrics || [],
+  };
+}
+
+// Helper to choose CVSS data
+function chooseCvss(vuln: any): any {
+  return pickCvss(collectCvss(vuln));
+}
+
+// Prefer the CNA's own score, newest CVSS version first, then NVD's, then anyone else's
+function pickCvss(all: CvssMetric[]): any {
+  const rank = (m: CvssMetric) => (m.source === "cna" ? 0 : m.source?.startsWith("nvd") ? 1 : 2) * 10 - Number(m.version);
+  const selectedCvss = all.filter((m) => m.baseScore !== null).sort((a, b) => rank(a) - rank(b))[0];
+  if (selectedCvss) {
+    return {
+      baseScore: selectedCvss.baseScore || 0,
+      baseSeverity: selectedCvss.baseSeverity || null,
+      vectorString: selectedCvss.vector || null,
+      version: selectedCvss.version,
+    };
+  }
+  return null;
+}
+
+// GitHub's own severity label, for advisories published without a CVSS vector
+function ghsaSeverity(label: unknown): any {
+  if (typeof label !== "string" || !label) return null;
+  const sev = label.toUpperCase() === "MODERATE" ? "MEDIUM" : label.toUpperCase();
+  return { baseScore: 0, baseSeverity: sev, vectorString: null, version: null };
+}
+
+// Helper to bucket a reference by its tags (CVE/NVD tags, GHSA types, CSAF categories)
+function referenceGroup(tags: string[]): (typeof REFERENCE_GROUPS)[number] {
+  const t = tags.map((x) => String(x).toLowerCase());
+  if (t.some((x) => x.includes("exploit") || x === "evidence")) return "exploit";
+  if (t.some((x) => x === "patch" || x === "fix" || x.includes("mitigation") || x.includes("release-notes"))) return "patch";
+  if (t.some((x) => x.includes("advisory") || x === "self")) return "advisory";
+  return "other";
+}
+
+// Helper to turn an OSV affected entry into vendor/product/version ranges
+function osvAffected(a: any): AffectedProduct {
+  const versions: VersionRange[] = [];
+  for (const range of a.ranges || []) {
+    const versionType = range.type?.toLowerCase() || null;
+    let introduced: string | null = null;
+    for (const ev of range.events || []) {
+      if (ev.introduced !== undefined) introduced = ev.introduced;
+      const end = ev.fixed ?? ev.last_affected ?? ev.limit;
+      if (end !== undefined) {
+        versions.push({
+          version: introduced,
+          less_than: ev.fixed ?? ev.limit ?? null,
+          less_than_or_equal: ev.last_affected ?? null,
+          status: "affected",
+          version_type: versionType,
+        });
+        introduced = null;
+      }
+    }
+    // introduced with no fix yet: open-ended range ("*"), not an exact version
+    if (introduced !== null) {
+      versions.push({ version: introduced, less_than: "*", less_than_or_equal: null, status: "affected", version_type: versionType });
+    }
+  }
+  for (const ver of a.versions || []) {
+    versions.push({ version: ver, less_than: null, less_than_or_equal: null, status: "affected", version_type: null });
+  }
+  return {
+    vendor: a.package?.ecosystem || null,
+    product: a.package?.name || null,
+    cpe: null,
+    purl: a.package?.purl || null,
+    versions,
+  };
+}
+
+// Helper to turn NVD configurations (CPE match criteria) into vendor/product/version ranges
+function nvdAffected(configurations: any[]): AffectedProduct[] {
+  const byProduct = new Map<string, AffectedProduct>();
+  for (const config of configurations || []) {
+    for (const node of config?.nodes || []) {
+      for (const match of node?.cpeMatch || []) {
+        if (!match?.vulnerable || typeof match.criteria !== "string") continue;
+        // cpe:2.3:part:vendor:product:version:…
+        const [, , , vendor, product, version] = match.criteria.split(":");
+        const key = `${vendor}:${product}`;
+        let entry = byProduct.get(key);
+        if (!entry) {
+          entry = { vendor: vendor || null, product: product || null, cpe: match.criteria, purl: null, versions: [] };
+          byProduct.set(key, entry);
+        }
+        const ranged = match.versionStartIncluding || match.versionStartExcluding || match.versionEndIncluding || match.versionEndExcluding;
+        const openEnded = ranged && !match.versionEndIncluding && !match.versionEndExcluding;
+        entry.versions.push({
+          version: ranged
+            ? match.versionStartIncluding ?? (match.versionStartExcluding ? `>${match.versionStartExcluding}` : null)
+            : version && version !== "*" && version !== "-" ? version : null,
+          // a start with no end is "from there onwards", not an exact version
+          less_than: match.versionEndExcluding ?? (openEnded ? "*" : null),
+          less_than_or_equal: match.versionEndIncluding ?? null,
+          status: "affected",
+          version_type: "cpe",
+        });
+      }
+    }
+  }
+  return [...byProduct.values()];
+}
+
+interface CsafProduct {
+  vendor: string | null;
+  product: string | null;
+  version: string | null;
+  version_type: string | null;
+  cpe: string | null;
+  purl: string | null;
+}
+
+// Helper to index a CSAF 2.0 product tree by product_id: branches (vendor →
+// product family/name → version), full_product_names and relationships
+function csafProductIndex(tree: any): Map<string, CsafProduct> {
+  const index = new Map<string, CsafProduct>();
+  const helper = (p: any) => ({
+    cpe: p?.product_identification_helper?.cpe || null,
+    purl: p?.product_identification_helper?.purl || null,
+  });
+
+  const walk = (branches: any[], ctx: Omit<CsafProduct, "cpe" | "purl">) => {
+    for (const b of branches || []) {
+      const next = { ...ctx };
+      if (b.category === "vendor") next.vendor = b.name || ctx.vendor;
+      else if (b.category === "product_family" || b.category === "product_name") next.product = b.name || ctx.product;
+      else if (b.category === "product_version" || b.category === "product_version_range") {
+        next.version = b.name || null;
+        next.version_type = b.category === "product_version_range" ? "range" : null;
+      }
+      if (b.product?.product_id) {
+        index.set(b.product.product_id, { ...next, product: next.product || b.product.name || null, ...helper(b.product) });
+      }
+      if (b.branches) walk(b.branches, next);
+    }
+  };
+  walk(tree?.branches, { vendor: null, product: null, version: null, version_type: null });
+
+  for (const p of tree?.full_product_names || []) {
+    if (p?.product_id && !index.has(p.product_id)) {
+      index.set(p.product_id, { vendor: null, product: p.name || null, version: null, version_type: null, ...helper(p) });
+    }
+  }
+  // "X as a component of Y": keep the component's own vendor/product/version
+  for (const rel of tree?.relationships || []) {
+    const id = rel?.full_product_name?.product_id;
+    if (!id || index.has(id)) continue;
+    const component = index.get(rel.product_reference);
+    index.set(id, component
+      ? { ...component }
+      : { vendor: null, product: rel.full_product_name.name || null, version: null, version_type: null, ...helper(rel.full_product_name) });
+  }
+  return index;
+}
+
+// CSAF product_status categories → the VersionRange status vocabulary used by CVE records
+const CSAF_STATUS: Record<string, string> = {
+  known_affected: "affected",
+  first_affected: "affected",
+  last_affected: "affected",
+  fixed: "unaffected",
+  first_fixed: "unaffected",
+  known_not_affected: "unaffected",
+  recommended: "unaffected",
+  under_investigation: "unknown",
+};
+
+// Helper to list the products one CSAF vulnerability names, grouped by vendor/product
+function csafAffected(productStatus: any, products: Map<string, CsafProduct>): AffectedProduct[] {
+  const byProduct = new Map<string, AffectedProduct>();
+  const add = (p: CsafProduct, status: string | null) => {
+    const key = `${p.vendor}|${p.product}`;
+    let entry = byProduct.get(key);
+    if (!entry) {
+      entry = { vendor: p.vendor, product: p.product, cpe: p.cpe, purl: p.purl, versions: [] };
+      byProduct.set(key, entry);
+    }
+    const dup = entry.versions.some((r) => r.version === p.version && r.status === status);
+    if ((p.version || status) && !dup) {
+      entry.versions.push({ version: p.version, less_than: null, less_than_or_equal: null, status, version_type: p.version_type });
+    }
+  };
+
+  if (productStatus && typeof productStatus === "object") {
+    for (const [category, ids] of Object.entries(productStatus)) {
+      for (const id of Array.isArray(ids) ? ids : []) {
+        add(products.get(id) || { vendor: null, product: id, version: null, version_type: null, cpe: null, purl: null }, CSAF_STATUS[category] ?? category);
+      }
+    }
+  } else {
+    // no product_status: every product in the tree is potentially in scope
+    for (const p of products.values()) add(p, null);
+  }
+  return [...byProduct.values()];
+}
+
+// Helper to get first English description
+function firstEn(descriptions: any[]): string | null {
+  const enDesc = descriptions?.find((d: any) => d?.lang === "en");
+  return enDesc?.value || null;
+}
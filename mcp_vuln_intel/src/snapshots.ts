@@ -0,0 +1,185 @@
+// snapshots.ts — scheduled snapshots of the recent-vulnerability feed kept in KV,
+// and the new / updated / withdrawn diff served by get_vuln_changes_since
+//
+// One KV value holds the tracked state: every vulnerability seen in the last
+// RETENTION_DAYS with the fields we diff on, plus what changed and when. Each
+// cron run folds the current feed into it. A record dropping out of CIRCL's
+// rolling feed is not a withdrawal; only rejected CVEs / withdrawn OSV records are.
+//
+// CIRCL's /recent feed is a fixed-size slice of the newest records, not a time window:
+// on a busy day it may reach back less than the 30 minutes between runs. Each run notes
+// how far back its slice reached (covered_from) and flags a gap when that is after the
+// previous run, since records published in between may never have been seen.
+// The state is one KV value rewritten each run (48 writes a day at */30).
+
+export interface VulnChange {
+  at: string;
+  score?: { from: number; to: number };
+  severity?: { from: string | null; to: string | null };
+  new_references?: string[];
+}
+
+export interface SnapshotRecord {
+  id: string;
+  title: string | null;
+  score: number;
+  sev: string | null;
+  published: string | null;
+  updated: string | null;
+  references: string[];
+  withdrawn: boolean;
+  first_seen: string;
+  last_seen: string;
+  withdrawn_at: string | null;
+  changes: VulnChange[]; // newest last, capped at MAX_CHANGES
+}
+
+export interface SnapshotRun {
+  at: string;
+  records: number;
+  new: number; // not tracked before this run
+  updated: number;
+  withdrawn: number;
+  covered_from: string | null; // oldest published time in the feed slice
+  gap: boolean; // covered_from is after the previous run: records may have been missed
+}
+
+export interface SnapshotState {
+  started_at: string; // first snapshot: changes before this are unknown
+  taken_at: string; // latest snapshot
+  records: Record<string, SnapshotRecord>;
+  runs: SnapshotRun[]; // newest last, capped at MAX_RUNS
+}
+
+const SNAPSHOT_KEY = "vuln-snapshot";
+export const RETENTION_DAYS = 7;
+const MAX_CHANGES = 10;
+const MAX_RUNS = 100;
+
+// ===== storage =====
+
+export async function loadSnapshot(kv: KVNamespace): Promise<SnapshotState | null> {
+  const state = await kv.get<SnapshotState>(SNAPSHOT_KEY, "json");
+  return state && typeof state.records === "object" ? state : null;
+}
+
+export async function saveSnapshot(kv: KVNamespace, state: SnapshotState): Promise<void> {
+  await kv.put(SNAPSHOT_KEY, JSON.stringify(state));
+}
+
+// ===== cursor =====
+
+// Opaque cursor: base64 of { t: snapshot time }
+export function encodeSnapshotCursor(takenAt: string): string {
+  return btoa(JSON.stringify({ t: takenAt }));
+}
+
+export function decodeSnapshotCursor(cursor: string): string | null {
+  try {
+    const t = JSON.parse(atob(cursor))?.t;
+    return typeof t === "string" && !Number.isNaN(Date.parse(t)) ? t : null;
+  } catch {
+    return null;
+  }
+}
+
+// ===== snapshot =====
+
+// Fold the current feed (normalized, merged records) into the tracked state
+export function applySnapshot(state: SnapshotState | null, vulns: any[], now: string): { state: SnapshotState; run: SnapshotRun } {
+  const records: Record<string, SnapshotRecord> = { ...(state?.records || {}) };
+  const published = vulns.map((v) => v.published).filter((p): p is string => typeof p === "string").sort();
+  const coveredFrom = published[0] ?? null;
+  const run: SnapshotRun = {
+    at: now,
+    records: vulns.length,
+    new: 0,
+    updated: 0,
+    withdrawn: 0,
+    covered_from: coveredFrom,
+    gap: !!state && coveredFrom !== null && coveredFrom > state.taken_at,
+  };
+
+  for (const v of vulns) {
+    const id: string = v.cve_id || v.vuln_id;
+    const prev = records[id];
+    const references: string[] = v.references || [];
+    const withdrawn = !!v.withdrawn;
+    const current = {
+      id,
+      title: v.title ?? null,
+      score: v.score || 0,
+      sev: v.sev_norm ?? null,
+      published: v.published ?? null,
+      updated: v.updated ?? null,
+      references,
+      withdrawn,
+    };
+
+    if (!prev) {
+      records[id] = { ...current, first_seen: now, last_seen: now, withdrawn_at: withdrawn ? now : null, changes: [] };
+      run.new++;
+      continue;
+    }
+
+    const change: VulnChange = { at: now };
+    if (prev.score !== current.score) change.score = { from: prev.score, to: current.score };
+    if (prev.sev !== current.sev) change.severity = { from: prev.sev, to: current.sev };
+    const known = new Set(prev.references);
+    const added = references.filter((u) => !known.has(u));
+    if (added.length) change.new_references = added;
+
+    const changed = Object.keys(change).length > 1;
+    if (changed) run.updated++;
+    const newlyWithdrawn = withdrawn && !prev.withdrawn;
+    if (newlyWithdrawn) run.withdrawn++;
+
+    records[id] = {
+      ...current,
+      references: [...new Set([...prev.references, ...references])],
+      first_seen: prev.first_seen,
+      last_seen: now,
+      withdrawn_at: newlyWithdrawn ? now : withdrawn ? prev.withdrawn_at : null,
+      changes: changed ? [...prev.changes, change].slice(-MAX_CHANGES) : prev.changes,
+    };
+  }
+
+  // Forget records not seen for RETENTION_DAYS
+  const cutoff = new Date(Date.parse(now) - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  for (const [id, r] of Object.entries(records)) if (r.last_seen < cutoff) delete records[id];
+
+  return {
+    state: {
+      started_at: state?.started_at || now,
+      taken_at: now,
+      records,
+      runs: [...(state?.runs || []), run].slice(-MAX_RUNS),
+    },
+    run,
+  };
+}
+
+// ===== diff =====
+
+// Changes after `since`: records first seen after it, score/severity/reference changes
+// after it, and withdrawals after it. The first run tracks the whole feed at once, so
+// its records only count as new when they were also published after `since`.
+export function changesSince(state: SnapshotState, since: string): {
+  new: SnapshotRecord[];
+  updated: Array<SnapshotRecord & { changes: VulnChange[] }>;
+  withdrawn: SnapshotRecord[];
+} {
+  const all = Object.values(state.records);
+  const fresh = all.filter((r) =>
+    r.first_seen > since && (r.first_seen > state.started_at || (r.published ?? r.first_seen) >= since)
+  );
+  const freshIds = new Set(fresh.map((r) => r.id));
+  return {
+    new: fresh,
+    updated: all
+      .filter((r) => !freshIds.has(r.id))
+      .map((r) => ({ ...r, changes: r.changes.filter((c) => c.at > since) }))
+      .filter((r) => r.changes.length),
+    withdrawn: all.filter((r) => r.withdrawn_at !== null && r.withdrawn_at > since),
+  };
+}
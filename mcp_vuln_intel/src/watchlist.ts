@@ -0,0 +1,225 @@
+// watchlist.ts — product watchlist (CPE 2.3 / package URL) stored in KV, and
+// matching of normalized vulnerability records against it
+
+export interface WatchEntry {
+  id: string;
+  label: string | null;
+  vendor: string | null; // CPE vendor, or purl namespace
+  product: string; // CPE product, or package name as the ecosystem spells it
+  version: string | null; // pinned version, if any
+  ecosystem: string | null; // OSV ecosystem for package URLs (PyPI, npm, Go, …)
+  cpe: string | null;
+  purl: string | null;
+  added_at: string;
+}
+
+// Shape of the affected block on normalized records (see normalizeVuln)
+interface AffectedLike {
+  vendor: string | null;
+  product: string | null;
+  cpe: string | null;
+  purl: string | null;
+  versions: Array<{
+    version: string | null;
+    less_than: string | null;
+    less_than_or_equal: string | null;
+    status: string | null;
+    version_type: string | null;
+  }>;
+}
+
+export interface WatchHit {
+  entry: WatchEntry;
+  affected: AffectedLike;
+  in_range: boolean | null; // null: no pinned version, or ranges we cannot compare
+  matched_range: string | null;
+}
+
+const WATCHLIST_KEY = "watchlist";
+export const MAX_WATCH_ENTRIES = 200;
+
+// ===== storage =====
+
+export async function loadWatchlist(kv: KVNamespace): Promise<WatchEntry[]> {
+  const entries = await kv.get<WatchEntry[]>(WATCHLIST_KEY, "json");
+  return Array.isArray(entries) ? entries : [];
+}
+
+export async function saveWatchlist(kv: KVNamespace, entries: WatchEntry[]): Promise<void> {
+  await kv.put(WATCHLIST_KEY, JSON.stringify(entries));
+}
+
+// ===== parsing =====
+
+// purl type → OSV ecosystem name
+const PURL_ECOSYSTEMS: Record<string, string> = {
+  pypi: "PyPI",
+  npm: "npm",
+  golang: "Go",
+  maven: "Maven",
+  cargo: "crates.io",
+  gem: "RubyGems",
+  nuget: "NuGet",
+  composer: "Packagist",
+  hex: "Hex",
+  pub: "Pub",
+  swift: "SwiftURL",
+  deb: "Debian",
+  apk: "Alpine",
+  rpm: "Red Hat",
+  github: "GitHub Actions",
+};
+
+// cpe:2.3:part:vendor:product:version:… (colons inside fields are escaped as "\:")
+export function parseCpe(cpe: string): { vendor: string; product: string; version: string | null } | null {
+  if (!/^cpe:2\.3:[aho*]:/i.test(cpe)) return null;
+  const fields = cpe.split(/(?<!\\):/).map((f) => f.replace(/\\(.)/g, "$1"));
+  const [, , , vendor, product, version] = fields;
+  if (!vendor || !product || vendor === "*" || product === "*") return null;
+  return { vendor, product, version: version && version !== "*" && version !== "-" ? version : null };
+}
+
+// pkg:type/namespace/name@version?qualifiers#subpath
+export function parsePurl(purl: string): { ecosystem: string; namespace: string | null; name: string; version: string | null } | null {
+  const m = purl.match(/^pkg:([a-zA-Z][a-zA-Z0-9.+-]*)\/([^?#@]+)(?:@([^?#]+))?/);
+  if (!m) return null;
+  const type = m[1]!.toLowerCase();
+  const parts = m[2]!.split("/").filter(Boolean).map(decodeURIComponent);
+  const name = parts.pop();
+  if (!name) return null;
+  const namespace = parts.length ? parts.join("/") : null;
+
+  // Package names as OSV spells them
+  const fullName = type === "maven" && namespace ? `${namespace}:${name}`
+    : (type === "npm" || type === "golang" || type === "composer" || type === "github") && namespace ? `${namespace}/${name}`
+    : name;
+  return {
+    ecosystem: PURL_ECOSYSTEMS[type] || type,
+    namespace,
+    name: fullName,
+    version: m[3] ? decodeURIComponent(m[3]) : null,
+  };
+}
+
+// Build an entry from tool arguments: cpe, purl, or vendor/product/version
+export async function watchEntryFromArgs(args: Record<string, unknown>): Promise<WatchEntry | string> {
+  const str = (k: string) => (typeof args[k] === "string" && (args[k] as string).trim() ? (args[k] as string).trim() : null);
+  const label = str("label");
+  const pinned = str("version");
+  let entry: Omit<WatchEntry, "id" | "added_at">;
+
+  if (str("cpe")) {
+    const parsed = parseCpe(str("cpe")!);
+    if (!parsed) return "cpe must be a CPE 2.3 string with vendor and product (cpe:2.3:a:vendor:product:version:…)";
+    entry = { label, vendor: parsed.vendor, product: parsed.product, version: pinned ?? parsed.version, ecosystem: null, cpe: str("cpe"), purl: null };
+  } else if (str("purl")) {
+    const parsed = parsePurl(str("purl")!);
+    if (!parsed) return "purl must be a package URL (pkg:type/namespace/name@version)";
+    entry = { label, vendor: parsed.namespace, product: parsed.name, version: pinned ?? parsed.version, ecosystem: parsed.ecosystem, cpe: null, purl: str("purl") };
+  } else if (str("product")) {
+    entry = { label, vendor: str("vendor"), product: str("product")!, version: pinned, ecosystem: null, cpe: null, purl: null };
+  } else {
+    return "provide cpe, purl, or vendor/product";
+  }
+
+  const key = [entry.ecosystem, entry.vendor, entry.product, entry.version].map((v) => normName(v)).join("|");
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  const id = [...new Uint8Array(digest)].slice(0, 6).map((b) => b.toString(16).padStart(2, "0")).join("");
+  return { id, ...entry, added_at: new Date().toISOString() };
+}
+
+// ===== matching =====
+
+// Vendor/product spellings differ between CPE ("foo_server") and CNA records ("Foo Server")
+function normName(s: string | null | undefined): string {
+  return String(s ?? "").toLowerCase().replace(/[^a-z0-9@./:-]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function sameProduct(entry: WatchEntry, a: AffectedLike): boolean {
+  // package URL entries match on ecosystem + package name
+  if (entry.ecosystem) {
+    if (a.purl) {
+      const p = parsePurl(a.purl);
+      if (p && p.ecosystem.toLowerCase() === entry.ecosystem.toLowerCase() && normName(p.name) === normName(entry.product)) return true;
+    }
+    return normName(a.vendor) === normName(entry.ecosystem) && normName(a.product) === normName(entry.product);
+  }
+
+  // CPE / vendor-product entries match the affected CPE or vendor/product names
+  const cpe = a.cpe ? parseCpe(a.cpe) : null;
+  const candidates = [cpe && { vendor: cpe.vendor, product: cpe.product }, { vendor: a.vendor, product: a.product }].filter(Boolean) as Array<{ vendor: string | null; product: string | null }>;
+  return candidates.some((c) =>
+    normName(c.product) === normName(entry.product) && (!entry.vendor || normName(c.vendor) === normName(entry.vendor))
+  );
+}
+
+// Dotted/dashed version comparison: numeric parts numerically, others lexically;
+// a pre-release suffix ("1.2.0-rc1") sorts before the release
+export function compareVersions(a: string, b: string): number {
+  const split = (v: string) => v.replace(/^v/i, "").split(/[.\-+_~]/);
+  const [pa, pb] = [split(a), split(b)];
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const [x, y] = [pa[i], pb[i]];
+    if (x === undefined) return /^\d+$/.test(y!) ? -1 : 1;
+    if (y === undefined) return /^\d+$/.test(x) ? 1 : -1;
+    const [nx, ny] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+    if (nx && ny) {
+      const d = Number(x) - Number(y);
+      if (d) return d;
+    } else if (nx !== ny) {
+      return nx ? 1 : -1;
+    } else if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function describeRange(r: AffectedLike["versions"][number]): string {
+  if (!r.less_than && !r.less_than_or_equal) return r.version ?? "*";
+  const from = r.version && r.version !== "0" && r.version !== "*" ? (r.version.startsWith(">") ? r.version : `>=${r.version}`) : "";
+  const to = r.less_than && r.less_than !== "*" ? `<${r.less_than}` : r.less_than_or_equal ? `<=${r.less_than_or_equal}` : "";
+  return [from, to].filter(Boolean).join(", ") || (r.version ?? "*");
+}
+
+// Is `pinned` inside any affected range? Explicit "unaffected" entries win.
+function versionInRange(pinned: string, versions: AffectedLike["versions"]): { in_range: boolean | null; matched_range: string | null } {
+  const comparable = versions.filter((r) => r.version_type !== "git");
+  if (!comparable.length) return { in_range: null, matched_range: null };
+
+  const contains = (r: AffectedLike["versions"][number]) => {
+    const start = r.version && r.version !== "0" && r.version !== "*" ? r.version.replace(/^>/, "") : null;
+    const exclusiveStart = !!r.version?.startsWith(">");
+    const upper = r.less_than && r.less_than !== "*" ? r.less_than : null;
+    // bare version (CVE 5 "version" alone, CSAF, OSV "versions"): exact match.
+    // An open upper bound (less_than "*") makes it "from start onwards" below.
+    if (!r.less_than && !r.less_than_or_equal) return start === null || compareVersions(pinned, start) === 0;
+    if (start && (exclusiveStart ? compareVersions(pinned, start) <= 0 : compareVersions(pinned, start) < 0)) return false;
+    if (upper && compareVersions(pinned, upper) >= 0) return false;
+    if (r.less_than_or_equal && compareVersions(pinned, r.less_than_or_equal) > 0) return false;
+    return true;
+  };
+
+  const unaffected = comparable.find((r) => r.status === "unaffected" && r.version && contains(r) && !r.less_than && !r.less_than_or_equal);
+  if (unaffected) return { in_range: false, matched_range: `${describeRange(unaffected)} (unaffected)` };
+  const hit = comparable.find((r) => r.status !== "unaffected" && r.status !== "unknown" && contains(r));
+  if (hit) return { in_range: true, matched_range: describeRange(hit) };
+  return { in_range: false, matched_range: null };
+}
+
+export function matchWatchlist(entries: WatchEntry[], affected: AffectedLike[]): WatchHit[] {
+  const hits: WatchHit[] = [];
+  for (const entry of entries) {
+    const matching = affected.filter((a) => sameProduct(entry, a));
+    if (!matching.length) continue;
+    if (!entry.version) {
+      hits.push({ entry, affected: matching[0]!, in_range: null, matched_range: null });
+      continue;
+    }
+    // Prefer a definite answer from any of the matching affected blocks
+    const results = matching.map((a) => ({ a, ...versionInRange(entry.version!, a.versions) }));
+    const best = results.find((r) => r.in_range === true) || results.find((r) => r.in_range === false) || results[0]!;
+    hits.push({ entry, affected: best.a, in_range: best.in_range, matched_range: best.matched_range });
+  }
+  return hits;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, test } from "bun:test";
+import { renderVulnBrief, type BriefItem } from "../src/brief";
+
+function item(n: number, sev: string | null, over: Partial<BriefItem> = {}): BriefItem {
+  return {
+    id: `CVE-2026-${String(n).padStart(4, "0")}`,
+    title: `Issue ${n} ${"in a widely deployed component ".repeat(3)}`,
+    score: sev === "CRITICAL" ? 9.8 : sev === "HIGH" ? 7.5 : sev === "MEDIUM" ? 5.3 : 0,
+    sev,
+    vector: "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H",
+    affected: "acme gateway",
+    ref: `https://advisories.example/${n}`,
+    ...over,
+  };
+}
+
+const heading = "## Recent vulnerabilities (last 24h)";
+const mixed = [
+  ...Array.from({ length: 6 }, (_, i) => item(i + 1, "CRITICAL")),
+  ...Array.from({ length: 6 }, (_, i) => item(i + 11, "HIGH")),
+  ...Array.from({ length: 6 }, (_, i) => item(i + 21, "MEDIUM")),
+  item(31, null),
+];
+
+describe("renderVulnBrief", () => {
+  test("groups by severity, most severe first, with full bullet entries", () => {
+    const { text, shown, omitted } = renderVulnBrief(mixed, { heading, layout: "bullets", maxChars: 50000 });
+    expect(shown).toBe(19);
+    expect(omitted).toBe(0);
+    const order = ["### CRITICAL (6)", "### HIGH (6)", "### MEDIUM (6)", "### UNRATED (1)"].map((h) => text.indexOf(h));
+    expect(order.every((at, i) => at > 0 && (i === 0 || at > order[i - 1]!))).toBe(true);
+    expect(text).toContain("- **CVE-2026-0001** · 9.8 `CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H` — Issue 1");
+    expect(text).toContain("  - Affected: acme gateway\n  - Ref: https://advisories.example/1");
+    expect(text).not.toContain("not shown");
+  });
+
+  test("table layout escapes pipes and keeps one row per entry", () => {
+    const { text } = renderVulnBrief([item(1, "HIGH", { title: "a | b\nc" })], { heading, layout: "table", maxChars: 50000 });
+    expect(text).toContain("| ID | Score / vector | Title | Affected | Top reference |");
+    expect(text).toContain("| CVE-2026-0001 | 7.5 `CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H` | a \\| b c | acme gateway | https://advisories.example/1 |");
+  });
+
+  test("under a tight budget every group still shows an entry and the counts match", () => {
+    for (const layout of ["bullets", "table"] as const) {
+      const { text, shown, omitted } = renderVulnBrief(mixed, { heading, layout, maxChars: 500 });
+      for (const id of ["CVE-2026-0001", "CVE-2026-0011", "CVE-2026-0021", "CVE-2026-0031"]) expect(text).toContain(id);
+      expect(shown + omitted).toBe(mixed.length);
+      const listed = (text.match(/CVE-2026-\d{4}/g) ?? []).length;
+      expect(listed).toBe(shown);
+      expect(text).toContain(`${omitted} not shown to stay within 500 characters`);
+      expect(text).toMatch(/### CRITICAL \(\d of 6\)/);
+    }
+  });
+
+  test("a heading that fills the budget still leaves one compact entry per group", () => {
+    const long = `${heading}\n\n${"Fetched many vulnerabilities. ".repeat(20)}`;
+    const { text, shown } = renderVulnBrief(mixed, { heading: long, layout: "bullets", maxChars: 500 });
+    expect(shown).toBe(4);
+    expect(text).toContain("### CRITICAL (1 of 6)\n\n- **CVE-2026-0001** · 9.8\n");
+    expect(text).toContain("### UNRATED (1)\n\n- **CVE-2026-0031** · n/a");
+  });
+
+  test("entries are dropped from the least severe groups first", () => {
+    const { text } = renderVulnBrief(mixed, { heading, layout: "bullets", maxChars: 2500 });
+    const shownIn = (sev: string) => Number(text.match(new RegExp(`### ${sev} \\((\\d+)`))?.[1]);
+    expect(shownIn("CRITICAL")).toBeGreaterThan(1);
+    expect(shownIn("MEDIUM")).toBe(1);
+    expect(text.length).toBeLessThanOrEqual(2500);
+  });
+
+  test("stays within max_chars whenever the groups fit", () => {
+    for (const maxChars of [800, 1200, 3000, 6000]) {
+      expect(renderVulnBrief(mixed, { heading, layout: "bullets", maxChars }).text.length).toBeLessThanOrEqual(maxChars);
+      expect(renderVulnBrief(mixed, { heading, layout: "table", maxChars }).text.length).toBeLessThanOrEqual(maxChars);
+    }
+  });
+
+  test("notes entries the caller dropped and an empty list", () => {
+    expect(renderVulnBrief([item(1, "LOW")], { heading, layout: "bullets", maxChars: 8000, notReturned: 3 }).text)
+      .toContain("3 more matched beyond the result limit");
+    expect(renderVulnBrief([], { heading, layout: "bullets", maxChars: 8000 }).text).toBe(`${heading}\n\nNo vulnerabilities matched.`);
+  });
+});
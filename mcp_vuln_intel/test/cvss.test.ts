@@ -0,0 +1,98 @@
+import { describe, expect, test } from "bun:test";
+import { cvssBaseScore, cvssSeverity, parseCvssVector } from "../src/cvss";
+
+// Reference scores from the FIRST / NVD calculators
+const score = (vector: string) => {
+  const parsed = parseCvssVector(vector);
+  if (!parsed) throw new Error(`unparsed: ${vector}`);
+  return cvssBaseScore(parsed);
+};
+
+describe("CVSS base scores", () => {
+  test.each([
+    ["AV:N/AC:L/Au:N/C:C/I:C/A:C", 10],
+    ["AV:N/AC:L/Au:N/C:P/I:P/A:P", 7.5],
+    ["AV:L/AC:L/Au:N/C:C/I:C/A:C", 7.2],
+    ["(AV:N/AC:M/Au:S/C:P/I:P/A:P)", 6],
+    ["AV:N/AC:L/Au:N/C:N/I:N/A:P", 5],
+    ["AV:N/AC:M/Au:N/C:N/I:P/A:N", 4.3],
+    ["CVSS:2.0/AV:N/AC:L/Au:N/C:N/I:N/A:N", 0],
+  ])("v2.0 %s = %d", (vector, expected) => {
+    expect(score(vector)).toBe(expected);
+  });
+
+  test.each([
+    ["CVSS:3.0/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H", 9.8],
+    ["CVSS:3.0/AV:N/AC:L/PR:L/UI:N/S:C/C:H/I:H/A:H", 9.9],
+    ["CVSS:3.0/AV:N/AC:L/PR:L/UI:N/S:C/C:L/I:L/A:N", 6.4],
+  ])("v3.0 %s = %d", (vector, expected) => {
+    expect(score(vector)).toBe(expected);
+  });
+
+  test.each([
+    ["CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H", 10],
+    ["CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H", 9.8],
+    ["CVSS:3.1/AV:N/AC:L/PR:H/UI:N/S:C/C:H/I:H/A:H", 9.1],
+    ["CVSS:3.1/AV:L/AC:L/PR:L/UI:N/S:U/C:H/I:H/A:H", 7.8],
+    ["CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N", 6.1],
+    ["CVSS:3.1/AV:N/AC:H/PR:N/UI:N/S:U/C:H/I:N/A:N", 5.9],
+    ["CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N", 0],
+  ])("v3.1 %s = %d", (vector, expected) => {
+    expect(score(vector)).toBe(expected);
+  });
+
+  test.each([
+    ["CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:H/SI:H/SA:H", 10],
+    ["CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N", 9.3],
+    ["CVSS:4.0/AV:N/AC:L/AT:N/PR:L/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N", 8.7],
+    ["CVSS:4.0/AV:L/AC:L/AT:N/PR:L/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N", 8.5],
+    ["CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:N/VI:N/VA:N/SC:N/SI:N/SA:N", 0],
+  ])("v4.0 %s = %d", (vector, expected) => {
+    expect(score(vector)).toBe(expected);
+  });
+
+  test("temporal and environmental metrics do not change the base score", () => {
+    expect(score("CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H/E:P/RL:O/RC:C")).toBe(9.8);
+  });
+});
+
+describe("parseCvssVector", () => {
+  test("labels each metric and keeps the canonical vector", () => {
+    const parsed = parseCvssVector(" CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H ")!;
+    expect(parsed.version).toBe("3.1");
+    expect(parsed.vector).toBe("CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H");
+    expect(parsed.metrics[0]).toEqual({ key: "AV", name: "Attack Vector", value: "N", label: "Network" });
+  });
+
+  test("a bare or bracketed v2 vector stays unprefixed", () => {
+    expect(parseCvssVector("(AV:N/AC:L/Au:N/C:P/I:P/A:P)")).toMatchObject({ version: "2.0", vector: "AV:N/AC:L/Au:N/C:P/I:P/A:P" });
+  });
+
+  test.each([
+    ["a missing base metric", "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H"],
+    ["an unknown value", "CVSS:3.1/AV:X/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"],
+    ["a repeated metric", "CVSS:3.1/AV:N/AV:L/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"],
+    ["an unknown version", "CVSS:5.0/AV:N/AC:L"],
+    ["a v4.0 vector without its subsequent-system metrics", "CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H"],
+    ["garbage", "not a vector"],
+  ])("rejects %s", (_, vector) => {
+    expect(parseCvssVector(vector)).toBeNull();
+  });
+});
+
+describe("cvssSeverity", () => {
+  test("v3.x and v4.0 bands", () => {
+    expect([0, 0.1, 3.9, 4, 6.9, 7, 8.9, 9, 10].map((s) => cvssSeverity(s, "3.1")))
+      .toEqual(["NONE", "LOW", "LOW", "MEDIUM", "MEDIUM", "HIGH", "HIGH", "CRITICAL", "CRITICAL"]);
+    expect(cvssSeverity(9.3, "4.0")).toBe("CRITICAL");
+  });
+
+  test("v2 bands have no NONE or CRITICAL", () => {
+    expect([0, 3.9, 4, 6.9, 7, 10].map((s) => cvssSeverity(s, "2.0"))).toEqual(["LOW", "LOW", "MEDIUM", "MEDIUM", "HIGH", "HIGH"]);
+  });
+
+  test("no score, no severity", () => {
+    expect(cvssSeverity(null)).toBeNull();
+    expect(cvssSeverity(Number.NaN)).toBeNull();
+  });
+});
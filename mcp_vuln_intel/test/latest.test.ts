@@ -0,0 +1,139 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import worker from "../src/index";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+const hoursAgo = (h: number) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+
+// Minimal CVE 5 record from CIRCL's recent feed
+function cve(id: string, score: number, severity: string, vendor: string, product: string, over: { title?: string; published?: string } = {}) {
+  return {
+    cveMetadata: { cveId: id, datePublished: over.published ?? hoursAgo(2), state: "PUBLISHED" },
+    containers: {
+      cna: {
+        title: over.title ?? `${product} issue`,
+        descriptions: [{ lang: "en", value: `A flaw in ${vendor} ${product}.` }],
+        metrics: [{ cvssV3_1: { version: "3.1", baseScore: score, baseSeverity: severity, vectorString: "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H" } }],
+        affected: [{ vendor, product, versions: [{ version: "1.0", status: "affected" }] }],
+      },
+    },
+  };
+}
+
+// GitHub advisory in OSV form, rated by label only
+const ghsa = {
+  id: "GHSA-aaaa-bbbb-cccc",
+  summary: "left-pad prototype pollution",
+  details: "Prototype pollution in left-pad.",
+  published: hoursAgo(1),
+  modified: hoursAgo(1),
+  aliases: [],
+  database_specific: { severity: "MODERATE" },
+  affected: [{ package: { ecosystem: "npm", name: "left-pad" } }],
+};
+
+const feed = [
+  cve("CVE-2026-1001", 9.8, "CRITICAL", "acme", "gateway", { title: "gateway RCE" }),
+  cve("CVE-2026-1002", 7.5, "HIGH", "acme", "portal"),
+  cve("CVE-2026-1003", 5.3, "MEDIUM", "globex", "router"),
+  cve("CVE-2026-1004", 3.1, "LOW", "initech", "tps-reports"),
+  cve("CVE-2026-1005", 8.8, "HIGH", "globex", "vpn", { published: hoursAgo(60) }),
+  ghsa,
+];
+
+function mockCircl(respond: (url: URL) => Response | Promise<Response>) {
+  const seen: URL[] = [];
+  globalThis.fetch = (async (input: RequestInfo | URL) => {
+    const url = new URL(String(input));
+    seen.push(url);
+    return respond(url);
+  }) as typeof fetch;
+  return seen;
+}
+
+async function call(name: string, args: Record<string, unknown>) {
+  const req = new Request("https://worker.test/", {
+    method: "POST",
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name, arguments: args } }),
+  });
+  return (await worker.fetch(req, {})).json() as Promise<any>;
+}
+
+const ids = (out: any) => [...out.high_critical, ...out.others].map((v: any) => v.id).sort();
+
+describe("get_latest_vuln_intel filters", () => {
+  test("keeps only records inside the window", async () => {
+    mockCircl(() => Response.json(feed));
+    const out = (await call("get_latest_vuln_intel", { hours: 24 })).result.structuredContent;
+    expect(ids(out)).toEqual(["CVE-2026-1001", "CVE-2026-1002", "CVE-2026-1003", "CVE-2026-1004", "GHSA-aaaa-bbbb-cccc"]);
+    expect(out.high_critical.map((v: any) => v.id)).toEqual(["CVE-2026-1001", "CVE-2026-1002"]);
+  });
+
+  test("min_score drops lower and unscored records", async () => {
+    mockCircl(() => Response.json(feed));
+    const out = (await call("get_latest_vuln_intel", { min_score: 7 })).result.structuredContent;
+    expect(ids(out)).toEqual(["CVE-2026-1001", "CVE-2026-1002"]);
+    expect(out.filters.min_score).toBe(7);
+  });
+
+  test("severities match the normalized label, GitHub's MODERATE included", async () => {
+    mockCircl(() => Response.json(feed));
+    const out = (await call("get_latest_vuln_intel", { severities: ["medium", "low"] })).result.structuredContent;
+    expect(ids(out)).toEqual(["CVE-2026-1003", "CVE-2026-1004", "GHSA-aaaa-bbbb-cccc"]);
+  });
+
+  test("vendor, product and keyword are case-insensitive substrings", async () => {
+    mockCircl(() => Response.json(feed));
+    expect(ids((await call("get_latest_vuln_intel", { vendor: "ACME" })).result.structuredContent)).toEqual(["CVE-2026-1001", "CVE-2026-1002"]);
+    expect(ids((await call("get_latest_vuln_intel", { vendor: "acme", product: "port" })).result.structuredContent)).toEqual(["CVE-2026-1002"]);
+    expect(ids((await call("get_latest_vuln_intel", { keyword: "RCE" })).result.structuredContent)).toEqual(["CVE-2026-1001"]);
+  });
+
+  test("source narrows the CIRCL feed and the records kept", async () => {
+    const seen = mockCircl(() => Response.json(feed));
+    const out = (await call("get_latest_vuln_intel", { source: "ghsa" })).result.structuredContent;
+    expect(seen[0]!.searchParams.get("source")).toBe("github");
+    expect(ids(out)).toEqual(["GHSA-aaaa-bbbb-cccc"]);
+  });
+
+  test("invalid filters are rejected before any fetch", async () => {
+    const seen = mockCircl(() => Response.json(feed));
+    expect((await call("get_latest_vuln_intel", { min_score: 11 })).error.code).toBe(-32602);
+    expect((await call("get_latest_vuln_intel", { source: "nvd" })).error.code).toBe(-32602);
+    expect(seen).toHaveLength(0);
+  });
+});
+
+describe("CIRCL failures", () => {
+  const failures: Array<[string, () => Response | Promise<Response>, string]> = [
+    ["a network error", () => Promise.reject(new TypeError("connection reset")), "unreachable"],
+    ["an HTTP error", () => new Response("busy", { status: 503 }), "HTTP 503"],
+    ["a non-JSON body", () => new Response("<html>maintenance</html>", { status: 200 }), "not JSON"],
+  ];
+
+  test.each(failures)("get_latest_vuln_intel maps %s to -32002", async (_, respond, message) => {
+    mockCircl(respond);
+    const res = await call("get_latest_vuln_intel", {});
+    expect(res.error.code).toBe(-32002);
+    expect(res.error.message).toContain(message);
+  });
+
+  test("get_latest_vuln_intel maps a non-list feed to -32002", async () => {
+    mockCircl(() => Response.json({ error: "rate limited" }));
+    expect((await call("get_latest_vuln_intel", {})).error.code).toBe(-32002);
+  });
+
+  test.each(failures)("get_vuln_by_id maps %s to -32002", async (_, respond, message) => {
+    mockCircl(respond);
+    const res = await call("get_vuln_by_id", { id: "CVE-2026-1001" });
+    expect(res.error.code).toBe(-32002);
+    expect(res.error.message).toContain(message);
+  });
+
+  test("get_vuln_by_id still reports a 404 as no record", async () => {
+    mockCircl(() => new Response("not found", { status: 404 }));
+    const res = await call("get_vuln_by_id", { id: "CVE-2026-9999" });
+    expect(res.result.structuredContent).toEqual({ data: null });
+  });
+});
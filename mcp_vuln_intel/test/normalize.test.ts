@@ -0,0 +1,327 @@
+import { describe, expect, test } from "bun:test";
+import { mergeVulns, normalizeVuln } from "../src/normalize";
+import { matchWatchlist, watchEntryFromArgs, type WatchEntry } from "../src/watchlist";
+import csaf from "./fixtures/csaf-example-2021-0001.json";
+import nvd from "./fixtures/nvd-cve-2021-44228.json";
+import osv from "./fixtures/osv-ghsa-jfh8-c2jp-5v3q.json";
+
+// Fixtures follow the upstream formats (NVD API 2.0 page, GitHub advisory in OSV
+// format, CSAF 2.0 vendor advisory), cut down to the fields the normalizers read.
+
+const LOG4SHELL_VECTOR = "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H";
+
+async function entry(args: Record<string, unknown>): Promise<WatchEntry> {
+  const e = await watchEntryFromArgs(args);
+  if (typeof e === "string") throw new Error(e);
+  return e;
+}
+
+describe("NVD 2.0", () => {
+  const [v, ...rest] = normalizeVuln(nvd);
+
+  test("one record per item of an API page", () => {
+    expect(rest).toHaveLength(0);
+    expect(normalizeVuln(nvd.vulnerabilities[0])).toEqual([v]);
+  });
+
+  test("identity, dates and English description", () => {
+    expect(v).toMatchObject({
+      vuln_id: "CVE-2021-44228",
+      cve_id: "CVE-2021-44228",
+      kind: "cve",
+      source: "NVD",
+      published: "2021-12-10T10:15:09.143",
+      updated: "2024-04-03T01:00:01.153",
+      withdrawn: false,
+    });
+    expect(v.description).toStartWith("Apache Log4j2 2.0-beta9 through 2.15.0");
+  });
+
+  test("scores: v3.1 chosen over v2, v2 severity from the official bands", () => {
+    expect(v.cvss).toEqual({ baseScore: 10, baseSeverity: "CRITICAL", vectorString: LOG4SHELL_VECTOR, version: "3.1" });
+    expect(v.cvss_all.map((m: any) => [m.version, m.baseScore, m.baseSeverity, m.source])).toEqual([
+      ["3.1", 10, "CRITICAL", "nvd:nvd@nist.gov"],
+      ["2.0", 9.3, "HIGH", "nvd:nvd@nist.gov"],
+    ]);
+    expect(v.score).toBe(10);
+    expect(v.sev_norm).toBe("CRITICAL");
+  });
+
+  test("CWEs from every weakness source", () => {
+    expect(v.cwes).toEqual(["CWE-20", "CWE-400", "CWE-502", "CWE-917"]);
+  });
+
+  test("references deduplicated and grouped by tag", () => {
+    expect(v.references).toHaveLength(4);
+    expect(v.reference_groups).toEqual({
+      patch: ["https://github.com/apache/logging-log4j2/pull/608"],
+      exploit: ["http://packetstormsecurity.com/files/165225/Apache-Log4j2-2.14.1-Remote-Code-Execution.html"],
+      advisory: ["https://logging.apache.org/log4j/2.x/security.html"],
+      other: ["https://www.oracle.com/security-alerts/cpujan2022.html"],
+    });
+  });
+
+  test("vulnerable CPE matches become version ranges; non-vulnerable ones are skipped", () => {
+    expect(v.affected.map((a: any) => `${a.vendor}:${a.product}`)).toEqual(["apache:log4j", "cisco:cloudcenter"]);
+    expect(v.affected[0].versions.map((r: any) => [r.version, r.less_than])).toEqual([
+      ["2.0.1", "2.3.1"],
+      ["2.4.0", "2.12.2"],
+      ["2.13.0", "2.15.0"],
+      ["2.0", null],
+    ]);
+  });
+
+  test("a start-only match is open-ended", async () => {
+    const [r] = normalizeVuln({
+      cve: {
+        id: "CVE-2024-0001",
+        configurations: [{ nodes: [{ cpeMatch: [
+          { vulnerable: true, criteria: "cpe:2.3:a:acme:widget:*:*:*:*:*:*:*:*", versionStartIncluding: "2.0.0" },
+          { vulnerable: true, criteria: "cpe:2.3:a:acme:gadget:*:*:*:*:*:*:*:*", versionStartExcluding: "1.0" },
+        ] }] }],
+      },
+    });
+    expect(r.affected[0].versions[0]).toMatchObject({ version: "2.0.0", less_than: "*" });
+    expect(r.affected[1].versions[0]).toMatchObject({ version: ">1.0", less_than: "*" });
+
+    const hits = matchWatchlist(
+      [await entry({ cpe: "cpe:2.3:a:acme:widget:2.5.0" }), await entry({ cpe: "cpe:2.3:a:acme:gadget:1.0" })],
+      r.affected
+    );
+    expect(hits.map((h) => h.in_range)).toEqual([true, false]);
+  });
+});
+
+describe("OSV (GitHub advisory)", () => {
+  const [v] = normalizeVuln(osv);
+
+  test("identity and aliases", () => {
+    expect(v).toMatchObject({
+      vuln_id: "GHSA-jfh8-c2jp-5v3q",
+      cve_id: "CVE-2021-44228",
+      kind: "ghsa",
+      source: "GHSA",
+      title: "Remote code injection in Log4j",
+      published: "2021-12-10T00:40:56Z",
+      updated: "2024-04-22T19:40:33Z",
+    });
+    expect(v.aliases).toEqual(["GHSA-jfh8-c2jp-5v3q", "CVE-2021-44228"]);
+  });
+
+  test("score computed from the severity vector", () => {
+    expect(v.cvss_all).toHaveLength(1);
+    expect(v.cvss_all[0]).toMatchObject({ version: "3.1", vector: LOG4SHELL_VECTOR, baseScore: 10, baseSeverity: "CRITICAL", source: "ghsa", computed: true });
+    expect(v.cwes).toEqual(["CWE-117", "CWE-20", "CWE-400", "CWE-502", "CWE-917"]);
+  });
+
+  test("ranges, explicit versions and package URLs", () => {
+    expect(v.affected).toHaveLength(4);
+    expect(v.affected[0]).toMatchObject({ vendor: "Maven", product: "org.apache.logging.log4j:log4j-core", purl: "pkg:maven/org.apache.logging.log4j/log4j-core" });
+    expect(v.affected[2].versions).toEqual([
+      { version: "2.0-beta9", less_than: "2.3.1", less_than_or_equal: null, status: "affected", version_type: "ecosystem" },
+    ]);
+    expect(v.affected[3].versions.map((r: any) => [r.version, r.less_than])).toEqual([
+      ["1.11.0", "1.11.10"],
+      ["1.11.0", null],
+      ["1.11.1", null],
+      ["1.11.2", null],
+    ]);
+  });
+
+  test("matches a pinned package URL", async () => {
+    const hits = matchWatchlist([await entry({ purl: "pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1" })], v.affected);
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ in_range: true, matched_range: ">=2.13.0, <2.15.0" });
+  });
+
+  test("introduced without a fix is open-ended", async () => {
+    const [r] = normalizeVuln({
+      schema_version: "1.6.0",
+      id: "PYSEC-2024-1",
+      modified: "2024-01-01T00:00:00Z",
+      affected: [{ package: { ecosystem: "PyPI", name: "widget" }, ranges: [{ type: "ECOSYSTEM", events: [{ introduced: "2.0.0" }] }] }],
+    });
+    expect(r.affected[0].versions).toEqual([
+      { version: "2.0.0", less_than: "*", less_than_or_equal: null, status: "affected", version_type: "ecosystem" },
+    ]);
+    const [hit] = matchWatchlist([await entry({ purl: "pkg:pypi/widget@2.5.0" })], r.affected);
+    expect(hit!.in_range).toBe(true);
+  });
+});
+
+describe("CSAF 2.0", () => {
+  const [log4shell, other, ...rest] = normalizeVuln(csaf);
+
+  test("one record per vulnerability", () => {
+    expect(rest).toHaveLength(0);
+    expect(log4shell.vuln_id).toBe("CVE-2021-44228");
+    expect(other.vuln_id).toBe("EXAMPLE-2021-0001:EX-1300");
+    expect(other.cve_id).toBeNull();
+  });
+
+  test("document fields fill in what the vulnerability leaves out", () => {
+    expect(log4shell).toMatchObject({
+      kind: "csaf",
+      source: "Example Company ProductCERT",
+      title: "Log4Shell in Example Gateway",
+      published: "2021-12-10T00:00:00.000Z",
+      updated: "2022-01-11T08:00:00.000Z",
+      cwes: ["CWE-502"],
+    });
+    expect(log4shell.aliases).toEqual(["CVE-2021-44228", "EX-1234"]);
+    expect(log4shell.description).toStartWith("JNDI lookups");
+    expect(other.title).toBe("Verbose error pages");
+    expect(other.description).toBe("Example Gateway bundles a vulnerable Apache Log4j Core.");
+    expect(other.published).toBe("2021-12-13T08:00:00.000Z");
+  });
+
+  test("scores given or computed from the vector", () => {
+    expect(log4shell.cvss).toEqual({ baseScore: 10, baseSeverity: "CRITICAL", vectorString: LOG4SHELL_VECTOR, version: "3.1" });
+    expect(other.cvss_all[0]).toMatchObject({ baseScore: 5.3, baseSeverity: "MEDIUM", computed: true });
+  });
+
+  test("product status mapped onto the product tree, components included", () => {
+    expect(log4shell.affected).toEqual([
+      {
+        vendor: "Example Company",
+        product: "Example Gateway",
+        cpe: "cpe:2.3:a:example:gateway:4.2.0:*:*:*:*:*:*:*",
+        purl: null,
+        versions: [
+          { version: "4.2.0", less_than: null, less_than_or_equal: null, status: "affected", version_type: null },
+          { version: "4.2.1", less_than: null, less_than_or_equal: null, status: "unaffected", version_type: null },
+        ],
+      },
+      {
+        vendor: null,
+        product: "Apache Log4j Core 2.14.1",
+        cpe: null,
+        purl: "pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1",
+        versions: [{ version: null, less_than: null, less_than_or_equal: null, status: "affected", version_type: null }],
+      },
+    ]);
+    expect(other.affected[0].versions[0]).toMatchObject({ version: "4.2.1", status: "unknown" });
+  });
+
+  test("references: self link is the advisory, vendor fixes are patches", () => {
+    expect(log4shell.reference_groups).toEqual({
+      patch: ["https://psirt.example.com/downloads/gateway-4.2.1"],
+      exploit: [],
+      advisory: ["https://psirt.example.com/advisories/example-2021-0001.json"],
+      other: ["https://nvd.nist.gov/vuln/detail/CVE-2021-44228"],
+    });
+  });
+
+  test("fixed and affected versions match a pinned product", async () => {
+    const hits = matchWatchlist(
+      [await entry({ vendor: "Example Company", product: "Example Gateway", version: "4.2.0" }),
+        await entry({ vendor: "Example Company", product: "Example Gateway", version: "4.2.1" })],
+      log4shell.affected
+    );
+    expect(hits.map((h) => h.in_range)).toEqual([true, false]);
+  });
+});
+
+describe("mergeVulns", () => {
+  const merged = mergeVulns([nvd, osv, csaf].flatMap(normalizeVuln));
+
+  test("joins the three sources of one CVE", () => {
+    expect(merged).toHaveLength(2);
+    const [m] = merged;
+    expect(m.vuln_id).toBe("CVE-2021-44228");
+    expect(m.sources.map((s: any) => s.kind)).toEqual(["cve", "ghsa", "csaf"]);
+    expect(m.aliases).toEqual(["CVE-2021-44228", "GHSA-jfh8-c2jp-5v3q", "EX-1234"]);
+    expect(m.title).toBe("Remote code injection in Log4j");
+    expect(m.cwes).toEqual(["CWE-20", "CWE-400", "CWE-502", "CWE-917", "CWE-117"]);
+    expect(m.affected).toHaveLength(2 + 4 + 2);
+    expect(m.published).toBe("2021-12-10T00:00:00.000Z");
+    expect(m.updated).toBe("2024-04-22T19:40:33Z");
+  });
+
+  test("keeps the NVD score among equal CVSS versions", () => {
+    expect(merged[0].score_origin).toEqual({ id: "CVE-2021-44228", source: "nvd:nvd@nist.gov", version: "3.1", vector: LOG4SHELL_VECTOR, computed: false });
+    expect(merged[0].score).toBe(10);
+  });
+});
+
+describe("mergeVulns alias chains", () => {
+  const V31 = "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"; // 9.8
+
+  // Minimal CVE 5 record
+  const cve5 = (id: string, over: Record<string, unknown> = {}, metrics: any[] = []) => ({
+    cveMetadata: { cveId: id, datePublished: "2026-03-01T00:00:00Z", state: "PUBLISHED" },
+    containers: { cna: { title: `${id} title`, descriptions: [{ lang: "en", value: "cve text" }], metrics } },
+    ...over,
+  });
+  // Minimal OSV record
+  const osvRecord = (id: string, aliases: string[], over: Record<string, unknown> = {}) => ({
+    id, aliases, summary: `${id} summary`, published: "2026-03-02T00:00:00Z", modified: "2026-03-03T00:00:00Z", ...over,
+  });
+  const merge = (...raw: any[]) => mergeVulns(raw.flatMap(normalizeVuln));
+
+  test("two records that share no alias merge through a third", () => {
+    const ghsa = osvRecord("GHSA-aaaa-bbbb-cccc", []);
+    const cve = cve5("CVE-2026-5000");
+    const pysec = osvRecord("PYSEC-2026-7", ["GHSA-aaaa-bbbb-cccc", "CVE-2026-5000"]);
+
+    for (const order of [[ghsa, cve, pysec], [pysec, ghsa, cve], [ghsa, pysec, cve]]) {
+      const merged = merge(...order);
+      expect(merged).toHaveLength(1);
+      expect(merged[0].vuln_id).toBe("CVE-2026-5000");
+      expect(merged[0].sources.map((s: any) => s.id)).toEqual(["CVE-2026-5000", "GHSA-aaaa-bbbb-cccc", "PYSEC-2026-7"]);
+      expect([...merged[0].aliases].sort()).toEqual(["CVE-2026-5000", "GHSA-aaaa-bbbb-cccc", "PYSEC-2026-7"]);
+    }
+  });
+
+  test("a chain of two links joins four records", () => {
+    const merged = merge(
+      cve5("CVE-2026-5001"),
+      osvRecord("GHSA-dddd-eeee-ffff", ["CVE-2026-5001"]),
+      osvRecord("PYSEC-2026-8", ["GHSA-dddd-eeee-ffff"]),
+      osvRecord("GHSA-gggg-hhhh-jjjj", ["PYSEC-2026-8", "GHSA-dddd-eeee-ffff"]),
+      cve5("CVE-2026-5002")
+    );
+    expect(merged.map((m) => m.sources.length).sort()).toEqual([1, 4]);
+  });
+
+  test("non-CVE/GHSA aliases do not link records", () => {
+    const merged = merge(osvRecord("PYSEC-2026-9", ["OSV-2026-1"]), osvRecord("OSV-2026-1", []));
+    expect(merged).toHaveLength(2);
+  });
+
+  test("withdrawn only when every merged record is", () => {
+    const rejected = cve5("CVE-2026-5003", { cveMetadata: { cveId: "CVE-2026-5003", state: "REJECTED" } });
+    const withdrawnGhsa = osvRecord("GHSA-kkkk-mmmm-nnnn", ["CVE-2026-5003"], { withdrawn: "2026-03-04T00:00:00Z" });
+    const liveGhsa = osvRecord("GHSA-kkkk-mmmm-nnnn", ["CVE-2026-5003"]);
+
+    expect(merge(rejected, withdrawnGhsa)[0].withdrawn).toBe(true);
+    expect(merge(rejected, liveGhsa)[0].withdrawn).toBe(false);
+  });
+
+  test("the newest CVSS version wins over who scored it", () => {
+    const [m] = merge(
+      cve5("CVE-2026-5004", {}, [{ cvssV3_1: { version: "3.1", baseScore: 9.8, baseSeverity: "CRITICAL", vectorString: V31 } }]),
+      osvRecord("GHSA-pppp-qqqq-rrrr", ["CVE-2026-5004"], { severity: [{ type: "CVSS_V4", score: "8.7" }] })
+    );
+    expect(m.score_origin).toMatchObject({ id: "GHSA-pppp-qqqq-rrrr", source: "ghsa", version: "4.0" });
+    expect(m.score).toBe(8.7);
+  });
+
+  test("within one version the CNA beats GitHub, even when only its vector is given", () => {
+    const [m] = merge(
+      osvRecord("GHSA-ssss-tttt-vvvv", ["CVE-2026-5005"], { severity: [{ type: "CVSS_V3", score: "7.5" }] }),
+      cve5("CVE-2026-5005", {}, [{ cvssV3_1: { version: "3.1", vectorString: V31 } }])
+    );
+    expect(m.score_origin).toEqual({ id: "CVE-2026-5005", source: "cna", version: "3.1", vector: V31, computed: true });
+    expect(m.score).toBe(9.8);
+  });
+
+  test("from the same kind of scorer a stated score beats a recomputed one", () => {
+    const [m] = merge(
+      osvRecord("PYSEC-2026-10", ["GHSA-wwww-xxxx-yyyy"], { severity: [{ type: "CVSS_V3", score: V31 }] }),
+      osvRecord("OSV-2026-2", ["GHSA-wwww-xxxx-yyyy"], { severity: [{ type: "CVSS_V3", score: "7.5" }] })
+    );
+    expect(m.score_origin).toMatchObject({ id: "OSV-2026-2", computed: false });
+    expect(m.score).toBe(7.5);
+  });
+});
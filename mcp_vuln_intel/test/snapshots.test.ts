@@ -0,0 +1,99 @@
+import { describe, expect, test } from "bun:test";
+import { applySnapshot, changesSince, decodeSnapshotCursor, encodeSnapshotCursor, RETENTION_DAYS } from "../src/snapshots";
+
+const T0 = "2026-03-01T00:00:00.000Z";
+const T1 = "2026-03-01T00:30:00.000Z";
+const T2 = "2026-03-01T01:00:00.000Z";
+
+function vuln(id: string, over: Record<string, unknown> = {}) {
+  return { cve_id: id, title: `${id} title`, score: 5, sev_norm: "MEDIUM", published: "2026-02-28T12:00:00.000Z", references: ["https://a.example/1"], ...over };
+}
+
+describe("applySnapshot", () => {
+  test("classifies new, updated and withdrawn records", () => {
+    const first = applySnapshot(null, [vuln("CVE-2026-0001"), vuln("CVE-2026-0002")], T0);
+    expect(first.run).toMatchObject({ records: 2, new: 2, updated: 0, withdrawn: 0 });
+
+    const second = applySnapshot(first.state, [
+      vuln("CVE-2026-0001", { score: 9.8, sev_norm: "CRITICAL", references: ["https://a.example/1", "https://a.example/2"] }),
+      vuln("CVE-2026-0002", { withdrawn: true }),
+      vuln("CVE-2026-0003"),
+    ], T1);
+    expect(second.run).toMatchObject({ records: 3, new: 1, updated: 1, withdrawn: 1 });
+
+    const updated = second.state.records["CVE-2026-0001"]!;
+    expect(updated.changes).toEqual([{
+      at: T1,
+      score: { from: 5, to: 9.8 },
+      severity: { from: "MEDIUM", to: "CRITICAL" },
+      new_references: ["https://a.example/2"],
+    }]);
+    expect(updated.first_seen).toBe(T0);
+    expect(second.state.records["CVE-2026-0002"]!.withdrawn_at).toBe(T1);
+  });
+
+  test("an unchanged record records no change; one leaving the feed is not withdrawn", () => {
+    const first = applySnapshot(null, [vuln("CVE-2026-0001"), vuln("CVE-2026-0002")], T0);
+    const second = applySnapshot(first.state, [vuln("CVE-2026-0001")], T1);
+    expect(second.run).toMatchObject({ new: 0, updated: 0, withdrawn: 0 });
+    expect(second.state.records["CVE-2026-0001"]!.changes).toEqual([]);
+    expect(second.state.records["CVE-2026-0002"]).toMatchObject({ withdrawn: false, last_seen: T0 });
+  });
+
+  test("forgets records not seen for the retention period", () => {
+    const first = applySnapshot(null, [vuln("CVE-2026-0001"), vuln("CVE-2026-0002")], T0);
+    const later = new Date(Date.parse(T0) + (RETENTION_DAYS * 24 + 1) * 60 * 60 * 1000).toISOString();
+    const second = applySnapshot(first.state, [vuln("CVE-2026-0001")], later);
+    expect(Object.keys(second.state.records)).toEqual(["CVE-2026-0001"]);
+    expect(second.state.started_at).toBe(T0);
+    expect(second.state.runs).toHaveLength(2);
+  });
+
+  test("flags a run whose feed slice does not reach back to the previous run", () => {
+    const first = applySnapshot(null, [vuln("CVE-2026-0001")], T0);
+    const covered = applySnapshot(first.state, [vuln("CVE-2026-0002", { published: "2026-02-28T23:59:00.000Z" })], T1);
+    expect(covered.run).toMatchObject({ covered_from: "2026-02-28T23:59:00.000Z", gap: false });
+    const short = applySnapshot(covered.state, [vuln("CVE-2026-0003", { published: "2026-03-01T00:45:00.000Z" })], T2);
+    expect(short.run).toMatchObject({ covered_from: "2026-03-01T00:45:00.000Z", gap: true });
+  });
+});
+
+describe("changesSince", () => {
+  test("returns only changes after the point asked for", () => {
+    const first = applySnapshot(null, [vuln("CVE-2026-0001"), vuln("CVE-2026-0002")], T0);
+    const second = applySnapshot(first.state, [
+      vuln("CVE-2026-0001", { score: 7.5, sev_norm: "HIGH" }),
+      vuln("CVE-2026-0002", { withdrawn: true }),
+      vuln("CVE-2026-0003"),
+    ], T1);
+
+    const diff = changesSince(second.state, T0);
+    expect(diff.new.map((r) => r.id)).toEqual(["CVE-2026-0003"]);
+    expect(diff.updated.map((r) => r.id)).toEqual(["CVE-2026-0001"]);
+    expect(diff.withdrawn.map((r) => r.id)).toEqual(["CVE-2026-0002"]);
+
+    const none = changesSince(second.state, T1);
+    expect([none.new, none.updated, none.withdrawn]).toEqual([[], [], []]);
+  });
+
+  test("the first run counts as new only what was published after the point", () => {
+    const { state } = applySnapshot(null, [
+      vuln("CVE-2026-0001", { published: "2026-02-27T00:00:00.000Z" }),
+      vuln("CVE-2026-0002", { published: "2026-02-28T18:00:00.000Z" }),
+    ], T0);
+    expect(changesSince(state, "2026-02-28T00:00:00.000Z").new.map((r) => r.id)).toEqual(["CVE-2026-0002"]);
+  });
+});
+
+describe("snapshot cursor", () => {
+  test("round-trips the snapshot time", () => {
+    expect(decodeSnapshotCursor(encodeSnapshotCursor(T1))).toBe(T1);
+  });
+
+  test("rejects anything else", () => {
+    expect(decodeSnapshotCursor("not base64!")).toBeNull();
+    expect(decodeSnapshotCursor(btoa("[]"))).toBeNull();
+    expect(decodeSnapshotCursor(btoa(JSON.stringify({ t: "yesterday" })))).toBeNull();
+    expect(decodeSnapshotCursor(btoa(JSON.stringify({ t: 5 })))).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, expect, test } from "bun:test";
+import { compareVersions, matchWatchlist, watchEntryFromArgs, type WatchEntry } from "../src/watchlist";
+
+async function entry(args: Record<string, unknown>): Promise<WatchEntry> {
+  const e = await watchEntryFromArgs(args);
+  if (typeof e === "string") throw new Error(e);
+  return e;
+}
+
+type Range = { version: string | null; less_than?: string | null; less_than_or_equal?: string | null; status?: string };
+
+function affected(vendor: string, product: string, ranges: Range[]) {
+  return [{
+    vendor,
+    product,
+    cpe: null,
+    purl: null,
+    versions: ranges.map((r) => ({
+      version: r.version,
+      less_than: r.less_than ?? null,
+      less_than_or_equal: r.less_than_or_equal ?? null,
+      status: r.status ?? "affected",
+      version_type: "semver",
+    })),
+  }];
+}
+
+async function inRange(pinned: string, ranges: Range[]) {
+  const [hit] = matchWatchlist([await entry({ vendor: "acme", product: "widget", version: pinned })], affected("acme", "widget", ranges));
+  return hit!;
+}
+
+describe("compareVersions", () => {
+  test("orders numeric parts numerically and pre-releases first", () => {
+    expect(compareVersions("2.10.0", "2.9.1")).toBe(1);
+    expect(compareVersions("1.2.0-rc1", "1.2.0")).toBe(-1);
+    expect(compareVersions("v1.0", "1.0")).toBe(0);
+  });
+});
+
+describe("matchWatchlist version ranges", () => {
+  test("open-ended range (introduced, no fix) covers later versions", async () => {
+    const hit = await inRange("2.5.0", [{ version: "2.0.0", less_than: "*" }]);
+    expect(hit.in_range).toBe(true);
+    expect(hit.matched_range).toBe(">=2.0.0");
+  });
+
+  test("open-ended range does not cover earlier versions", async () => {
+    expect((await inRange("1.9.9", [{ version: "2.0.0", less_than: "*" }])).in_range).toBe(false);
+  });
+
+  test("open-ended range with an exclusive start", async () => {
+    expect((await inRange("2.0.0", [{ version: ">2.0.0", less_than: "*" }])).in_range).toBe(false);
+    expect((await inRange("2.0.1", [{ version: ">2.0.0", less_than: "*" }])).in_range).toBe(true);
+  });
+
+  test("bare versions stay exact matches", async () => {
+    expect((await inRange("2.5.0", [{ version: "2.0.0" }])).in_range).toBe(false);
+    expect((await inRange("2.0.0", [{ version: "2.0.0" }])).in_range).toBe(true);
+  });
+
+  test("closed ranges honour both bounds", async () => {
+    const ranges = [{ version: "2.0.0", less_than: "2.4.1" }, { version: "3.0.0", less_than_or_equal: "3.1.0" }];
+    expect((await inRange("2.4.0", ranges)).in_range).toBe(true);
+    expect((await inRange("2.4.1", ranges)).in_range).toBe(false);
+    expect((await inRange("3.1.0", ranges)).in_range).toBe(true);
+    expect((await inRange("3.1.1", ranges)).in_range).toBe(false);
+  });
+
+  test("an explicit unaffected version wins", async () => {
+    const hit = await inRange("2.2.0", [{ version: "2.0.0", less_than: "*" }, { version: "2.2.0", status: "unaffected" }]);
+    expect(hit.in_range).toBe(false);
+    expect(hit.matched_range).toBe("2.2.0 (unaffected)");
+  });
+});